@@ -1,5 +1,30 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+
+// Resolve the user behind a bearer token. All tokens, including those issued
+// by the dev auth provider, are signed JWTs bound to a session.
+const resolveUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Reject tokens whose session was logged out or revoked
+  if (!(await isSessionActive(decoded.sid))) {
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('-password')
+    .populate('roles', 'name permissions branches office');
+  if (!user) {
+    return { error: 'Not authorized, user not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account has been deactivated' };
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -10,58 +35,16 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Check if it's a mock token (for development)
-      if (token.startsWith('eyJ')) { // JWT tokens start with eyJ
-        try {
-          // Try to parse as mock token first
-          const parts = token.split('.');
-          if (parts.length === 3) {
-            const payload = JSON.parse(atob(parts[1]));
-            
-            // Check if it's a mock token
-            if (payload.id && (payload.id.toString().includes('admin_') || 
-                              payload.id.toString().includes('student_') || 
-                              payload.id.toString().includes('google_'))) {
-              // Handle mock token
-              const mockUser = {
-                _id: payload.id,
-                id: payload.id,
-                email: payload.email,
-                role: payload.role,
-                isAdmin: payload.isAdmin || false,
-                isActive: true,
-                name: payload.name || 'Mock User'
-              };
-              
-              req.user = mockUser;
-              return next();
-            }
-          }
-        } catch (mockError) {
-          // If mock token parsing fails, continue with real JWT verification
-        }
-      }
-
-      // Verify real JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized, user not found'
-        });
-      }
-
-      if (!req.user.isActive) {
+      const { user, sessionId, error } = await resolveUser(token);
+      if (error) {
         return res.status(401).json({
           success: false,
-          message: 'Account has been deactivated'
+          message: error
         });
       }
 
+      req.user = user;
+      req.sessionId = sessionId;
       next();
     } catch (error) {
       console.error('Token verification error:', error);
@@ -80,18 +63,6 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Admin access required
-const adminOnly = (req, res, next) => {
-  if (req.user && (req.user.isAdmin || req.user.role === 'admin')) {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
-  }
-};
-
 // Specific role access
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -113,45 +84,37 @@ const authorize = (...roles) => {
   };
 };
 
+// Permission required, e.g. requirePermission('complaints:respond').
+// Branch-restricted roles pass here; routes check the branch of the record.
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${permission}`
+      });
+    }
+
+    next();
+  };
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
-  let token;
-
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
-      token = req.headers.authorization.split(' ')[1];
-      
-      // Handle mock tokens
-      if (token.startsWith('eyJ')) {
-        try {
-          const parts = token.split('.');
-          if (parts.length === 3) {
-            const payload = JSON.parse(atob(parts[1]));
-            
-            if (payload.id && (payload.id.toString().includes('admin_') || 
-                              payload.id.toString().includes('student_') || 
-                              payload.id.toString().includes('google_'))) {
-              const mockUser = {
-                _id: payload.id,
-                id: payload.id,
-                email: payload.email,
-                role: payload.role,
-                isAdmin: payload.isAdmin || false,
-                isActive: true,
-                name: payload.name || 'Mock User'
-              };
-              
-              req.user = mockUser;
-              return next();
-            }
-          }
-        } catch (mockError) {
-          // Continue with real JWT verification
-        }
-      }
+      const token = req.headers.authorization.split(' ')[1];
+      const { user, sessionId } = await resolveUser(token);
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = user || null;
+      req.sessionId = sessionId;
     } catch (error) {
       // Token is invalid, but we continue without user
       req.user = null;
@@ -163,7 +126,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   protect,
-  adminOnly,
   authorize,
+  requirePermission,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+
+const UPLOAD_PATH = process.env.UPLOAD_PATH || './uploads';
+// Kept outside UPLOAD_PATH so no static route can reach it; downloads go
+// through the access-checked API route
+const EVIDENCE_DIR = process.env.EVIDENCE_PATH || './private/evidence';
+// Where evidence was stored before it moved out of UPLOAD_PATH
+const LEGACY_EVIDENCE_DIR = path.join(UPLOAD_PATH, 'evidence');
+
+// Public, served at /uploads/candidates
+const CANDIDATE_PHOTO_DIR = path.join(UPLOAD_PATH, 'candidates');
+
+const MAX_EVIDENCE_FILES = 5;
+const MAX_EVIDENCE_PER_COMPLAINT = 20;
+
+const ALLOWED_EVIDENCE_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'text/plain': '.txt',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(EVIDENCE_DIR, { recursive: true }, (err) => cb(err, EVIDENCE_DIR));
+  },
+  // Random names, so nothing from the client ends up in the path
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${ALLOWED_EVIDENCE_TYPES[file.mimetype]}`);
+  }
+});
+
+const evidenceUpload = multer({
+  storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+    files: MAX_EVIDENCE_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_EVIDENCE_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('evidence', MAX_EVIDENCE_FILES);
+
+const uploadErrorMessages = {
+  LIMIT_FILE_SIZE: 'File is too large',
+  LIMIT_FILE_COUNT: `You can upload at most ${MAX_EVIDENCE_FILES} files at once`,
+  LIMIT_UNEXPECTED_FILE: 'File type not allowed. Use PDF, JPEG, PNG, WebP, TXT, DOC or DOCX'
+};
+
+// Parse evidence files, turning multer errors into 400 responses
+const handleEvidenceUpload = (req, res, next) => {
+  evidenceUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadErrorMessages[err.code] || err.message
+      });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+const ALLOWED_PHOTO_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+const candidatePhotoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(CANDIDATE_PHOTO_DIR, { recursive: true }, (err) => cb(err, CANDIDATE_PHOTO_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}${ALLOWED_PHOTO_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_PHOTO_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single('photo');
+
+const photoErrorMessages = {
+  LIMIT_FILE_SIZE: 'Photo is too large',
+  LIMIT_FILE_COUNT: 'Upload one photo',
+  LIMIT_UNEXPECTED_FILE: 'Photo must be a JPEG, PNG or WebP image'
+};
+
+// Parse a nominee's photo (field "photo"), turning multer errors into 400 responses
+const handleCandidatePhotoUpload = (req, res, next) => {
+  candidatePhotoUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: photoErrorMessages[err.code] || err.message
+      });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+// Public URL of an uploaded candidate photo
+const candidatePhotoUrl = (filename) => `/uploads/candidates/${filename}`;
+
+// Remove an uploaded candidate photo, given its file name or URL
+const removeCandidatePhoto = async (photo) => {
+  if (!photo) return;
+  await fs.promises.unlink(path.resolve(CANDIDATE_PHOTO_DIR, path.basename(photo))).catch(err => {
+    if (err.code !== 'ENOENT') {
+      console.error('Remove candidate photo error:', err);
+    }
+  });
+};
+
+const evidencePath = (filename) => {
+  const stored = path.resolve(EVIDENCE_DIR, path.basename(filename));
+  const legacy = path.resolve(LEGACY_EVIDENCE_DIR, path.basename(filename));
+  return !fs.existsSync(stored) && fs.existsSync(legacy) ? legacy : stored;
+};
+
+// Remove stored evidence files, ignoring ones that are already gone
+const removeEvidenceFiles = async (evidence) => {
+  await Promise.all(
+    evidence.map(file =>
+      fs.promises.unlink(evidencePath(file.filename)).catch(err => {
+        if (err.code !== 'ENOENT') {
+          console.error('Remove evidence file error:', err);
+        }
+      })
+    )
+  );
+};
+
+module.exports = {
+  CANDIDATE_PHOTO_DIR,
+  MAX_EVIDENCE_FILES,
+  MAX_EVIDENCE_PER_COMPLAINT,
+  handleEvidenceUpload,
+  handleCandidatePhotoUpload,
+  candidatePhotoUrl,
+  removeCandidatePhoto,
+  evidencePath,
+  removeEvidenceFiles
+};
@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { BALLOT_TYPES, TIE_BREAK_POLICIES } = require('../utils/tally');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -67,6 +68,10 @@ const validateComplaint = [
     .optional()
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be low, medium, or high'),
+  body('anonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('Anonymous must be true or false'),
   handleValidationErrors
 ];
 
@@ -111,6 +116,46 @@ const validateElection = [
       }
       return true;
     }),
+  body('ballotType')
+    .optional()
+    .isIn(BALLOT_TYPES)
+    .withMessage('Ballot type must be plurality, approval, ranked_choice or stv'),
+  body('tieBreakPolicy')
+    .optional()
+    .isIn(TIE_BREAK_POLICIES)
+    .withMessage('Tie-break policy must be lot or ballot_order'),
+  body('seats')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Seats must be a whole number of at least 1'),
+  body('nominationStart')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Please provide a valid nomination start date'),
+  body('nominationEnd')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Please provide a valid nomination end date'),
+  body('endorsementsRequired')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Endorsements required must be a whole number'),
+  body('autoPublishAfterHours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Results embargo must be a number of hours'),
+  body('eligibility.roles.*')
+    .optional()
+    .isIn(['admin', 'student', 'faculty'])
+    .withMessage('Eligible roles must be admin, student or faculty'),
+  body('eligibility.years.*')
+    .optional()
+    .isIn(['1st Year', '2nd Year', '3rd Year', '4th Year', '5th Year'])
+    .withMessage('Eligible years must be 1st Year to 5th Year'),
+  body('eligibility.clubs.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Eligible clubs must be valid club ids'),
   handleValidationErrors
 ];
 
@@ -0,0 +1,133 @@
+/** @format */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// An anonymous ballot. Who voted is recorded on the election (voters[]); what
+// was voted is recorded here, with nothing linking the two: no user, no IP,
+// no timestamp, and a random id instead of an ObjectId (which would embed the
+// time the ballot was cast). Ballots are stored in a collection clustered on
+// that random id, so they are kept in random order rather than the order they
+// were cast in, which could be matched against voters[]. A database created
+// before this needs `node utils/migrateBallots.js` to rebuild the collection.
+//
+// The receipt code lets a voter find their ballot in the bulletin, choices
+// included, so it also proves to anyone they show it to how they voted.
+const selectionSchema = new mongoose.Schema(
+	{
+		contest: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: true,
+		},
+		// Candidate ids, in order of preference for ranked ballots
+		choices: [mongoose.Schema.Types.ObjectId],
+	},
+	{ _id: false }
+);
+
+const ballotSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			default: () => crypto.randomBytes(12).toString("hex"),
+		},
+		election: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Election",
+			required: true,
+		},
+		selections: [selectionSchema],
+		// Hash of the voter's receipt code; the code itself is only given to the voter
+		receipt: {
+			type: String,
+			required: true,
+		},
+	},
+	{
+		// Stored in _id order, which is random, whatever order ballots come in
+		clusteredIndex: { key: { _id: 1 }, unique: true, name: "random_order" },
+	}
+);
+
+ballotSchema.index({ election: 1, receipt: 1 }, { unique: true });
+
+const refuseChange = function () {
+	throw new Error("Ballots cannot be changed once cast");
+};
+
+["updateOne", "updateMany", "findOneAndUpdate", "findOneAndReplace", "replaceOne"].forEach(
+	(operation) => ballotSchema.pre(operation, refuseChange)
+);
+
+ballotSchema.pre("save", function (next) {
+	if (!this.isNew) return next(new Error("Ballots cannot be changed once cast"));
+	next();
+});
+
+// Receipt codes look like "7KQ2-M9XD-4HTA-PW3E" (80 random bits); no 0/O or 1/I
+const RECEIPT_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+const newReceiptCode = () =>
+	[...crypto.randomBytes(16)]
+		.map((byte) => RECEIPT_ALPHABET[byte % RECEIPT_ALPHABET.length])
+		.join("")
+		.match(/.{4}/g)
+		.join("-");
+
+// Codes are checked without regard to case, spaces or dashes
+const normalizeReceiptCode = (code) =>
+	String(code || "")
+		.toUpperCase()
+		.replace(/[^0-9A-Z]/g, "");
+
+ballotSchema.statics.receiptHash = function (electionId, code) {
+	return crypto
+		.createHash("sha256")
+		.update(`${electionId}:${normalizeReceiptCode(code)}`)
+		.digest("hex");
+};
+
+// Store a ballot for the election and return the receipt code for the voter
+ballotSchema.statics.cast = async function (electionId, selections) {
+	const code = newReceiptCode();
+	const receipt = this.receiptHash(electionId, code);
+	await this.create({ election: electionId, selections, receipt });
+	return { code, receipt };
+};
+
+// The ballot a receipt code belongs to, if it was counted
+ballotSchema.statics.findByReceipt = function (electionId, code) {
+	if (normalizeReceiptCode(code).length !== 16) return null;
+	return this.findOne({ election: electionId, receipt: this.receiptHash(electionId, code) });
+};
+
+// One line per ballot: "<receipt> <contest>:<choice>,<choice> <contest>:..."
+const bulletinLine = (ballot) =>
+	[
+		ballot.receipt,
+		...ballot.selections.map(
+			(selection) => `${selection.contest}:${selection.choices.map(String).join(",")}`
+		),
+	].join(" ");
+
+// Every ballot of the election by receipt hash (which also hides the order
+// they were cast in), with a SHA-256 digest of the bulletin lines joined by
+// newlines so a copy can be checked against the published one
+ballotSchema.statics.bulletin = async function (electionId) {
+	const ballots = await this.find({ election: electionId })
+		.select("receipt selections")
+		.sort({ receipt: 1 })
+		.lean();
+	const entries = ballots.map((ballot) => ({
+		receipt: ballot.receipt,
+		selections: ballot.selections,
+	}));
+	return { ballots: entries, digest: this.bulletinDigest(entries) };
+};
+
+// Digest of bulletin entries, sorted by receipt
+ballotSchema.statics.bulletinDigest = function (entries) {
+	return crypto.createHash("sha256").update(entries.map(bulletinLine).join("\n")).digest("hex");
+};
+
+module.exports = mongoose.model("Ballot", ballotSchema);
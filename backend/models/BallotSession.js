@@ -0,0 +1,100 @@
+/** @format */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// How long a voter has to cast the ballot they were handed at a kiosk
+const SESSION_MINUTES = 10;
+
+// A one-time ballot handed to a voter at a polling-station kiosk. The polling
+// officer checks the voter in by student id and the kiosk holds the session's
+// token until the voter casts their ballot, the officer cancels it or it
+// expires. Only a hash of the token is stored. Sessions are kept as the
+// officer trail: who was checked in, by whom, when and how it ended.
+const ballotSessionSchema = new mongoose.Schema(
+	{
+		election: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Election",
+			required: true,
+		},
+		voter: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		officer: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		tokenHash: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		status: {
+			type: String,
+			enum: ["issued", "voted", "cancelled", "expired"],
+			default: "issued",
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		endedAt: Date,
+		endedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		// Why a session ended without a ballot
+		reason: String,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+// One open session per voter per election, whichever kiosk they are at
+ballotSessionSchema.index(
+	{ election: 1, voter: 1 },
+	{ unique: true, partialFilterExpression: { status: "issued" } }
+);
+ballotSessionSchema.index({ tokenHash: 1 });
+
+ballotSessionSchema.statics.tokenHash = function (token) {
+	return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+};
+
+// Hand a voter a ballot session; returns { session, token }. The token is only
+// ever given to the kiosk. Fails with a duplicate key error (11000) if the
+// voter already holds an open session.
+ballotSessionSchema.statics.issue = async function (election, voter, officer, now = new Date()) {
+	// A session that ran out is closed before the voter gets a new one
+	await this.updateMany(
+		{ election, voter, status: "issued", expiresAt: { $lte: now } },
+		{ $set: { status: "expired", endedAt: now } }
+	);
+
+	const token = crypto.randomBytes(32).toString("hex");
+	const session = await this.create({
+		election,
+		voter,
+		officer,
+		tokenHash: this.tokenHash(token),
+		expiresAt: new Date(now.getTime() + SESSION_MINUTES * 60 * 1000),
+	});
+	return { session, token };
+};
+
+// Take the open session with this token for the election, so it can only be
+// used once; null if there is none or it expired
+ballotSessionSchema.statics.claim = function (election, token, officer, now = new Date()) {
+	return this.findOneAndUpdate(
+		{ election, tokenHash: this.tokenHash(token), status: "issued", expiresAt: { $gt: now } },
+		{ $set: { status: "voted", endedAt: now, endedBy: officer } },
+		{ new: true }
+	);
+};
+
+module.exports = mongoose.model("BallotSession", ballotSessionSchema);
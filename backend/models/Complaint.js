@@ -1,6 +1,17 @@
 /** @format */
 
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const { OFFICE_KEYS, routeComplaint } = require("../utils/offices");
+const {
+	computeDueDates,
+	effectivePriority,
+	REOPEN_WINDOW_DAYS,
+} = require("../utils/sla");
+const { COMPLAINT_STATUSES, canTransition } = require("../utils/complaintStatus");
+const SlaPolicy = require("./SlaPolicy");
+const ComplaintEvent = require("./ComplaintEvent");
+const { nextCaseId } = require("../utils/caseId");
 
 const responseSchema = new mongoose.Schema({
 	author: {
@@ -21,12 +32,70 @@ const responseSchema = new mongoose.Schema({
 		type: Date,
 		default: Date.now,
 	},
+	// Officer responses are official; replies from the submitter are not
 	isOfficial: {
 		type: Boolean,
 		default: false,
 	},
+	// Internal notes are only visible to officers handling the complaint
+	visibility: {
+		type: String,
+		enum: ["public", "internal"],
+		default: "public",
+	},
+	// Case ID of the duplicate this response was merged in from
+	mergedFrom: String,
+});
+
+const officeTransferSchema = new mongoose.Schema({
+	from: {
+		type: String,
+		enum: OFFICE_KEYS,
+	},
+	to: {
+		type: String,
+		enum: OFFICE_KEYS,
+		required: true,
+	},
+	transferredBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: "User",
+	},
+	reason: {
+		type: String,
+		trim: true,
+		maxlength: [500, "Reason cannot be more than 500 characters"],
+	},
+	transferredAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+const unsealSchema = new mongoose.Schema({
+	unsealedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: "User",
+		required: true,
+	},
+	reason: {
+		type: String,
+		required: [true, "Please provide a reason for unsealing"],
+		trim: true,
+		maxlength: [500, "Reason cannot be more than 500 characters"],
+	},
+	unsealedAt: {
+		type: Date,
+		default: Date.now,
+	},
 });
 
+const hashFollowUpCode = (code) =>
+	crypto
+		.createHash("sha256")
+		.update(code.trim().toUpperCase())
+		.digest("hex");
+
 const complaintSchema = new mongoose.Schema(
 	{
 		title: {
@@ -60,7 +129,7 @@ const complaintSchema = new mongoose.Schema(
 		},
 		status: {
 			type: String,
-			enum: ["submitted", "under_review", "resolved", "closed"],
+			enum: COMPLAINT_STATUSES,
 			default: "submitted",
 		},
 		submittedBy: {
@@ -68,6 +137,48 @@ const complaintSchema = new mongoose.Schema(
 			ref: "User",
 			required: true,
 		},
+		// Anonymous complaints keep submittedBy sealed: the API only reveals it
+		// to the submitter, or through an audited unseal (complaints:unseal)
+		isAnonymous: {
+			type: Boolean,
+			default: false,
+		},
+		// Lets the submitter track an anonymous case with caseId + code
+		followUpCodeHash: {
+			type: String,
+			select: false,
+		},
+		unsealHistory: [unsealSchema],
+		// Students affected by the same issue ("+1") and submitters of merged
+		// duplicates; they can follow the case
+		watchers: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "User",
+			},
+		],
+		// Set on a duplicate once it has been folded into a primary case
+		mergedInto: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Complaint",
+		},
+		mergedCases: [
+			{
+				complaint: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "Complaint",
+				},
+				caseId: String,
+				mergedBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+				},
+				mergedAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
 		assignedTo: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "User",
@@ -83,9 +194,35 @@ const complaintSchema = new mongoose.Schema(
 				"general",
 			],
 		},
+		// Office queue the complaint currently sits in
+		office: {
+			type: String,
+			enum: OFFICE_KEYS,
+		},
+		officeHistory: [officeTransferSchema],
+		// Deadlines from the matching SlaPolicy. Breach flags are set when a
+		// deadline passes (by the escalation sweeper) or is met late.
+		sla: {
+			firstResponseDueAt: Date,
+			resolutionDueAt: Date,
+			firstRespondedAt: Date,
+			firstResponseBreached: {
+				type: Boolean,
+				default: false,
+			},
+			resolutionBreached: {
+				type: Boolean,
+				default: false,
+			},
+			escalationLevel: {
+				type: Number,
+				default: 0,
+			},
+			lastEscalatedAt: Date,
+		},
+		// Assigned from a per-branch, per-year counter, e.g. DBU-DIN-2026-00042
 		caseId: {
 			type: String,
-			default: () => `CASE-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
 			required: true,
 		},
 		responses: [responseSchema],
@@ -95,6 +232,10 @@ const complaintSchema = new mongoose.Schema(
 				originalName: String,
 				mimetype: String,
 				size: Number,
+				uploadedBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+				},
 				uploadDate: {
 					type: Date,
 					default: Date.now,
@@ -107,13 +248,38 @@ const complaintSchema = new mongoose.Schema(
 			default: false,
 		},
 		resolvedAt: Date,
+		// Last moment the submitter may reopen a resolved complaint
+		reopenableUntil: Date,
 		closedAt: Date,
+		// How the complaint was settled; required before it can be closed
+		resolutionSummary: {
+			type: String,
+			trim: true,
+			maxlength: [1000, "Resolution summary cannot be more than 1000 characters"],
+		},
 		satisfactionRating: {
 			type: Number,
-			min: 1,
-			max: 5,
+			min: [1, "Rating must be between 1 and 5"],
+			max: [5, "Rating must be between 1 and 5"],
+		},
+		satisfactionFeedback: {
+			type: String,
+			trim: true,
+			maxlength: [1000, "Feedback cannot be more than 1000 characters"],
 		},
-		satisfactionFeedback: String,
+		ratedAt: Date,
+		reopenHistory: [
+			{
+				reason: {
+					type: String,
+					trim: true,
+				},
+				reopenedAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
 	},
 	{
 		timestamps: true,
@@ -124,13 +290,135 @@ const complaintSchema = new mongoose.Schema(
 complaintSchema.index({ submittedBy: 1 });
 complaintSchema.index({ status: 1 });
 complaintSchema.index({ category: 1 });
-complaintSchema.index({ caseId: 1 });
+// Databases from before case IDs were unique need utils/backfillCaseIds.js first
+complaintSchema.index({ caseId: 1 }, { unique: true });
+complaintSchema.index({ category: 1, status: 1, createdAt: -1 });
+complaintSchema.index({ watchers: 1 });
 complaintSchema.index({ createdAt: -1 });
+complaintSchema.index({ office: 1, status: 1 });
+complaintSchema.index({ status: 1, "sla.firstResponseDueAt": 1 });
+complaintSchema.index({ status: 1, "sla.resolutionDueAt": 1 });
+
+// Route new complaints to an office queue by branch, and route them again
+// when their branch changes
+complaintSchema.pre("validate", function (next) {
+	if (this.isNew && !this.office) {
+		this.office = routeComplaint(this.branch || this.category);
+		this.officeHistory.push({ to: this.office, reason: "Auto-routed by branch" });
+	} else if (!this.isNew && this.isModified("branch")) {
+		const office = routeComplaint(this.branch || this.category);
+		if (office !== this.office) {
+			this.officeHistory.push({
+				from: this.office,
+				to: office,
+				transferredBy: this.$locals.actor,
+				reason: "Re-routed after branch change",
+			});
+			this.office = office;
+			// The new office picks its own officer
+			this.assignedTo = undefined;
+		}
+	}
+	next();
+});
+
+// Route complaints stored before office queues existed, which have no office
+// and so appear in no inbox. Safe to run on every startup.
+complaintSchema.statics.routeUnrouted = async function () {
+	let routed = 0;
+	for (const branch of this.schema.path("category").enumValues) {
+		const office = routeComplaint(branch);
+		const { modifiedCount } = await this.updateMany(
+			{
+				office: null,
+				$or: [{ branch }, { branch: null, category: branch }],
+			},
+			{
+				$set: { office },
+				$push: { officeHistory: { to: office, reason: "Auto-routed by branch" } },
+			}
+		);
+		routed += modifiedCount;
+	}
+	if (routed > 0) console.log(`✅ Complaints routed to office queues: ${routed}`);
+	return routed;
+};
+
+// Generate a follow-up code; only its hash is stored, so the plain code must
+// be handed to the submitter straight away
+complaintSchema.methods.issueFollowUpCode = function () {
+	const code = crypto
+		.randomBytes(6)
+		.toString("hex")
+		.toUpperCase()
+		.match(/.{4}/g)
+		.join("-");
+	this.followUpCodeHash = hashFollowUpCode(code);
+	return code;
+};
+
+// Check a follow-up code (followUpCodeHash must be selected)
+complaintSchema.methods.matchFollowUpCode = function (code) {
+	if (!this.followUpCodeHash || typeof code !== "string") return false;
+	return crypto.timingSafeEqual(
+		Buffer.from(hashFollowUpCode(code), "hex"),
+		Buffer.from(this.followUpCodeHash, "hex")
+	);
+};
 
-// Generate case ID before saving
+// Assign the case ID before validation so that `required` holds
+complaintSchema.pre("validate", async function () {
+	if (this.isNew && !this.caseId) {
+		this.caseId = await nextCaseId(this.branch || this.category);
+	}
+});
+
+// Compute SLA due dates on creation, whenever the targets change and when the
+// complaint is reopened. The policy follows the branch handling the
+// complaint, like its office queue. A reopened complaint's resolution clock
+// restarts at its last reopen, and an earlier resolution breach is cleared.
+complaintSchema.pre("validate", async function () {
+	const reopened =
+		!this.isNew &&
+		this.isModified("status") &&
+		this.$locals.original?.status === "resolved" &&
+		this.status === "under_review";
+	if (
+		!this.isNew &&
+		!reopened &&
+		!this.isModified("priority") &&
+		!this.isModified("isUrgent") &&
+		!this.isModified("category") &&
+		!this.isModified("branch")
+	) {
+		return;
+	}
+
+	const policy = await SlaPolicy.resolve(
+		this.branch || this.category,
+		effectivePriority(this)
+	);
+	const dueDates = computeDueDates(this.createdAt || Date.now(), policy);
+	const lastReopen = this.reopenHistory[this.reopenHistory.length - 1];
+	this.sla.firstResponseDueAt = dueDates.firstResponseDueAt;
+	this.sla.resolutionDueAt = lastReopen
+		? computeDueDates(lastReopen.reopenedAt, policy).resolutionDueAt
+		: dueDates.resolutionDueAt;
+	if (reopened) this.sla.resolutionBreached = false;
+});
+
+// Record the first official response and late resolutions
 complaintSchema.pre("save", function (next) {
-	if (!this.caseId) {
-		this.caseId = "CASE-" + Date.now().toString().slice(-6);
+	if (this.isModified("responses") && !this.sla.firstRespondedAt) {
+		const firstOfficial = this.responses.find(
+			(r) => r.isOfficial && r.visibility === "public"
+		);
+		if (firstOfficial) {
+			this.sla.firstRespondedAt = firstOfficial.timestamp;
+			if (firstOfficial.timestamp > this.sla.firstResponseDueAt) {
+				this.sla.firstResponseBreached = true;
+			}
+		}
 	}
 	next();
 });
@@ -140,12 +428,97 @@ complaintSchema.pre("save", function (next) {
 	if (this.isModified("status")) {
 		if (this.status === "resolved" && !this.resolvedAt) {
 			this.resolvedAt = new Date();
+			this.reopenableUntil = new Date(
+				this.resolvedAt.getTime() + REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+			);
+			if (this.resolvedAt > this.sla.resolutionDueAt) {
+				this.sla.resolutionBreached = true;
+			}
 		}
 		if (this.status === "closed" && !this.closedAt) {
 			this.closedAt = new Date();
 		}
+		// Back in progress (e.g. reopened): resolution will be stamped again
+		if (this.status === "submitted" || this.status === "under_review") {
+			this.resolvedAt = undefined;
+			this.reopenableUntil = undefined;
+		}
 	}
 	next();
 });
 
+// Fields whose changes go to the ComplaintEvent timeline
+const AUDITED_FIELDS = ["status", "priority", "assignedTo", "branch", "tags", "office"];
+
+const auditValue = (complaint, field) => {
+	const value = complaint.get(field);
+	if (value == null) return null;
+	if (field === "tags") return [...value];
+	return field === "assignedTo" ? String(value._id || value) : value;
+};
+
+const snapshot = (complaint) =>
+	Object.fromEntries(AUDITED_FIELDS.map((field) => [field, auditValue(complaint, field)]));
+
+// Who is making a change and why, recorded with the next save:
+//   complaint.audit(req.user._id, "Duplicate of DBU-DIN-2026-00012")
+complaintSchema.methods.audit = function (actor, reason) {
+	this.$locals.actor = actor;
+	this.$locals.reason = reason;
+	return this;
+};
+
+complaintSchema.post("init", function () {
+	this.$locals.original = snapshot(this);
+});
+
+// Status changes must follow the transition graph in utils/complaintStatus
+complaintSchema.pre("validate", function (next) {
+	const from = this.$locals.original?.status;
+	if (!this.isNew && from && from !== this.status && !canTransition(from, this.status)) {
+		this.invalidate("status", `Cannot move a complaint from ${from} to ${this.status}`);
+	}
+	if (this.isModified("status") && this.status === "closed" && !this.resolutionSummary) {
+		this.invalidate("resolutionSummary", "A resolution summary is required to close a complaint");
+	}
+	next();
+});
+
+// The timeline event for a save is built and validated before the complaint
+// is written, so a change is never saved without its event
+complaintSchema.pre("save", async function () {
+	const current = snapshot(this);
+	let changes = [];
+	if (!this.isNew) {
+		const original = this.$locals.original || {};
+		changes = AUDITED_FIELDS.filter(
+			(field) => JSON.stringify(original[field]) !== JSON.stringify(current[field])
+		).map((field) => ({ field, from: original[field], to: current[field] }));
+	}
+	this.$locals.current = current;
+	this.$locals.pendingEvent = null;
+	if (!this.isNew && changes.length === 0) return;
+
+	const event = new ComplaintEvent({
+		complaint: this._id,
+		type: this.isNew ? "created" : "updated",
+		actor: this.isNew ? this.submittedBy : this.$locals.actor,
+		changes,
+		reason: this.$locals.reason,
+	});
+	await event.validate();
+	this.$locals.pendingEvent = event;
+});
+
+complaintSchema.post("save", async function (doc) {
+	const event = doc.$locals.pendingEvent;
+	doc.$locals.original = doc.$locals.current;
+	doc.$locals.pendingEvent = null;
+	if (!event) return;
+
+	await event.save();
+	doc.$locals.actor = undefined;
+	doc.$locals.reason = undefined;
+});
+
 module.exports = mongoose.model("Complaint", complaintSchema);
@@ -0,0 +1,69 @@
+/** @format */
+
+const mongoose = require("mongoose");
+
+// Append-only history of a complaint: one event per change, written by the
+// Complaint model's save hooks. Events are never updated or deleted.
+const complaintEventSchema = new mongoose.Schema(
+	{
+		complaint: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Complaint",
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: ["created", "updated"],
+			required: true,
+		},
+		// Unset for changes made by the system (e.g. SLA escalation)
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		changes: [
+			{
+				_id: false,
+				field: {
+					type: String,
+					enum: ["status", "priority", "assignedTo", "branch", "tags", "office"],
+				},
+				from: mongoose.Schema.Types.Mixed,
+				to: mongoose.Schema.Types.Mixed,
+			},
+		],
+		reason: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Reason cannot be more than 500 characters"],
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	}
+);
+
+complaintEventSchema.index({ complaint: 1, createdAt: 1 });
+
+const refuseChange = function () {
+	throw new Error("Complaint events are append-only");
+};
+
+[
+	"updateOne",
+	"updateMany",
+	"findOneAndUpdate",
+	"findOneAndReplace",
+	"replaceOne",
+	"deleteOne",
+	"deleteMany",
+	"findOneAndDelete",
+	"findOneAndRemove",
+].forEach((operation) => complaintEventSchema.pre(operation, refuseChange));
+
+complaintEventSchema.pre("save", function (next) {
+	if (!this.isNew) return next(new Error("Complaint events are append-only"));
+	next();
+});
+
+module.exports = mongoose.model("ComplaintEvent", complaintEventSchema);
@@ -0,0 +1,27 @@
+/** @format */
+
+const mongoose = require("mongoose");
+
+// Named sequences, incremented atomically
+const counterSchema = new mongoose.Schema({
+	_id: {
+		type: String,
+		required: true,
+	},
+	seq: {
+		type: Number,
+		default: 0,
+	},
+});
+
+// Next value of a sequence, creating it on first use
+counterSchema.statics.next = async function (name) {
+	const counter = await this.findOneAndUpdate(
+		{ _id: name },
+		{ $inc: { seq: 1 } },
+		{ new: true, upsert: true }
+	);
+	return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -1,6 +1,14 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const ElectionAuditEntry = require('./ElectionAuditEntry');
+const { BALLOT_TYPES, TIE_BREAK_POLICIES, ballotError, tally } = require('../utils/tally');
 
 const candidateSchema = new mongoose.Schema({
+  // The student's account, for candidates who came through a nomination
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   name: {
     type: String,
     required: true,
@@ -38,15 +46,30 @@ const candidateSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [1000, 'Biography cannot be more than 1000 characters']
+  }
+  // No running vote count: a counter bumped along with voters[] would show
+  // who voted for whom. Counts come from the ballots (getResults).
+});
+
+// A position on the ballot, e.g. "President" or "Branch leaders" with 3 seats
+const contestSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a position for each contest'],
+    trim: true,
+    maxlength: [100, 'Position cannot be more than 100 characters']
   },
-  votes: {
+  seats: {
     type: Number,
-    default: 0
+    min: [1, 'A contest needs at least one seat'],
+    default: 1
   },
-  voters: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }]
+  candidates: [candidateSchema],
+  resultsPublished: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: Date
 });
 
 const electionSchema = new mongoose.Schema({
@@ -70,35 +93,95 @@ const electionSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please provide an end date']
   },
+  // Students put themselves forward between these dates (see Nomination)
+  nominationStart: Date,
+  nominationEnd: Date,
+  // Endorsements from eligible students a nomination needs to be approved
+  endorsementsRequired: {
+    type: Number,
+    min: [0, 'Endorsements required cannot be negative'],
+    default: 0
+  },
   status: {
     type: String,
     enum: ['upcoming', 'active', 'completed', 'cancelled'],
     default: 'upcoming'
   },
-  candidates: [candidateSchema],
+  contests: {
+    type: [contestSchema],
+    validate: [
+      {
+        validator: contests => contests.length > 0,
+        message: 'An election needs at least one contest'
+      },
+      {
+        validator: function(contests) {
+          return this.ballotType !== 'ranked_choice' || contests.every(contest => contest.seats === 1);
+        },
+        message: 'Ranked-choice contests fill one seat; use STV for several seats'
+      }
+    ]
+  },
+  ballotType: {
+    type: String,
+    enum: BALLOT_TYPES,
+    default: 'plurality'
+  },
+  // How ties the count can't separate are decided (see utils/tally.js)
+  tieBreakPolicy: {
+    type: String,
+    enum: TIE_BREAK_POLICIES,
+    default: 'lot'
+  },
+  // Who may vote (see utils/eligibility.js); every rule that is set must be met
+  eligibility: {
+    roles: {
+      type: [{
+        type: String,
+        enum: ['admin', 'student', 'faculty']
+      }],
+      default: ['student']
+    },
+    departments: [{
+      type: String,
+      trim: true
+    }],
+    years: [{
+      type: String,
+      enum: ['1st Year', '2nd Year', '3rd Year', '4th Year', '5th Year']
+    }],
+    clubs: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club'
+    }],
+    // Uploaded voter roll (lowercase student ids); hidden unless selected
+    roll: {
+      type: [String],
+      select: false
+    }
+  },
+  // Ballots cast (one per voter, covering every contest)
   totalVotes: {
     type: Number,
     default: 0
   },
+  // Users meeting the eligibility rules, for turnout
   eligibleVoters: {
     type: Number,
     default: 0
   },
+  // Who has voted. The ballots themselves are anonymous (see Ballot) and
+  // nothing here says how anyone voted.
   voters: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
-    candidate: {
-      type: mongoose.Schema.Types.ObjectId,
-      required: true
-    },
     votedAt: {
       type: Date,
       default: Date.now
-    },
-    ipAddress: String
+    }
   }],
   electionType: {
     type: String,
@@ -118,6 +201,18 @@ const electionSchema = new mongoose.Schema({
     default: false
   },
   publishedAt: Date,
+  // Publish every contest this many hours after the polls close; unset means
+  // results are announced by hand
+  autoPublishAfterHours: {
+    type: Number,
+    min: [0, 'Embargo cannot be negative'],
+    default: null
+  },
+  // Set by the lifecycle scheduler (utils/electionLifecycle.js). Once closed,
+  // no more ballots are accepted and ballotDigest fixes the bulletin.
+  openedAt: Date,
+  closedAt: Date,
+  ballotDigest: String,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -133,11 +228,177 @@ electionSchema.index({ startDate: 1 });
 electionSchema.index({ endDate: 1 });
 electionSchema.index({ 'voters.user': 1 });
 
-// Update status based on dates
+// Elections created before contests existed have a single candidate list;
+// read it as one contest (keyed by the election id so it stays stable until
+// the election is saved in the new shape). Their votes are moved to anonymous
+// ballots by utils/migrateBallots.js.
+electionSchema.pre('init', function(doc) {
+  if (!doc.contests && doc.candidates) {
+    const contest = {
+      _id: doc._id,
+      title: (doc.candidates[0] && doc.candidates[0].position) || 'General',
+      seats: 1,
+      candidates: doc.candidates,
+      resultsPublished: doc.resultsPublished,
+      publishedAt: doc.publishedAt
+    };
+    doc.contests = [contest];
+  }
+});
+
+// Candidates run for the position of their contest
+electionSchema.pre('validate', function(next) {
+  this.contests.forEach(contest => {
+    contest.candidates.forEach(candidate => {
+      candidate.position = contest.title;
+    });
+  });
+  next();
+});
+
+// The nomination period comes before voting, whichever dates changed
+electionSchema.pre('validate', function(next) {
+  if (Boolean(this.nominationStart) !== Boolean(this.nominationEnd)) {
+    this.invalidate('nominationEnd', 'Please provide both nomination dates');
+  } else if (this.nominationEnd &&
+    (this.nominationEnd <= this.nominationStart || this.nominationEnd > this.startDate)) {
+    this.invalidate('nominationEnd', 'Nominations must close after they open and before voting starts');
+  }
+  next();
+});
+
+// Fields recorded in the audit log (see ElectionAuditEntry) when they change
+const AUDITED_FIELDS = [
+  'title', 'description', 'electionType', 'startDate', 'endDate', 'ballotType', 'tieBreakPolicy',
+  'contests', 'eligibility', 'rules', 'isPublic', 'nominationStart', 'nominationEnd',
+  'endorsementsRequired', 'autoPublishAfterHours'
+];
+
+// Fields that make up the ballot, fixed once voting has opened
+const LOCKED_FIELDS = {
+  startDate: 'Start date',
+  endDate: 'End date',
+  ballotType: 'Ballot type',
+  tieBreakPolicy: 'Tie-break policy',
+  contests: 'Candidates and positions'
+};
+
+const isoDate = date => (date ? new Date(date).toISOString() : null);
+const idOf = ref => (ref ? String(ref._id || ref) : null);
+
+// The audited fields as plain JSON. The voter roll is only known when the
+// election was loaded with +eligibility.roll, and is recorded by its size and
+// a digest rather than the student ids.
+const auditSnapshot = election => {
+  const { roles, departments, years, clubs, roll } = election.eligibility || {};
+  return {
+    title: election.title,
+    description: election.description,
+    electionType: election.electionType,
+    startDate: isoDate(election.startDate),
+    endDate: isoDate(election.endDate),
+    ballotType: election.ballotType,
+    tieBreakPolicy: election.tieBreakPolicy,
+    contests: election.contests.map(contest => ({
+      id: contest.id,
+      title: contest.title,
+      seats: contest.seats,
+      candidates: contest.candidates.map(candidate => ({
+        id: candidate.id,
+        name: candidate.name,
+        user: idOf(candidate.user)
+      }))
+    })),
+    eligibility: {
+      roles: [...(roles || [])],
+      departments: [...(departments || [])],
+      years: [...(years || [])],
+      clubs: (clubs || []).map(idOf),
+      roll: roll
+        ? {
+          size: roll.length,
+          digest: crypto.createHash('sha256').update([...roll].sort().join('\n')).digest('hex')
+        }
+        : undefined
+    },
+    rules: [...election.rules],
+    isPublic: election.isPublic,
+    nominationStart: isoDate(election.nominationStart),
+    nominationEnd: isoDate(election.nominationEnd),
+    endorsementsRequired: election.endorsementsRequired,
+    autoPublishAfterHours: election.autoPublishAfterHours ?? null
+  };
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Who is making a change and why, recorded in the audit log with the next save:
+//   election.audit(req.user._id, 'Nomination approved')
+electionSchema.methods.audit = function(actor, reason) {
+  this.$locals.actor = actor;
+  this.$locals.reason = reason;
+  return this;
+};
+
+electionSchema.post('init', function() {
+  this.$locals.original = auditSnapshot(this);
+});
+
+// Once voting has opened the ballot is fixed: no more changes to candidates,
+// positions, dates, ballot type or tie-break policy
+electionSchema.pre('validate', function(next) {
+  const original = this.$locals.original;
+  if (!this.isNew && original && (this.openedAt || new Date(original.startDate) <= new Date())) {
+    const current = auditSnapshot(this);
+    Object.entries(LOCKED_FIELDS)
+      .filter(([field]) => !sameValue(original[field], current[field]))
+      .forEach(([field, label]) => this.invalidate(field, `${label} can't be changed once voting has opened`));
+  }
+  next();
+});
+
+electionSchema.pre('save', function(next) {
+  const current = auditSnapshot(this);
+  if (this.isNew) {
+    this.$locals.pendingEntry = { type: 'created', data: current };
+  } else {
+    const original = this.$locals.original || {};
+    const changes = AUDITED_FIELDS
+      .filter(field => !sameValue(original[field], current[field]))
+      .map(field => ({ field, from: original[field] ?? null, to: current[field] ?? null }));
+    this.$locals.pendingEntry = changes.length > 0 ? { type: 'updated', data: { changes } } : null;
+  }
+  this.$locals.current = current;
+  next();
+});
+
+electionSchema.post('save', async function(doc) {
+  const entry = doc.$locals.pendingEntry;
+  doc.$locals.original = doc.$locals.current;
+  doc.$locals.pendingEntry = null;
+  if (!entry) return;
+
+  await ElectionAuditEntry.append(doc._id, {
+    ...entry,
+    actor: entry.type === 'created' ? idOf(doc.createdBy) : idOf(doc.$locals.actor),
+    reason: doc.$locals.reason
+  });
+  doc.$locals.actor = undefined;
+  doc.$locals.reason = undefined;
+});
+
+// Update status based on dates. The lifecycle scheduler makes the same
+// changes on time without waiting for a save; a closed or cancelled election
+// keeps its status.
 electionSchema.pre('save', function(next) {
   const now = new Date();
-  
-  if (this.startDate > now) {
+
+  if (this.status === 'cancelled') {
+    return next();
+  }
+  if (this.closedAt) {
+    this.status = 'completed';
+  } else if (this.startDate > now) {
     this.status = 'upcoming';
   } else if (this.startDate <= now && this.endDate > now) {
     this.status = 'active';
@@ -159,13 +420,96 @@ electionSchema.methods.hasUserVoted = function(userId) {
   return this.voters.some(voter => voter.user.toString() === userId.toString());
 };
 
-// Method to get winner
-electionSchema.methods.getWinner = function() {
-  if (this.candidates.length === 0) return null;
-  
-  return this.candidates.reduce((winner, candidate) => {
-    return candidate.votes > winner.votes ? candidate : winner;
+// Method to check if students can submit or endorse nominations
+electionSchema.methods.nominationsOpen = function(now = new Date()) {
+  return Boolean(this.nominationStart && this.nominationEnd) &&
+    this.nominationStart <= now && now < this.nominationEnd && now < this.startDate;
+};
+
+// Method to check a ballot ([{ contest, choices }]) against the contests;
+// returns the problem, or null if the ballot is valid. Contests left out or
+// left empty are abstentions, but the ballot must mark at least one.
+electionSchema.methods.ballotError = function(selections) {
+  if (!Array.isArray(selections)) return 'Invalid ballot';
+
+  const seen = new Set();
+  let marked = 0;
+  for (const selection of selections) {
+    const contest = selection && this.contests.id(selection.contest);
+    if (!contest) return 'Invalid contest';
+    if (seen.has(contest.id)) return `${contest.title} appears twice on the ballot`;
+    seen.add(contest.id);
+
+    if (!selection.choices || selection.choices.length === 0) continue;
+    const problem = ballotError(
+      this.ballotType,
+      contest.seats,
+      contest.candidates.map(candidate => candidate.id),
+      selection.choices
+    );
+    if (problem) return `${contest.title}: ${problem}`;
+    marked += 1;
+  }
+
+  return marked > 0 ? null : 'Please choose at least one candidate';
+};
+
+// Method to find a candidate in any contest
+electionSchema.methods.findCandidate = function(candidateId) {
+  for (const contest of this.contests) {
+    const candidate = contest.candidates.id(candidateId);
+    if (candidate) return candidate;
+  }
+  return null;
+};
+
+// Method to get how the count settles ties. The draw can't be known before
+// the polls close: its seed includes the closing bulletin digest, so there is
+// no count until the ballots are sealed.
+electionSchema.methods.tieBreak = function() {
+  if (!this.closedAt || !this.ballotDigest) {
+    throw new Error('Ties can only be broken once the ballots are sealed at close');
+  }
+  return { policy: this.tieBreakPolicy, seed: `${this._id}:${this.ballotDigest}` };
+};
+
+// Method to count the ballots ([{ selections }], see Ballot) of each contest,
+// round by round. Voters may leave a contest blank, so turnout is per contest.
+electionSchema.methods.getResults = function(cast) {
+  return this.contests.map(contest => {
+    const ballots = cast
+      .map(ballot => ballot.selections.find(selection => selection.contest.equals(contest._id)))
+      .filter(selection => selection && selection.choices.length > 0)
+      .map(selection => selection.choices);
+
+    return {
+      contest: contest._id,
+      title: contest.title,
+      resultsPublished: contest.resultsPublished,
+      turnout: ballots.length,
+      turnoutPercentage: this.eligibleVoters
+        ? Math.round((ballots.length / this.eligibleVoters) * 10000) / 100
+        : 0,
+      ...tally({
+        ballotType: this.ballotType,
+        seats: contest.seats,
+        candidateIds: contest.candidates.map(candidate => candidate._id),
+        ballots,
+        tieBreak: this.tieBreak()
+      })
+    };
   });
 };
 
+// Method to get the elected candidates of each contest, and whether the
+// tie-break policy had to settle a tie in the count
+electionSchema.methods.getWinners = function(cast) {
+  return this.getResults(cast).map(result => ({
+    contest: result.contest,
+    title: result.title,
+    winners: result.winners.map(id => this.findCandidate(id)),
+    tieBreakUsed: result.ties.some(tie => tie.resolvedBy === this.tieBreakPolicy)
+  }));
+};
+
 module.exports = mongoose.model('Election', electionSchema);
\ No newline at end of file
@@ -0,0 +1,169 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { hashOf } = require("../utils/canonicalJson");
+
+// Tamper-evident log of an election: admin changes, lifecycle steps and every
+// ballot cast. Entries are numbered per election and each carries the hash of
+// the one before it, so editing, removing or reordering an entry breaks every
+// hash that follows. Entries are never updated or deleted, not even with the
+// election.
+//
+// A ballot_cast entry only records that a ballot went in. What the ballots
+// say is committed to once, by the bulletin digest in the "closed" entry: a
+// per-ballot hash in cast order could be matched against the order voters
+// voted in, which would undo the secret ballot.
+const AUDIT_ENTRY_TYPES = [
+	"created", // data: the election's audited fields
+	"updated", // data: { changes: [{ field, from, to }] }
+	"deleted",
+	"opened", // data: { eligibleVoters }
+	"kiosk_check_in", // by a polling officer; data: { session }
+	"kiosk_cancelled", // data: { session }
+	"ballot_cast", // from a kiosk: the officer, data: { session }; migrated: data: { migrated: true }
+	"closed", // data: { ballotDigest, voters }, plus migrated: true when resealed by migrateBallots.js
+	"results_published", // data: { contests, automatic }
+];
+
+// prevHash of an election's first entry
+const GENESIS_HASH = "0".repeat(64);
+
+// Concurrent appends race for the next sequence number; the loser retries
+const APPEND_ATTEMPTS = 20;
+
+const electionAuditEntrySchema = new mongoose.Schema(
+	{
+		election: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Election",
+			required: true,
+		},
+		seq: {
+			type: Number,
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: AUDIT_ENTRY_TYPES,
+			required: true,
+		},
+		// Unset for the system (the scheduler) and for ballots cast online
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+		data: mongoose.Schema.Types.Mixed,
+		reason: String,
+		at: {
+			type: Date,
+			required: true,
+		},
+		prevHash: {
+			type: String,
+			required: true,
+		},
+		hash: {
+			type: String,
+			required: true,
+		},
+	},
+	{
+		// Keep empty objects in data exactly as they were hashed
+		minimize: false,
+	}
+);
+
+electionAuditEntrySchema.index({ election: 1, seq: 1 }, { unique: true });
+
+// An entry as it is hashed and exported
+const entryFields = (entry) => ({
+	election: String(entry.election),
+	seq: entry.seq,
+	type: entry.type,
+	actor: entry.actor ? String(entry.actor) : null,
+	data: entry.data ?? null,
+	reason: entry.reason ?? null,
+	at: new Date(entry.at).toISOString(),
+	prevHash: entry.prevHash,
+});
+
+electionAuditEntrySchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+// Hash of an entry: SHA-256 of the canonical JSON of its fields, prevHash
+// included (see utils/canonicalJson.js)
+electionAuditEntrySchema.statics.entryHash = function (entry) {
+	return hashOf(entryFields(entry));
+};
+
+// Add an entry to the end of an election's log
+electionAuditEntrySchema.statics.append = async function (
+	electionId,
+	{ type, actor, data, reason, at = new Date() }
+) {
+	const fields = {
+		election: electionId,
+		type,
+		actor,
+		// Stored as plain JSON so it reads back exactly as it was hashed
+		data: data === undefined ? null : JSON.parse(JSON.stringify(data)),
+		reason,
+		at,
+	};
+
+	for (let attempt = 0; attempt < APPEND_ATTEMPTS; attempt++) {
+		const last = await this.findOne({ election: electionId }).sort({ seq: -1 }).select("seq hash");
+		const entry = {
+			...fields,
+			seq: last ? last.seq + 1 : 1,
+			prevHash: last ? last.hash : GENESIS_HASH,
+		};
+		try {
+			return await this.create({ ...entry, hash: this.entryHash(entry) });
+		} catch (error) {
+			if (error.code !== 11000) throw error;
+		}
+	}
+	throw new Error("Could not append to the election audit log");
+};
+
+// An election's log in order, as plain entries for export
+electionAuditEntrySchema.statics.chain = async function (electionId) {
+	const entries = await this.find({ election: electionId }).sort({ seq: 1 }).lean();
+	return entries.map((entry) => ({ ...entryFields(entry), hash: entry.hash }));
+};
+
+// Problems with a log: entries whose hash doesn't match their contents, or
+// that don't follow on from the entry before them
+electionAuditEntrySchema.statics.verifyChain = function (entries) {
+	const problems = [];
+	entries.forEach((entry, i) => {
+		const prevHash = i === 0 ? GENESIS_HASH : entries[i - 1].hash;
+		if (entry.seq !== i + 1) problems.push(`Entry ${i + 1} is numbered ${entry.seq}`);
+		if (entry.prevHash !== prevHash) problems.push(`Entry ${entry.seq} does not follow on from the entry before it`);
+		if (this.entryHash(entry) !== entry.hash) problems.push(`Entry ${entry.seq} has been altered`);
+	});
+	return problems;
+};
+
+const refuseChange = function () {
+	throw new Error("Election audit entries are append-only");
+};
+
+[
+	"updateOne",
+	"updateMany",
+	"findOneAndUpdate",
+	"findOneAndReplace",
+	"replaceOne",
+	"deleteOne",
+	"deleteMany",
+	"findOneAndDelete",
+	"findOneAndRemove",
+].forEach((operation) => electionAuditEntrySchema.pre(operation, refuseChange));
+
+electionAuditEntrySchema.pre("save", function (next) {
+	if (!this.isNew) return next(new Error("Election audit entries are append-only"));
+	next();
+});
+
+module.exports = mongoose.model("ElectionAuditEntry", electionAuditEntrySchema);
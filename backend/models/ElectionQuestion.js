@@ -0,0 +1,91 @@
+/** @format */
+
+const mongoose = require("mongoose");
+
+// A student's question to one candidate of an election, on the election's
+// Q&A board. Other students upvote it, the candidate answers from their own
+// account, and moderators hide abusive questions, giving a reason.
+const electionQuestionSchema = new mongoose.Schema(
+	{
+		election: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Election",
+			required: true,
+		},
+		candidate: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: [true, "Please choose the candidate you are asking"],
+		},
+		askedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		text: {
+			type: String,
+			required: [true, "Please write your question"],
+			trim: true,
+			maxlength: [500, "Questions cannot be more than 500 characters"],
+		},
+		upvotes: [
+			{
+				_id: false,
+				user: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					required: true,
+				},
+				upvotedAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
+		// Kept with upvotes, so the board can be sorted by it
+		upvoteCount: {
+			type: Number,
+			default: 0,
+		},
+		answer: {
+			text: {
+				type: String,
+				trim: true,
+				maxlength: [2000, "Answers cannot be more than 2000 characters"],
+			},
+			answeredBy: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "User",
+			},
+			answeredAt: Date,
+		},
+		status: {
+			type: String,
+			enum: ["visible", "hidden"],
+			default: "visible",
+		},
+		moderation: {
+			moderatedBy: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "User",
+			},
+			moderatedAt: Date,
+			reason: {
+				type: String,
+				trim: true,
+				maxlength: [500, "Reason cannot be more than 500 characters"],
+			},
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+electionQuestionSchema.index({ election: 1, candidate: 1, status: 1, upvoteCount: -1 });
+electionQuestionSchema.index({ election: 1, askedBy: 1 });
+
+electionQuestionSchema.methods.hasUpvoted = function (userId) {
+	return this.upvotes.some((upvote) => upvote.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model("ElectionQuestion", electionQuestionSchema);
@@ -0,0 +1,92 @@
+/** @format */
+
+const mongoose = require("mongoose");
+
+// A student's candidacy for one contest of an election, submitted during the
+// nomination period. Once endorsed by enough eligible students the election
+// committee approves it (which adds the nominee to the contest's candidates)
+// or rejects it, giving a reason either way.
+const nominationSchema = new mongoose.Schema(
+	{
+		election: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Election",
+			required: true,
+		},
+		contest: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: [true, "Please choose the position you are running for"],
+		},
+		nominee: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		biography: {
+			type: String,
+			required: [true, "Please provide a biography"],
+			trim: true,
+			maxlength: [1000, "Biography cannot be more than 1000 characters"],
+		},
+		platform: {
+			type: [
+				{
+					type: String,
+					trim: true,
+					maxlength: [200, "Platform points cannot be more than 200 characters"],
+				},
+			],
+			validate: {
+				validator: (points) => points.length > 0 && points.length <= 10,
+				message: "Please provide between 1 and 10 platform points",
+			},
+		},
+		profileImage: String,
+		endorsements: [
+			{
+				_id: false,
+				user: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					required: true,
+				},
+				endorsedAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
+		status: {
+			type: String,
+			enum: ["pending", "approved", "rejected"],
+			default: "pending",
+		},
+		review: {
+			reviewedBy: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "User",
+			},
+			reviewedAt: Date,
+			reason: {
+				type: String,
+				trim: true,
+				maxlength: [500, "Reason cannot be more than 500 characters"],
+			},
+		},
+		// The candidate entry created on approval
+		candidate: mongoose.Schema.Types.ObjectId,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+// One candidacy per student per election
+nominationSchema.index({ election: 1, nominee: 1 }, { unique: true });
+nominationSchema.index({ election: 1, status: 1 });
+
+nominationSchema.methods.hasEndorsed = function (userId) {
+	return this.endorsements.some((endorsement) => endorsement.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model("Nomination", nominationSchema);
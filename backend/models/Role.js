@@ -0,0 +1,83 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { DEFAULT_ROLES, isValidPermission } = require("../utils/permissions");
+const { OFFICE_KEYS } = require("../utils/offices");
+
+const COMPLAINT_BRANCHES = [
+	"academic",
+	"dining",
+	"housing",
+	"facilities",
+	"disciplinary",
+	"general",
+];
+
+const roleSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, "Please provide a role name"],
+			unique: true,
+			trim: true,
+			lowercase: true,
+			match: [/^[a-z][a-z0-9_]*$/, "Role name may only contain a-z, 0-9 and _"],
+		},
+		displayName: {
+			type: String,
+			required: [true, "Please provide a display name"],
+			trim: true,
+			maxlength: [100, "Display name cannot be more than 100 characters"],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Description cannot be more than 500 characters"],
+		},
+		permissions: {
+			type: [String],
+			validate: {
+				validator: (permissions) => permissions.every(isValidPermission),
+				message: "Role contains an unknown permission",
+			},
+		},
+		// Complaint branches this role's complaint permissions are limited to.
+		// Empty means every branch.
+		branches: [
+			{
+				type: String,
+				enum: COMPLAINT_BRANCHES,
+			},
+		],
+		// Union office whose complaint queue members of this role work
+		office: {
+			type: String,
+			enum: OFFICE_KEYS,
+		},
+		isSystem: {
+			type: Boolean,
+			default: false,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+// Create missing built-in roles. Existing roles are left alone so that
+// permission changes made through the API survive restarts, except that
+// built-in roles created before offices existed get their default office.
+roleSchema.statics.ensureDefaults = async function () {
+	for (const roleData of DEFAULT_ROLES) {
+		const existingRole = await this.findOne({ name: roleData.name });
+		if (!existingRole) {
+			await this.create({ ...roleData, isSystem: true });
+			console.log(`✅ Role created: ${roleData.name}`);
+		} else if (roleData.office && existingRole.isSystem && existingRole.office === undefined) {
+			await this.updateOne({ _id: existingRole._id }, { $set: { office: roleData.office } });
+			console.log(`✅ Role ${roleData.name} given office: ${roleData.office}`);
+		}
+	}
+};
+
+module.exports = mongoose.model("Role", roleSchema);
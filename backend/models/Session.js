@@ -0,0 +1,70 @@
+/** @format */
+
+const mongoose = require("mongoose");
+
+// One session per login. The refresh token itself is never stored, only its
+// SHA-256 hash, and it is rotated on every use.
+const sessionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		refreshTokenHash: {
+			type: String,
+			required: true,
+		},
+		// Hash of the token this one replaced; presenting it again means the
+		// old token leaked, so the whole session is revoked.
+		previousTokenHash: String,
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		lastUsedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		revokedAt: Date,
+		revokedReason: {
+			type: String,
+			enum: ["logout", "logout_all", "password_change", "token_reuse"],
+		},
+		userAgent: String,
+		ipAddress: String,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+sessionSchema.index({ user: 1 });
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Let MongoDB purge expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+	return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function (reason) {
+	this.revokedAt = new Date();
+	this.revokedReason = reason;
+	return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptId) {
+	const query = { user: userId, revokedAt: null };
+	if (exceptId) query._id = { $ne: exceptId };
+
+	return this.updateMany(query, {
+		$set: { revokedAt: new Date(), revokedReason: reason },
+	});
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,84 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const { ANY_CATEGORY, DEFAULT_SLA_POLICIES } = require("../utils/sla");
+
+const slaPolicySchema = new mongoose.Schema(
+	{
+		category: {
+			type: String,
+			required: true,
+			enum: [
+				ANY_CATEGORY,
+				"academic",
+				"dining",
+				"housing",
+				"facilities",
+				"disciplinary",
+				"general",
+			],
+		},
+		priority: {
+			type: String,
+			required: true,
+			enum: ["low", "medium", "high"],
+		},
+		firstResponseHours: {
+			type: Number,
+			required: [true, "Please provide a first response target"],
+			min: [1, "First response target must be at least 1 hour"],
+		},
+		resolutionHours: {
+			type: Number,
+			required: [true, "Please provide a resolution target"],
+			min: [1, "Resolution target must be at least 1 hour"],
+			validate: {
+				validator: function (hours) {
+					return hours >= this.firstResponseHours;
+				},
+				message: "Resolution target cannot be shorter than first response target",
+			},
+		},
+		updatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+// Create missing default policies, leaving edited ones alone
+slaPolicySchema.statics.ensureDefaults = async function () {
+	for (const policyData of DEFAULT_SLA_POLICIES) {
+		const existingPolicy = await this.findOne({
+			category: policyData.category,
+			priority: policyData.priority,
+		});
+		if (!existingPolicy) {
+			await this.create(policyData);
+		}
+	}
+};
+
+// Policy for a category and priority, falling back to the catch-all one
+slaPolicySchema.statics.resolve = async function (category, priority) {
+	const policies = await this.find({
+		category: { $in: [category, ANY_CATEGORY] },
+		priority,
+	});
+	const policy =
+		policies.find((p) => p.category === category) ||
+		policies.find((p) => p.category === ANY_CATEGORY);
+	if (policy) return policy;
+
+	// Nothing stored yet (e.g. before the first startup seeding)
+	return DEFAULT_SLA_POLICIES.find(
+		(p) => p.category === ANY_CATEGORY && p.priority === priority
+	);
+};
+
+module.exports = mongoose.model("SlaPolicy", slaPolicySchema);
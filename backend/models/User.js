@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { roleGrants, isRestricted } = require("../utils/permissions");
 
 // Define the User schema
 const userSchema = new mongoose.Schema(
@@ -74,6 +75,13 @@ const userSchema = new mongoose.Schema(
 			type: Boolean,
 			default: false,
 		},
+		// Permission roles (see models/Role.js); isAdmin only unlocks the admin UI
+		roles: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "Role",
+			},
+		],
 		joinedClubs: [
 			{
 				type: mongoose.Schema.Types.ObjectId,
@@ -159,6 +167,33 @@ userSchema.methods.incLoginAttempts = function() {
 	return this.updateOne(updates);
 };
 
+// Method to check a permission, optionally for a complaint ({ branch, office }).
+// Requires roles to be populated.
+userSchema.methods.hasPermission = function(permission, scope) {
+	return (this.roles || []).some((role) => roleGrants(role, permission, scope));
+};
+
+// Complaints a permission covers: null means all of them, otherwise the
+// branches and offices it is limited to (both empty when not granted at all)
+userSchema.methods.getComplaintScope = function(permission) {
+	const granting = (this.roles || []).filter((role) => roleGrants(role, permission));
+	if (granting.length > 0 && !granting.every(isRestricted)) return null;
+	return {
+		branches: [...new Set(granting.flatMap((role) => role.branches))],
+		offices: [...new Set(granting.map((role) => role.office).filter(Boolean))],
+	};
+};
+
+// Offices the user works in, from their roles
+userSchema.methods.getOffices = function() {
+	return [...new Set((this.roles || []).map((role) => role && role.office).filter(Boolean))];
+};
+
+// Flattened list of granted permissions, for the client
+userSchema.methods.getPermissions = function() {
+	return [...new Set((this.roles || []).flatMap((role) => (role && role.permissions) || []))];
+};
+
 // Virtual for checking if account is locked
 userSchema.virtual('isLocked').get(function() {
 	return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -1,9 +1,10 @@
 /** @format */
 
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 const { protect } = require("../middleware/auth");
+const { issueSession, rotateSession } = require("../utils/sessions");
 const {
 	validateUserRegistration,
 	validateUserLogin,
@@ -11,13 +12,6 @@ const {
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-	return jwt.sign({ id }, process.env.JWT_SECRET, {
-		expiresIn: process.env.JWT_EXPIRE || "7d",
-	});
-};
-
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -50,13 +44,14 @@ router.post("/register", validateUserRegistration, async (req, res) => {
 			studentId: username, // Use username as student ID
 		});
 
-		// Generate token
-		const token = generateToken(user._id);
+		// Start session
+		const { token, refreshToken } = await issueSession(user, req);
 
 		res.status(201).json({
 			success: true,
 			message: "User registered successfully",
 			token,
+			refreshToken,
 			user: {
 				id: user._id,
 				name: user.name,
@@ -67,6 +62,9 @@ router.post("/register", validateUserRegistration, async (req, res) => {
 				role: user.role,
 				isAdmin: user.isAdmin,
 				profileImage: user.profileImage,
+				roles: user.roles.map((role) => role.name),
+				permissions: user.getPermissions(),
+				offices: user.getOffices(),
 			},
 		});
 	} catch (error) {
@@ -130,14 +128,16 @@ router.post("/login", validateUserLogin, async (req, res) => {
 
 		// Update last login
 		await user.updateLastLogin();
+		await user.populate("roles", "name permissions branches office");
 
-		// Generate token
-		const token = generateToken(user._id);
+		// Start session
+		const { token, refreshToken } = await issueSession(user, req);
 
 		res.json({
 			success: true,
 			message: "Login successful",
 			token,
+			refreshToken,
 			user: {
 				id: user._id,
 				name: user.name,
@@ -148,6 +148,9 @@ router.post("/login", validateUserLogin, async (req, res) => {
 				role: user.role,
 				isAdmin: user.isAdmin,
 				profileImage: user.profileImage,
+				roles: user.roles.map((role) => role.name),
+				permissions: user.getPermissions(),
+				offices: user.getOffices(),
 			},
 		});
 	} catch (error) {
@@ -192,12 +195,15 @@ router.post("/admin-login", async (req, res) => {
 			});
 		}
 
-		// Generate token
-		const token = generateToken(user._id);
+		await user.populate("roles", "name permissions branches office");
+
+		// Start session
+		const { token, refreshToken } = await issueSession(user, req);
 		res.json({
 			success: true,
 			message: "Admin login successful",
 			token,
+			refreshToken,
 			user: {
 				id: user._id,
 				name: user.name,
@@ -206,6 +212,9 @@ router.post("/admin-login", async (req, res) => {
 				role: user.role,
 				isAdmin: user.isAdmin,
 				profileImage: user.profileImage,
+				roles: user.roles.map((role) => role.name),
+				permissions: user.getPermissions(),
+				offices: user.getOffices(),
 			},
 		});
 	} catch (error) {
@@ -246,12 +255,13 @@ router.post("/admin-register", validateUserRegistration, async (req, res) => {
 			isAdmin: true,
 		});
 
-		// Generate token and respond
-		const token = generateToken(admin._id);
+		// Start session and respond
+		const { token, refreshToken } = await issueSession(admin, req);
 		res.status(201).json({
 			success: true,
 			message: "Admin registered successfully",
 			token,
+			refreshToken,
 			user: admin,
 		});
 	} catch (error) {
@@ -267,11 +277,16 @@ router.get("/profile", protect, async (req, res) => {
 	try {
 		const user = await User.findById(req.user.id)
 			.populate("joinedClubs", "name category")
+			.populate("roles", "name displayName permissions branches office")
 			.select("-password");
 
 		res.json({
 			success: true,
-			user,
+			user: {
+				...user.toObject(),
+				permissions: user.getPermissions(),
+				offices: user.getOffices(),
+			},
 		});
 	} catch (error) {
 		console.error("Profile fetch error:", error);
@@ -306,6 +321,7 @@ router.put("/profile", protect, async (req, res) => {
 		if (email) user.email = email;
 
 		await user.save();
+		await user.populate("roles", "name permissions branches office");
 
 		res.json({
 			success: true,
@@ -322,6 +338,9 @@ router.put("/profile", protect, async (req, res) => {
 				role: user.role,
 				isAdmin: user.isAdmin,
 				profileImage: user.profileImage,
+				roles: user.roles.map((role) => role.name),
+				permissions: user.getPermissions(),
+				offices: user.getOffices(),
 			},
 		});
 	} catch (error) {
@@ -369,6 +388,9 @@ router.put("/change-password", protect, async (req, res) => {
 		user.password = newPassword;
 		await user.save();
 
+		// Sign out every other device
+		await Session.revokeAllForUser(user._id, "password_change", req.sessionId);
+
 		res.json({
 			success: true,
 			message: "Password changed successfully",
@@ -382,14 +404,93 @@ router.put("/change-password", protect, async (req, res) => {
 	}
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Exchange refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post("/refresh", async (req, res) => {
+	try {
+		const { refreshToken } = req.body;
+
+		if (!refreshToken || typeof refreshToken !== "string") {
+			return res.status(400).json({
+				success: false,
+				message: "Refresh token is required",
+			});
+		}
+
+		const rotated = await rotateSession(refreshToken, req);
+		if (!rotated) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid or expired refresh token",
+			});
+		}
+
+		const user = await User.findById(rotated.session.user);
+		if (!user || !user.isActive) {
+			await rotated.session.revoke("logout");
+			return res.status(401).json({
+				success: false,
+				message: "Account has been deactivated",
+			});
+		}
+
+		res.json({
+			success: true,
+			token: rotated.token,
+			refreshToken: rotated.refreshToken,
+		});
+	} catch (error) {
+		console.error("Token refresh error:", error);
+		res.status(500).json({
+			success: false,
+			message: "Server error refreshing session",
+		});
+	}
+});
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post("/logout", protect, (req, res) => {
-	res.json({
-		success: true,
-		message: "Logged out successfully",
-	});
+router.post("/logout", protect, async (req, res) => {
+	try {
+		const session = await Session.findById(req.sessionId);
+		if (session && !session.revokedAt) {
+			await session.revoke("logout");
+		}
+
+		res.json({
+			success: true,
+			message: "Logged out successfully",
+		});
+	} catch (error) {
+		console.error("Logout error:", error);
+		res.status(500).json({
+			success: false,
+			message: "Server error during logout",
+		});
+	}
+});
+
+// @desc    Logout user from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post("/logout-all", protect, async (req, res) => {
+	try {
+		const result = await Session.revokeAllForUser(req.user._id, "logout_all");
+
+		res.json({
+			success: true,
+			message: "Logged out from all devices",
+			revokedSessions: result.modifiedCount,
+		});
+	} catch (error) {
+		console.error("Logout all error:", error);
+		res.status(500).json({
+			success: false,
+			message: "Server error logging out devices",
+		});
+	}
 });
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const Club = require('../models/Club');
 const User = require('../models/User');
-const { protect, adminOnly, optionalAuth } = require('../middleware/auth');
+const { protect, requirePermission, optionalAuth } = require('../middleware/auth');
 const { validateClub } = require('../middleware/validation');
 
 const router = express.Router();
@@ -20,8 +20,8 @@ router.get('/', optionalAuth, async (req, res) => {
     // Build query
     let query = {};
     
-    // Only show active clubs to non-admin users
-    if (!req.user || !req.user.isAdmin) {
+    // Only show active clubs to users who can't manage clubs
+    if (!req.user || !req.user.hasPermission('clubs:manage')) {
       query.status = 'active';
     } else if (status) {
       query.status = status;
@@ -102,8 +102,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if club is active for non-admin users
-    if ((!req.user || !req.user.isAdmin) && club.status !== 'active') {
+    // Check if club is active for users who can't manage clubs
+    if ((!req.user || !req.user.hasPermission('clubs:manage')) && club.status !== 'active') {
       return res.status(404).json({
         success: false,
         message: 'Club not found'
@@ -125,8 +125,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
 // @desc    Create new club
 // @route   POST /api/clubs
-// @access  Private/Admin
-router.post('/', protect, adminOnly, validateClub, async (req, res) => {
+// @access  Private (clubs:manage)
+router.post('/', protect, requirePermission('clubs:manage'), validateClub, async (req, res) => {
   try {
     const { name, description, category, founded, image, contactEmail, meetingSchedule, requirements } = req.body;
 
@@ -167,8 +167,8 @@ router.post('/', protect, adminOnly, validateClub, async (req, res) => {
 
 // @desc    Update club
 // @route   PUT /api/clubs/:id
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (clubs:manage)
+router.put('/:id', protect, requirePermission('clubs:manage'), async (req, res) => {
   try {
     const { name, description, category, image, contactEmail, meetingSchedule, requirements, status } = req.body;
 
@@ -222,8 +222,8 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Delete club
 // @route   DELETE /api/clubs/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (clubs:delete)
+router.delete('/:id', protect, requirePermission('clubs:delete'), async (req, res) => {
   try {
     const club = await Club.findById(req.params.id);
     if (!club) {
@@ -283,7 +283,7 @@ router.post('/:id/join', protect, async (req, res) => {
     }
 
     // Check if user is already a member
-    const existingMember = club.members.find(member => member.user.toString() === (req.user._id || req.user.id));
+    const existingMember = club.members.find(member => member.user.toString() === req.user.id);
     if (existingMember) {
       if (existingMember.status === 'pending') {
         return res.status(400).json({
@@ -299,7 +299,7 @@ router.post('/:id/join', protect, async (req, res) => {
 
     // Add user to club members
     club.members.push({
-      user: req.user._id || req.user.id,
+      user: req.user._id,
       fullName,
       department,
       year,
@@ -326,8 +326,8 @@ router.post('/:id/join', protect, async (req, res) => {
 
 // @desc    Approve club member
 // @route   PATCH /api/clubs/:id/members/:memberId/approve
-// @access  Private/Admin
-router.patch('/:id/members/:memberId/approve', protect, adminOnly, async (req, res) => {
+// @access  Private (clubs:approve_members)
+router.patch('/:id/members/:memberId/approve', protect, requirePermission('clubs:approve_members'), async (req, res) => {
   try {
     const club = await Club.findById(req.params.id);
     if (!club) {
@@ -368,8 +368,8 @@ router.patch('/:id/members/:memberId/approve', protect, adminOnly, async (req, r
 
 // @desc    Reject club member
 // @route   PATCH /api/clubs/:id/members/:memberId/reject
-// @access  Private/Admin
-router.patch('/:id/members/:memberId/reject', protect, adminOnly, async (req, res) => {
+// @access  Private (clubs:approve_members)
+router.patch('/:id/members/:memberId/reject', protect, requirePermission('clubs:approve_members'), async (req, res) => {
   try {
     const club = await Club.findById(req.params.id);
     if (!club) {
@@ -405,8 +405,8 @@ router.patch('/:id/members/:memberId/reject', protect, adminOnly, async (req, re
 
 // @desc    Get club join requests
 // @route   GET /api/clubs/:id/join-requests
-// @access  Private/Admin
-router.get('/:id/join-requests', protect, adminOnly, async (req, res) => {
+// @access  Private (clubs:approve_members)
+router.get('/:id/join-requests', protect, requirePermission('clubs:approve_members'), async (req, res) => {
   try {
     const club = await Club.findById(req.params.id)
       .populate('members.user', 'name username');
@@ -446,7 +446,7 @@ router.post('/:id/leave', protect, async (req, res) => {
     }
 
     // Check if user is a member
-    const memberIndex = club.members.findIndex(member => member.user.toString() === (req.user._id || req.user.id));
+    const memberIndex = club.members.findIndex(member => member.user.toString() === req.user.id);
     if (memberIndex === -1) {
       return res.status(400).json({
         success: false,
@@ -459,7 +459,7 @@ router.post('/:id/leave', protect, async (req, res) => {
     await club.save();
 
     // Remove club from user's joinedClubs
-    await User.findByIdAndUpdate(req.user._id || req.user.id, {
+    await User.findByIdAndUpdate(req.user._id, {
       $pull: { joinedClubs: club._id }
     });
 
@@ -478,8 +478,8 @@ router.post('/:id/leave', protect, async (req, res) => {
 
 // @desc    Get club statistics
 // @route   GET /api/clubs/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, adminOnly, async (req, res) => {
+// @access  Private (clubs:stats)
+router.get('/stats/overview', protect, requirePermission('clubs:stats'), async (req, res) => {
   try {
     const totalClubs = await Club.countDocuments();
     const activeClubs = await Club.countDocuments({ status: 'active' });
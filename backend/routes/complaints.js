@@ -1,11 +1,198 @@
 const express = require('express');
 const Complaint = require('../models/Complaint');
+const ComplaintEvent = require('../models/ComplaintEvent');
 const User = require('../models/User');
-const { protect, adminOnly, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validateComplaint } = require('../middleware/validation');
+const {
+  MAX_EVIDENCE_PER_COMPLAINT,
+  handleEvidenceUpload,
+  evidencePath,
+  removeEvidenceFiles
+} = require('../middleware/upload');
+const { OFFICES, getOffice } = require('../utils/offices');
+const { OPEN_STATUSES, REOPEN_WINDOW_DAYS } = require('../utils/sla');
+const { findLikelyDuplicates } = require('../utils/duplicates');
+const {
+  COMPLAINT_STATUSES,
+  canTransition,
+  transitionError,
+  allowedTransitions
+} = require('../utils/complaintStatus');
+const {
+  buildComplaintReport,
+  reportToCsv,
+  reportToPdf,
+  reportFilename
+} = require('../utils/complaintReport');
 
 const router = express.Router();
 
+// Can the user exercise a complaint permission on this complaint
+const canHandle = (user, permission, complaint) =>
+  user.hasPermission(permission, {
+    branch: complaint.branch || complaint.category,
+    office: complaint.office
+  });
+
+// Id of a ref that may or may not be populated
+const idOf = (ref) => ref && (ref._id || ref).toString();
+
+const isOwnComplaint = (user, complaint) =>
+  idOf(complaint.submittedBy) === user.id;
+
+const isWatching = (user, complaint) =>
+  (complaint.watchers || []).some(ref => idOf(ref) === user.id);
+
+// Submitter and officers who can read it see the whole case
+const canViewCase = (user, complaint) =>
+  isOwnComplaint(user, complaint) ||
+  canHandle(user, 'complaints:read', complaint);
+
+// Followers may also see it, redacted (see visibleTo)
+const canView = (user, complaint) =>
+  canViewCase(user, complaint) || isWatching(user, complaint);
+
+// Roles the user plays in the complaint's status transitions
+const transitionActors = (user, complaint) => [
+  ...(isOwnComplaint(user, complaint) ? ['submitter'] : []),
+  ...(canHandle(user, 'complaints:update_status', complaint) ? ['officer'] : [])
+];
+
+// 409 for a status change the transition graph does not allow
+const transitionConflict = (res, user, complaint, to, error) =>
+  res.status(409).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    from: complaint.status,
+    to,
+    allowedTransitions: allowedTransitions(complaint, transitionActors(user, complaint))
+  });
+
+// Longest reason the timeline keeps for a change (see ComplaintEvent)
+const MAX_REASON_LENGTH = 500;
+const REOPEN_PREFIX = 'Reopened: ';
+
+// Why a change's reason can't go on the timeline, or null if it can
+const reasonError = (reason, max = MAX_REASON_LENGTH) =>
+  typeof reason === 'string' && reason.trim().length > max
+    ? `Reason cannot be more than ${max} characters`
+    : null;
+
+// 400 for a reason that is too long
+const reasonTooLong = (res, message) =>
+  res.status(400).json({
+    success: false,
+    message
+  });
+
+// Suggestion shown to a student; no description or submitter details
+const duplicateSummary = ({ complaint, similarity }) => ({
+  _id: complaint._id,
+  caseId: complaint.caseId,
+  title: complaint.title,
+  status: complaint.status,
+  office: complaint.office,
+  createdAt: complaint.createdAt,
+  affected: complaint.watchers.length + 1,
+  similarity: Math.round(similarity * 100) / 100
+});
+
+// Name shown for a submitter's own entries in the thread
+const submitterName = (user, complaint) =>
+  complaint.isAnonymous ? 'Anonymous' : user.name;
+
+// Complaint as seen by a user: internal notes are stripped for anyone who
+// cannot read the complaint as an officer, and an anonymous submitter's
+// identity is sealed from everyone but themselves. Followers only share the
+// problem, so they get its title, status and outcome without the submitter,
+// the description, the thread or the evidence; a merged duplicate's submitter
+// still gets the files they uploaded themselves.
+const visibleTo = (user, complaint) => {
+  const data = complaint.toObject();
+  if (!canViewCase(user, complaint)) {
+    data.submittedBy = null;
+    delete data.description;
+    data.responses = [];
+    data.evidence = data.evidence.filter(file => idOf(file.uploadedBy) === user.id);
+    delete data.unsealHistory;
+    delete data.reopenHistory;
+    delete data.officeHistory;
+    delete data.satisfactionRating;
+    delete data.satisfactionFeedback;
+    delete data.ratedAt;
+    data.followerView = true;
+  }
+  if (!canHandle(user, 'complaints:read', complaint)) {
+    data.responses = data.responses.filter(r => r.visibility !== 'internal');
+  }
+  // Files are downloaded by evidence id; the stored name stays server-side
+  data.evidence = data.evidence.map(({ filename, ...file }) => file);
+  if (complaint.isAnonymous && !isOwnComplaint(user, complaint)) {
+    const submitterId = idOf(complaint.submittedBy);
+    data.submittedBy = null;
+    data.responses = data.responses.map(r =>
+      idOf(r.authorId) === submitterId
+        ? { ...r, author: 'Anonymous', authorId: null }
+        : r
+    );
+    data.evidence = data.evidence.map(file =>
+      idOf(file.uploadedBy) === submitterId ? { ...file, uploadedBy: null } : file
+    );
+  }
+  // Watcher ids could identify students, so only expose the count
+  data.watcherCount = data.watchers.length;
+  data.isWatching = isWatching(user, complaint);
+  delete data.watchers;
+  data.allowedTransitions = allowedTransitions(complaint, transitionActors(user, complaint));
+  return data;
+};
+
+const branchForbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    message: 'Not authorized to handle complaints for this branch'
+  });
+
+// Evidence is private to the submitter and the assigned officer
+const canAccessEvidence = (user, complaint) =>
+  [complaint.submittedBy, complaint.assignedTo].some(ref => idOf(ref) === user.id);
+
+// Files also stay available to whoever uploaded them, e.g. the submitter of a
+// duplicate merged into this complaint
+const canAccessEvidenceFile = (user, complaint, file) =>
+  canAccessEvidence(user, complaint) || idOf(file.uploadedBy) === user.id;
+
+// Load the complaint for an evidence upload before any file is written
+const loadEvidenceComplaint = async (req, res, next) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canAccessEvidence(req.user, complaint)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the submitter and the assigned officer can add evidence'
+      });
+    }
+
+    req.complaint = complaint;
+    next();
+  } catch (error) {
+    console.error('Load complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading evidence'
+    });
+  }
+};
+
 // @desc    Get all complaints
 // @route   GET /api/complaints
 // @access  Private
@@ -19,15 +206,26 @@ router.get('/', protect, async (req, res) => {
 
     // Build query
     let query = {};
-    
-    // Non-admin users can only see their own complaints
-    if (!req.user.isAdmin && !req.user.role === 'admin') {
-      // For mock users, don't filter by submittedBy since they won't have real ObjectIds
-      if (req.user.id && !req.user.id.toString().includes('admin_') && 
-          !req.user.id.toString().includes('student_') && 
-          !req.user.id.toString().includes('google_')) {
-        query.submittedBy = req.user.id;
-      }
+    const conditions = [];
+
+    // Officers see their branches and office queues (plus their own
+    // complaints), everyone else only their own complaints
+    const scope = req.user.getComplaintScope('complaints:read');
+    if (scope === null) {
+      // Unrestricted: every complaint
+    } else if (scope.branches.length > 0 || scope.offices.length > 0) {
+      conditions.push({
+        $or: [
+          { branch: { $in: scope.branches } },
+          { office: { $in: scope.offices } },
+          { submittedBy: req.user._id },
+          { watchers: req.user._id }
+        ]
+      });
+    } else {
+      conditions.push({
+        $or: [{ submittedBy: req.user._id }, { watchers: req.user._id }]
+      });
     }
 
     if (status) query.status = status;
@@ -35,13 +233,17 @@ router.get('/', protect, async (req, res) => {
     if (priority) query.priority = priority;
     
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { caseId: { $regex: search, $options: 'i' } }
-      ];
+      conditions.push({
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } },
+          { caseId: { $regex: search, $options: 'i' } }
+        ]
+      });
     }
 
+    if (conditions.length > 0) query.$and = conditions;
+
     const complaints = await Complaint.find(query)
       .populate('submittedBy', 'name email studentId')
       .populate('assignedTo', 'name email role')
@@ -58,8 +260,8 @@ router.get('/', protect, async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      complaints,
-      data: complaints // Add data field for compatibility
+      complaints: complaints.map(complaint => visibleTo(req.user, complaint)),
+      data: complaints.map(complaint => visibleTo(req.user, complaint)) // Add data field for compatibility
     });
   } catch (error) {
     console.error('Get complaints error:', error);
@@ -70,15 +272,158 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// @desc    Get single complaint
-// @route   GET /api/complaints/:id
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @desc    Get the caller's office complaint queue
+// @route   GET /api/complaints/inbox
+// @access  Private (complaints:read)
+router.get('/inbox', protect, requirePermission('complaints:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const { office, status, priority } = req.query;
+
+    const offices = req.user.getOffices();
+    if (office && !offices.includes(office)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this office'
+      });
+    }
+
+    const query = { office: { $in: office ? [office] : offices } };
+    if (status) query.status = status;
+    if (priority) query.priority = priority;
+
+    const complaints = await Complaint.find(query)
+      .populate('submittedBy', 'name email studentId')
+      .populate('assignedTo', 'name email role')
+      .populate('responses.authorId', 'name role')
+      .sort({ isUrgent: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Complaint.countDocuments(query);
+
+    res.json({
+      success: true,
+      offices: offices.map(key => getOffice(key)),
+      count: complaints.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      complaints: complaints.map(complaint => visibleTo(req.user, complaint))
+    });
+  } catch (error) {
+    console.error('Get complaint inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching office inbox'
+    });
+  }
+});
+
+// Parse a report date; a bare `to` date covers that whole day
+const parseReportDate = (value, endOfDay) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+// @desc    Complaint report per office: volumes, median resolution time,
+//          SLA breaches and satisfaction, as JSON, CSV or PDF
+// @route   GET /api/complaints/reports?from&to&branch&category&status&format
+// @access  Private (complaints:reports)
+router.get('/reports', protect, requirePermission('complaints:reports'), async (req, res) => {
+  try {
+    const { branch, category, status, format = 'json' } = req.query;
+    const from = parseReportDate(req.query.from, false);
+    const to = parseReportDate(req.query.to, true);
+    const categories = Complaint.schema.path('category').enumValues;
+
+    const problems = [];
+    if (from === null) problems.push('Invalid from date');
+    if (to === null) problems.push('Invalid to date');
+    if (from && to && from > to) problems.push('The from date must be before the to date');
+    if (branch && !categories.includes(branch)) problems.push('Invalid branch');
+    if (category && !categories.includes(category)) problems.push('Invalid category');
+    if (status && !COMPLAINT_STATUSES.includes(status)) problems.push('Invalid status');
+    if (!REPORT_FORMATS.includes(format)) problems.push('Format must be json, csv or pdf');
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join(', ')
+      });
+    }
+
+    const report = await buildComplaintReport({ from, to, branch, category, status });
+
+    if (format === 'csv') {
+      res.attachment(reportFilename(report, 'csv'));
+      res.type('text/csv');
+      return res.send(reportToCsv(report));
+    }
+    if (format === 'pdf') {
+      res.attachment(reportFilename(report, 'pdf'));
+      res.type('application/pdf');
+      return res.send(reportToPdf(report));
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Complaint report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating complaint report'
+    });
+  }
+});
+
+// @desc    Get union offices with open complaint counts
+// @route   GET /api/complaints/offices
+// @access  Private (complaints:read)
+router.get('/offices', protect, requirePermission('complaints:read'), async (req, res) => {
   try {
-    const complaint = await Complaint.findById(req.params.id)
+    const openCounts = await Complaint.aggregate([
+      { $match: { status: { $in: OPEN_STATUSES } } },
+      { $group: { _id: '$office', count: { $sum: 1 } } }
+    ]);
+    const countByOffice = new Map(openCounts.map(c => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      offices: OFFICES.map(office => ({
+        ...office,
+        openComplaints: countByOffice.get(office.key) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get offices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching offices'
+    });
+  }
+});
+
+// Send a single complaint to the submitter or an officer who can read it
+const sendComplaint = async (req, res, filter) => {
+  try {
+    const complaint = await Complaint.findOne(filter)
       .populate('submittedBy', 'name email studentId')
       .populate('assignedTo', 'name email role')
-      .populate('responses.authorId', 'name role');
+      .populate('responses.authorId', 'name role')
+      .populate('officeHistory.transferredBy', 'name role')
+      .populate('unsealHistory.unsealedBy', 'name role');
 
     if (!complaint) {
       return res.status(404).json({
@@ -88,7 +433,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user can access this complaint
-    if (!req.user.isAdmin && !req.user.role === 'admin' && complaint.submittedBy && complaint.submittedBy._id.toString() !== req.user.id) {
+    if (!canView(req.user, complaint)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this complaint'
@@ -97,7 +442,7 @@ router.get('/:id', protect, async (req, res) => {
 
     res.json({
       success: true,
-      complaint
+      complaint: visibleTo(req.user, complaint)
     });
   } catch (error) {
     console.error('Get complaint error:', error);
@@ -106,30 +451,61 @@ router.get('/:id', protect, async (req, res) => {
       message: 'Server error fetching complaint'
     });
   }
-});
+};
+
+// @desc    Get complaint by case ID
+// @route   GET /api/complaints/case/:caseId
+// @access  Private
+router.get('/case/:caseId', protect, (req, res) =>
+  sendComplaint(req, res, { caseId: req.params.caseId.toUpperCase() })
+);
+
+// @desc    Get single complaint
+// @route   GET /api/complaints/:id
+// @access  Private
+router.get('/:id', protect, (req, res) =>
+  sendComplaint(req, res, { _id: req.params.id })
+);
 
 // @desc    Create new complaint
 // @route   POST /api/complaints
 // @access  Private
 router.post('/', protect, validateComplaint, async (req, res) => {
   try {
-    const { title, description, category, priority, branch } = req.body;
+    const { title, description, category, priority, branch, anonymous, skipDuplicateCheck } = req.body;
+
+    // Offer to +1 an open case about the same issue instead
+    if (!skipDuplicateCheck) {
+      const duplicates = await findLikelyDuplicates({ title, description, category });
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Similar complaints are already open',
+          duplicates: duplicates.map(duplicateSummary)
+        });
+      }
+    }
 
-    const complaint = await Complaint.create({
+    const complaint = new Complaint({
       title,
       description,
       category,
       priority: priority || 'medium',
       branch: branch || category,
-      submittedBy: req.user._id || req.user.id
+      submittedBy: req.user._id,
+      isAnonymous: !!anonymous
     });
+    // Shown once; the student needs it to track the case by caseId
+    const followUpCode = complaint.isAnonymous ? complaint.issueFollowUpCode() : undefined;
 
+    await complaint.save();
     await complaint.populate('submittedBy', 'name email studentId');
 
     res.status(201).json({
       success: true,
       message: 'Complaint submitted successfully',
-      complaint
+      complaint: visibleTo(req.user, complaint),
+      ...(followUpCode && { followUpCode })
     });
   } catch (error) {
     console.error('Create complaint error:', error);
@@ -140,17 +516,65 @@ router.post('/', protect, validateComplaint, async (req, res) => {
   }
 });
 
-// @desc    Update complaint status
-// @route   PATCH /api/complaints/:id/status
-// @access  Private/Admin
-router.patch('/:id/status', protect, adminOnly, async (req, res) => {
+// @desc    Track an anonymous complaint by case ID and follow-up code
+// @route   POST /api/complaints/track
+// @access  Public
+router.post('/track', async (req, res) => {
+  try {
+    const { caseId, followUpCode } = req.body;
+
+    const complaint = caseId
+      ? await Complaint.findOne({ caseId: String(caseId).trim().toUpperCase() }).select('+followUpCodeHash')
+      : null;
+
+    // Same answer for an unknown case and a wrong code
+    if (!complaint || !complaint.isAnonymous || !complaint.matchFollowUpCode(followUpCode)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No case matches this case ID and follow-up code'
+      });
+    }
+
+    res.json({
+      success: true,
+      complaint: {
+        caseId: complaint.caseId,
+        title: complaint.title,
+        category: complaint.category,
+        status: complaint.status,
+        office: complaint.office,
+        createdAt: complaint.createdAt,
+        resolvedAt: complaint.resolvedAt,
+        responses: complaint.responses
+          .filter(r => r.visibility !== 'internal')
+          .map(r => ({
+            author: r.author,
+            message: r.message,
+            timestamp: r.timestamp,
+            isOfficial: r.isOfficial
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Track complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error tracking complaint'
+    });
+  }
+});
+
+// @desc    Reveal the submitter of an anonymous complaint
+// @route   POST /api/complaints/:id/unseal
+// @access  Private (complaints:unseal, audited)
+router.post('/:id/unseal', protect, requirePermission('complaints:unseal'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { reason } = req.body;
 
-    if (!['submitted', 'under_review', 'resolved', 'closed'].includes(status)) {
+    if (!reason || reason.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        message: 'A reason is required to unseal a submitter'
       });
     }
 
@@ -162,91 +586,103 @@ router.patch('/:id/status', protect, adminOnly, async (req, res) => {
       });
     }
 
-    complaint.status = status;
-    if (status === 'under_review' && !complaint.assignedTo) {
-      complaint.assignedTo = req.user.id;
+    if (!complaint.isAnonymous) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint is not anonymous'
+      });
     }
 
+    // Record the unseal before revealing anything
+    complaint.unsealHistory.push({
+      unsealedBy: req.user._id,
+      reason: reason.trim()
+    });
     await complaint.save();
-    await complaint.populate('submittedBy', 'name email');
-    await complaint.populate('assignedTo', 'name email role');
+
+    await complaint.populate('submittedBy', 'name email username studentId department year');
 
     res.json({
       success: true,
-      message: 'Complaint status updated successfully',
-      complaint
+      message: 'Submitter unsealed. This action has been recorded.',
+      submitter: complaint.submittedBy
     });
   } catch (error) {
-    console.error('Update complaint status error:', error);
+    console.error('Unseal complaint error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating complaint status'
+      message: 'Server error unsealing complaint'
     });
   }
 });
 
-// @desc    Add response to complaint
-// @route   POST /api/complaints/:id/responses
-// @access  Private/Admin
-router.post('/:id/responses', protect, adminOnly, async (req, res) => {
+// @desc    Join an existing complaint ("+1") instead of filing a duplicate
+// @route   POST /api/complaints/:id/support
+// @access  Private
+router.post('/:id/support', protect, async (req, res) => {
   try {
-    const { message } = req.body;
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
 
-    if (!message || message.trim().length === 0) {
+    if (complaint.mergedInto || !OPEN_STATUSES.includes(complaint.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Response message is required'
+        message: 'This complaint is no longer open'
       });
     }
 
-    const complaint = await Complaint.findById(req.params.id);
-    if (!complaint) {
-      return res.status(404).json({
+    if (isOwnComplaint(req.user, complaint)) {
+      return res.status(400).json({
         success: false,
-        message: 'Complaint not found'
+        message: 'You submitted this complaint'
       });
     }
 
-    const response = {
-      author: req.user.name,
-      authorId: req.user.id,
-      message: message.trim(),
-      isOfficial: true
-    };
-
-    complaint.responses.push(response);
-    
-    // Update status to under_review if it's still submitted
-    if (complaint.status === 'submitted') {
-      complaint.status = 'under_review';
-      complaint.assignedTo = req.user.id;
+    // Anonymous complaints are never offered as duplicates, and following
+    // one would show who else is involved
+    if (complaint.isAnonymous) {
+      return res.status(400).json({
+        success: false,
+        message: 'Anonymous complaints cannot be followed'
+      });
     }
 
-    await complaint.save();
-    await complaint.populate('responses.authorId', 'name role');
+    const updated = await Complaint.findByIdAndUpdate(
+      complaint._id,
+      { $addToSet: { watchers: req.user._id } },
+      { new: true }
+    );
 
     res.json({
       success: true,
-      message: 'Response added successfully',
-      response: complaint.responses[complaint.responses.length - 1]
+      message: 'You have been added to this complaint',
+      caseId: updated.caseId,
+      watcherCount: updated.watchers.length
     });
   } catch (error) {
-    console.error('Add response error:', error);
+    console.error('Support complaint error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error adding response'
+      message: 'Server error supporting complaint'
     });
   }
 });
 
-// @desc    Assign complaint to admin
-// @route   PATCH /api/complaints/:id/assign
-// @access  Private/Admin
-router.patch('/:id/assign', protect, adminOnly, async (req, res) => {
+// @desc    Stop following a complaint
+// @route   DELETE /api/complaints/:id/support
+// @access  Private
+router.delete('/:id/support', protect, async (req, res) => {
   try {
-    const { assignedTo } = req.body;
-
-    const complaint = await Complaint.findById(req.params.id);
+    const complaint = await Complaint.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { watchers: req.user._id } },
+      { new: true }
+    );
     if (!complaint) {
       return res.status(404).json({
         success: false,
@@ -254,57 +690,916 @@ router.patch('/:id/assign', protect, adminOnly, async (req, res) => {
       });
     }
 
-    // Verify assigned user exists and is admin
-    const assignedUser = await User.findById(assignedTo);
-    if (!assignedUser || !assignedUser.isAdmin) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      message: 'You are no longer following this complaint',
+      watcherCount: complaint.watchers.length
+    });
+  } catch (error) {
+    console.error('Unsupport complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating complaint'
+    });
+  }
+});
+
+// @desc    Get likely duplicates of a complaint
+// @route   GET /api/complaints/:id/duplicates
+// @access  Private (complaints:merge)
+router.get('/:id/duplicates', protect, requirePermission('complaints:merge'), async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid user assignment'
+        message: 'Complaint not found'
       });
     }
 
-    complaint.assignedTo = assignedTo;
-    if (complaint.status === 'submitted') {
-      complaint.status = 'under_review';
+    if (!canHandle(req.user, 'complaints:merge', complaint)) {
+      return branchForbidden(res);
     }
 
-    await complaint.save();
-    await complaint.populate('assignedTo', 'name email role');
+    const duplicates = await findLikelyDuplicates(complaint, { excludeId: complaint._id });
 
     res.json({
       success: true,
-      message: 'Complaint assigned successfully',
-      complaint
+      duplicates: duplicates.map(duplicateSummary)
     });
   } catch (error) {
-    console.error('Assign complaint error:', error);
+    console.error('Get duplicates error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error assigning complaint'
+      message: 'Server error fetching duplicates'
     });
   }
 });
 
-// @desc    Get complaint statistics
-// @route   GET /api/complaints/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, adminOnly, async (req, res) => {
+// @desc    Merge duplicate complaints into this one
+// @route   POST /api/complaints/:id/merge
+// @access  Private (complaints:merge)
+router.post('/:id/merge', protect, requirePermission('complaints:merge'), async (req, res) => {
   try {
-    const totalComplaints = await Complaint.countDocuments();
-    const pendingComplaints = await Complaint.countDocuments({ status: 'submitted' });
-    const underReviewComplaints = await Complaint.countDocuments({ status: 'under_review' });
-    const resolvedComplaints = await Complaint.countDocuments({ status: 'resolved' });
+    const caseIds = [].concat(req.body.caseIds || []).map(caseId => String(caseId).trim().toUpperCase());
 
-    // Complaints by category
-    const complaintsByCategory = await Complaint.aggregate([
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+    if (caseIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the case IDs to merge'
+      });
+    }
 
-    // Complaints by priority
-    const complaintsByPriority = await Complaint.aggregate([
-      { $group: { _id: '$priority', count: { $sum: 1 } } }
-    ]);
+    const primary = await Complaint.findById(req.params.id);
+    if (!primary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canHandle(req.user, 'complaints:merge', primary)) {
+      return branchForbidden(res);
+    }
+
+    if (primary.mergedInto || primary.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge into a closed complaint'
+      });
+    }
+
+    const duplicates = await Complaint.find({ caseId: { $in: caseIds } });
+
+    // Validate everything before changing anything
+    const problems = caseIds
+      .filter(caseId => !duplicates.some(d => d.caseId === caseId))
+      .map(caseId => `${caseId} not found`);
+    duplicates.forEach(duplicate => {
+      if (duplicate._id.equals(primary._id)) {
+        problems.push(`${duplicate.caseId} is the primary case`);
+      } else if (duplicate.mergedInto) {
+        problems.push(`${duplicate.caseId} is already merged`);
+      } else if (!canTransition(duplicate.status, 'closed')) {
+        problems.push(`${duplicate.caseId} is already closed`);
+      } else if (duplicate.isAnonymous) {
+        // Its thread and evidence would expose the sealed submitter
+        problems.push(`${duplicate.caseId} is anonymous and cannot be merged`);
+      } else if (!canHandle(req.user, 'complaints:merge', duplicate)) {
+        problems.push(`${duplicate.caseId} is outside your branches`);
+      }
+    });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join(', ')
+      });
+    }
+
+    const primaryOwner = idOf(primary.submittedBy);
+
+    for (const duplicate of duplicates) {
+      duplicate.responses.forEach(response => {
+        primary.responses.push({ ...response.toObject(), mergedFrom: duplicate.caseId });
+      });
+      duplicate.evidence.forEach(file => primary.evidence.push(file.toObject()));
+
+      [duplicate.submittedBy, ...duplicate.watchers]
+        .filter(ref => idOf(ref) !== primaryOwner && !isWatching({ id: idOf(ref) }, primary))
+        .forEach(ref => primary.watchers.push(ref));
+
+      primary.mergedCases.push({
+        complaint: duplicate._id,
+        caseId: duplicate.caseId,
+        mergedBy: req.user._id
+      });
+
+      // Evidence files now belong to the primary case
+      duplicate.evidence = [];
+      duplicate.watchers = [];
+      duplicate.mergedInto = primary._id;
+      duplicate.status = 'closed';
+      duplicate.resolutionSummary = `Merged into ${primary.caseId}`;
+      duplicate.audit(req.user._id, `Merged into ${primary.caseId}`);
+      duplicate.responses.push({
+        author: req.user.name,
+        authorId: req.user._id,
+        message: `Merged into ${primary.caseId}. Follow that case for updates.`,
+        isOfficial: true
+      });
+    }
+
+    primary.responses.sort((a, b) => a.timestamp - b.timestamp);
+
+    await primary.save();
+    await Promise.all(duplicates.map(duplicate => duplicate.save()));
+
+    res.json({
+      success: true,
+      message: `Merged ${duplicates.length} complaint(s) into ${primary.caseId}`,
+      complaint: visibleTo(req.user, primary)
+    });
+  } catch (error) {
+    console.error('Merge complaints error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging complaints'
+    });
+  }
+});
+
+// @desc    Get complaint history
+// @route   GET /api/complaints/:id/timeline
+// @access  Private
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    // The history holds the thread and who did what, so followers don't get it
+    if (!canViewCase(req.user, complaint)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this complaint'
+      });
+    }
+
+    const events = await ComplaintEvent.find({ complaint: complaint._id })
+      .populate('actor', 'name role')
+      .sort({ createdAt: 1 });
+
+    // Show assignees by name rather than id
+    const assigneeIds = events.flatMap(event =>
+      event.changes
+        .filter(change => change.field === 'assignedTo')
+        .flatMap(change => [change.from, change.to])
+        .filter(Boolean)
+    );
+    const assignees = await User.find({ _id: { $in: assigneeIds } }).select('name');
+    const assigneeName = new Map(assignees.map(u => [u._id.toString(), u.name]));
+
+    const sealed = complaint.isAnonymous && !isOwnComplaint(req.user, complaint);
+    const submitterId = idOf(complaint.submittedBy);
+
+    res.json({
+      success: true,
+      timeline: events.map(event => {
+        const data = event.toObject();
+        if (sealed && idOf(data.actor) === submitterId) {
+          data.actor = { name: 'Anonymous' };
+        }
+        data.changes = data.changes.map(change =>
+          change.field === 'assignedTo'
+            ? {
+                ...change,
+                from: change.from && (assigneeName.get(change.from) || 'Former officer'),
+                to: change.to && (assigneeName.get(change.to) || 'Former officer')
+              }
+            : change
+        );
+        return data;
+      })
+    });
+  } catch (error) {
+    console.error('Get complaint timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching complaint timeline'
+    });
+  }
+});
+
+// @desc    Update complaint priority, branch or tags
+// @route   PATCH /api/complaints/:id
+// @access  Private (complaints:update_status)
+router.patch('/:id', protect, requirePermission('complaints:update_status'), async (req, res) => {
+  try {
+    const { priority, branch, tags, reason } = req.body;
+
+    const invalidReason = reasonError(reason);
+    if (invalidReason) {
+      return reasonTooLong(res, invalidReason);
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canHandle(req.user, 'complaints:update_status', complaint)) {
+      return branchForbidden(res);
+    }
+
+    if (priority !== undefined) complaint.priority = priority;
+    if (branch !== undefined) complaint.branch = branch;
+    if (Array.isArray(tags)) {
+      complaint.tags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    }
+    complaint.audit(req.user._id, reason && reason.trim());
+
+    await complaint.save();
+    await complaint.populate('officeHistory.transferredBy', 'name role');
+
+    res.json({
+      success: true,
+      message: 'Complaint updated successfully',
+      complaint: visibleTo(req.user, complaint)
+    });
+  } catch (error) {
+    console.error('Update complaint error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating complaint'
+    });
+  }
+});
+
+// @desc    Update complaint status along the transition graph
+// @route   PATCH /api/complaints/:id/status
+// @access  Private (complaints:update_status)
+router.patch('/:id/status', protect, requirePermission('complaints:update_status'), async (req, res) => {
+  try {
+    const { status, reason, resolutionSummary } = req.body;
+
+    if (!COMPLAINT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    const invalidReason = reasonError(reason);
+    if (invalidReason) {
+      return reasonTooLong(res, invalidReason);
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canHandle(req.user, 'complaints:update_status', complaint)) {
+      return branchForbidden(res);
+    }
+
+    const error = transitionError(complaint, status, transitionActors(req.user, complaint), {
+      resolutionSummary
+    });
+    if (error) {
+      return transitionConflict(res, req.user, complaint, status, error);
+    }
+
+    complaint.status = status;
+    if (resolutionSummary && resolutionSummary.trim()) {
+      complaint.resolutionSummary = resolutionSummary.trim();
+    }
+    if (status === 'under_review' && !complaint.assignedTo) {
+      complaint.assignedTo = req.user.id;
+    }
+    // A close without its own reason is explained by the summary, shortened
+    // to fit the timeline; the full summary stays on the complaint
+    const summary = status === 'closed' ? complaint.resolutionSummary : undefined;
+    complaint.audit(
+      req.user._id,
+      (reason && reason.trim()) ||
+        (summary && summary.length > MAX_REASON_LENGTH
+          ? `${summary.slice(0, MAX_REASON_LENGTH - 1)}…`
+          : summary)
+    );
+
+    await complaint.save();
+    await complaint.populate('submittedBy', 'name email');
+    await complaint.populate('assignedTo', 'name email role');
+
+    res.json({
+      success: true,
+      message: 'Complaint status updated successfully',
+      complaint: visibleTo(req.user, complaint)
+    });
+  } catch (error) {
+    console.error('Update complaint status error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating complaint status'
+    });
+  }
+});
+
+// @desc    Add response to complaint
+// @route   POST /api/complaints/:id/responses
+// @access  Private (submitter, or complaints:respond)
+router.post('/:id/responses', protect, async (req, res) => {
+  try {
+    const { message, internal } = req.body;
+
+    if (!message || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Response message is required'
+      });
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    // The submitter replies on their own case; anyone else needs to be an
+    // officer for this complaint
+    const isSubmitter = isOwnComplaint(req.user, complaint);
+    if (!isSubmitter && !canHandle(req.user, 'complaints:respond', complaint)) {
+      return branchForbidden(res);
+    }
+
+    if (isSubmitter && internal) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only officers can add internal notes'
+      });
+    }
+
+    if (complaint.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint is closed'
+      });
+    }
+
+    const response = {
+      author: isSubmitter ? submitterName(req.user, complaint) : req.user.name,
+      authorId: req.user.id,
+      message: message.trim(),
+      isOfficial: !isSubmitter,
+      visibility: internal ? 'internal' : 'public'
+    };
+
+    complaint.responses.push(response);
+    
+    // Update status to under_review once an officer answers the student
+    if (response.isOfficial && !internal && complaint.status === 'submitted') {
+      complaint.status = 'under_review';
+      complaint.assignedTo = req.user.id;
+      complaint.audit(req.user._id, 'Officer responded');
+    }
+
+    await complaint.save();
+    await complaint.populate('responses.authorId', 'name role');
+
+    res.json({
+      success: true,
+      message: internal ? 'Internal note added successfully' : 'Response added successfully',
+      response: complaint.responses[complaint.responses.length - 1]
+    });
+  } catch (error) {
+    console.error('Add response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding response'
+    });
+  }
+});
+
+// @desc    Rate the outcome of a resolved complaint
+// @route   POST /api/complaints/:id/feedback
+// @access  Private (submitter)
+router.post('/:id/feedback', protect, async (req, res) => {
+  try {
+    const { rating, feedback } = req.body;
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!isOwnComplaint(req.user, complaint)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the submitter can rate this complaint'
+      });
+    }
+
+    if (!['resolved', 'closed'].includes(complaint.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only resolved complaints can be rated'
+      });
+    }
+
+    if (complaint.ratedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already rated this complaint'
+      });
+    }
+
+    const parsedRating = parseInt(rating);
+    if (!Number.isInteger(parsedRating) || parsedRating < 1 || parsedRating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be between 1 and 5'
+      });
+    }
+
+    complaint.satisfactionRating = parsedRating;
+    complaint.satisfactionFeedback = feedback && feedback.trim();
+    complaint.ratedAt = new Date();
+
+    await complaint.save();
+
+    res.json({
+      success: true,
+      message: 'Thank you for your feedback',
+      complaint: visibleTo(req.user, complaint)
+    });
+  } catch (error) {
+    console.error('Complaint feedback error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving feedback'
+    });
+  }
+});
+
+// @desc    Reopen a resolved complaint
+// @route   POST /api/complaints/:id/reopen
+// @access  Private (submitter, within the reopen window)
+router.post('/:id/reopen', protect, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please tell us why the complaint is not resolved'
+      });
+    }
+
+    const invalidReason = reasonError(reason, MAX_REASON_LENGTH - REOPEN_PREFIX.length);
+    if (invalidReason) {
+      return reasonTooLong(res, invalidReason);
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canView(req.user, complaint)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reopen this complaint'
+      });
+    }
+
+    const error = transitionError(complaint, 'under_review', transitionActors(req.user, complaint));
+    if (error) {
+      if (error.code === 'REOPEN_WINDOW_CLOSED') {
+        error.message = `Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of resolution`;
+      }
+      return transitionConflict(res, req.user, complaint, 'under_review', error);
+    }
+
+    complaint.reopenHistory.push({ reason: reason.trim() });
+    complaint.responses.push({
+      author: submitterName(req.user, complaint),
+      authorId: req.user._id,
+      message: `${REOPEN_PREFIX}${reason.trim()}`
+    });
+    // The outcome is being reworked, so the earlier rating no longer applies
+    complaint.satisfactionRating = undefined;
+    complaint.satisfactionFeedback = undefined;
+    complaint.ratedAt = undefined;
+    complaint.status = 'under_review';
+    complaint.audit(req.user._id, `${REOPEN_PREFIX}${reason.trim()}`);
+
+    await complaint.save();
+
+    res.json({
+      success: true,
+      message: 'Complaint reopened',
+      complaint: visibleTo(req.user, complaint)
+    });
+  } catch (error) {
+    console.error('Reopen complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reopening complaint'
+    });
+  }
+});
+
+// @desc    Upload evidence files to complaint
+// @route   POST /api/complaints/:id/evidence
+// @access  Private (submitter or assigned officer)
+router.post('/:id/evidence', protect, loadEvidenceComplaint, handleEvidenceUpload, async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select at least one file'
+      });
+    }
+
+    const { complaint } = req;
+    if (complaint.evidence.length + files.length > MAX_EVIDENCE_PER_COMPLAINT) {
+      await removeEvidenceFiles(files);
+      return res.status(400).json({
+        success: false,
+        message: `A complaint can have at most ${MAX_EVIDENCE_PER_COMPLAINT} evidence files`
+      });
+    }
+
+    files.forEach(file => {
+      complaint.evidence.push({
+        filename: file.filename,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user._id
+      });
+    });
+
+    await complaint.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Evidence uploaded successfully',
+      evidence: visibleTo(req.user, complaint).evidence
+    });
+  } catch (error) {
+    console.error('Upload evidence error:', error);
+    await removeEvidenceFiles(files);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading evidence'
+    });
+  }
+});
+
+// @desc    Download an evidence file
+// @route   GET /api/complaints/:id/evidence/:evidenceId
+// @access  Private (submitter, assigned officer or the file's uploader)
+router.get('/:id/evidence/:evidenceId', protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    const file = complaint.evidence.id(req.params.evidenceId);
+    if (file ? !canAccessEvidenceFile(req.user, complaint, file) : !canAccessEvidence(req.user, complaint)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this evidence'
+      });
+    }
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found'
+      });
+    }
+
+    res.download(evidencePath(file.filename), file.originalName, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Download evidence error:', err);
+        res.status(404).json({
+          success: false,
+          message: 'Evidence file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching evidence'
+    });
+  }
+});
+
+// @desc    Assign complaint to admin
+// @route   PATCH /api/complaints/:id/assign
+// @access  Private (complaints:assign)
+router.patch('/:id/assign', protect, requirePermission('complaints:assign'), async (req, res) => {
+  try {
+    const { assignedTo, reason } = req.body;
+
+    const invalidReason = reasonError(reason);
+    if (invalidReason) {
+      return reasonTooLong(res, invalidReason);
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canHandle(req.user, 'complaints:assign', complaint)) {
+      return branchForbidden(res);
+    }
+
+    // Verify assigned user exists and can respond to this branch
+    const assignedUser = await User.findById(assignedTo).populate('roles', 'permissions branches office');
+    if (!assignedUser || !canHandle(assignedUser, 'complaints:respond', complaint)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user assignment'
+      });
+    }
+
+    complaint.assignedTo = assignedTo;
+    if (complaint.status === 'submitted') {
+      complaint.status = 'under_review';
+    }
+    complaint.audit(req.user._id, reason && reason.trim());
+
+    await complaint.save();
+    await complaint.populate('assignedTo', 'name email role');
+
+    res.json({
+      success: true,
+      message: 'Complaint assigned successfully',
+      complaint: visibleTo(req.user, complaint)
+    });
+  } catch (error) {
+    console.error('Assign complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning complaint'
+    });
+  }
+});
+
+// @desc    Transfer complaint to another office
+// @route   PATCH /api/complaints/:id/office
+// @access  Private (complaints:assign)
+router.patch('/:id/office', protect, requirePermission('complaints:assign'), async (req, res) => {
+  try {
+    const { office, reason } = req.body;
+
+    if (!getOffice(office)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid office'
+      });
+    }
+
+    const invalidReason = reasonError(reason);
+    if (invalidReason) {
+      return reasonTooLong(res, invalidReason);
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    if (!canHandle(req.user, 'complaints:assign', complaint)) {
+      return branchForbidden(res);
+    }
+
+    if (complaint.office === office) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint is already in this office'
+      });
+    }
+
+    complaint.officeHistory.push({
+      from: complaint.office,
+      to: office,
+      transferredBy: req.user._id,
+      reason: reason && reason.trim()
+    });
+    complaint.office = office;
+    // The new office picks its own officer
+    complaint.assignedTo = undefined;
+    complaint.audit(req.user._id, reason && reason.trim());
+
+    await complaint.save();
+    await complaint.populate('officeHistory.transferredBy', 'name role');
+
+    res.json({
+      success: true,
+      message: `Complaint transferred to ${getOffice(office).name}`,
+      complaint: visibleTo(req.user, complaint)
+    });
+  } catch (error) {
+    console.error('Transfer complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error transferring complaint'
+    });
+  }
+});
+
+// @desc    Delete complaint
+// @route   DELETE /api/complaints/:id
+// @access  Private (submitter while still submitted, or complaints:delete)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    const isSubmitter = isOwnComplaint(req.user, complaint);
+    const canDelete =
+      (isSubmitter && complaint.status === 'submitted') ||
+      canHandle(req.user, 'complaints:delete', complaint);
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this complaint'
+      });
+    }
+
+    await Complaint.findByIdAndDelete(req.params.id);
+    await removeEvidenceFiles(complaint.evidence);
+
+    res.json({
+      success: true,
+      message: 'Complaint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting complaint'
+    });
+  }
+});
+
+// @desc    Get complaint statistics
+// @route   GET /api/complaints/stats/overview
+// @access  Private (complaints:stats)
+router.get('/stats/overview', protect, requirePermission('complaints:stats'), async (req, res) => {
+  try {
+    const totalComplaints = await Complaint.countDocuments();
+    const pendingComplaints = await Complaint.countDocuments({ status: 'submitted' });
+    const underReviewComplaints = await Complaint.countDocuments({ status: 'under_review' });
+    const resolvedComplaints = await Complaint.countDocuments({ status: 'resolved' });
+
+    // Complaints by category
+    const complaintsByCategory = await Complaint.aggregate([
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Complaints by priority
+    const complaintsByPriority = await Complaint.aggregate([
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ]);
+
+    // Open complaints per office queue
+    const complaintsByOffice = await Complaint.aggregate([
+      { $match: { status: { $in: OPEN_STATUSES } } },
+      { $group: { _id: '$office', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    // SLA breaches, counting open complaints already past a deadline even if
+    // the escalation sweeper has not flagged them yet
+    const now = new Date();
+    const firstResponseBreaches = await Complaint.countDocuments({
+      $or: [
+        { 'sla.firstResponseBreached': true },
+        {
+          status: { $in: OPEN_STATUSES },
+          'sla.firstRespondedAt': null,
+          'sla.firstResponseDueAt': { $lt: now }
+        }
+      ]
+    });
+    const resolutionBreaches = await Complaint.countDocuments({
+      $or: [
+        { 'sla.resolutionBreached': true },
+        { status: { $in: OPEN_STATUSES }, 'sla.resolutionDueAt': { $lt: now } }
+      ]
+    });
+    const overdueOpenComplaints = await Complaint.countDocuments({
+      status: { $in: OPEN_STATUSES },
+      'sla.resolutionDueAt': { $lt: now }
+    });
+    const escalatedComplaints = await Complaint.countDocuments({
+      'sla.escalationLevel': { $gt: 0 }
+    });
+
+    // Average satisfaction of rated complaints
+    const satisfactionGroup = {
+      averageRating: { $avg: '$satisfactionRating' },
+      ratings: { $sum: 1 }
+    };
+    const [overallSatisfaction] = await Complaint.aggregate([
+      { $match: { satisfactionRating: { $exists: true } } },
+      { $group: { _id: null, ...satisfactionGroup } }
+    ]);
+    const satisfactionByOffice = await Complaint.aggregate([
+      { $match: { satisfactionRating: { $exists: true } } },
+      { $group: { _id: '$office', ...satisfactionGroup } },
+      { $sort: { averageRating: -1 } }
+    ]);
+    const satisfactionByCategory = await Complaint.aggregate([
+      { $match: { satisfactionRating: { $exists: true } } },
+      { $group: { _id: '$category', ...satisfactionGroup } },
+      { $sort: { averageRating: -1 } }
+    ]);
+    const reopenedComplaints = await Complaint.countDocuments({
+      'reopenHistory.0': { $exists: true }
+    });
 
     // Recent complaints (last 30 days)
     const thirtyDaysAgo = new Date();
@@ -338,7 +1633,21 @@ router.get('/stats/overview', protect, adminOnly, async (req, res) => {
         recentComplaints,
         avgResolutionTime,
         complaintsByCategory,
-        complaintsByPriority
+        complaintsByPriority,
+        complaintsByOffice,
+        satisfaction: {
+          averageRating: overallSatisfaction ? overallSatisfaction.averageRating : null,
+          ratings: overallSatisfaction ? overallSatisfaction.ratings : 0,
+          byOffice: satisfactionByOffice,
+          byCategory: satisfactionByCategory,
+          reopened: reopenedComplaints
+        },
+        slaBreaches: {
+          firstResponse: firstResponseBreaches,
+          resolution: resolutionBreaches,
+          overdueOpen: overdueOpenComplaints,
+          escalated: escalatedComplaints
+        }
       }
     });
   } catch (error) {
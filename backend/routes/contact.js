@@ -1,6 +1,6 @@
 const express = require('express');
 const Contact = require('../models/Contact');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validateContact } = require('../middleware/validation');
 
 const router = express.Router();
@@ -45,8 +45,8 @@ router.post('/', validateContact, async (req, res) => {
 
 // @desc    Get all contact messages
 // @route   GET /api/contact
-// @access  Private/Admin
-router.get('/', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:read)
+router.get('/', protect, requirePermission('contact:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -98,8 +98,8 @@ router.get('/', protect, adminOnly, async (req, res) => {
 
 // @desc    Get single contact message
 // @route   GET /api/contact/:id
-// @access  Private/Admin
-router.get('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:read)
+router.get('/:id', protect, requirePermission('contact:read'), async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id)
       .populate('assignedTo', 'name email role')
@@ -133,8 +133,8 @@ router.get('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Update contact message status
 // @route   PATCH /api/contact/:id/status
-// @access  Private/Admin
-router.patch('/:id/status', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:respond)
+router.patch('/:id/status', protect, requirePermission('contact:respond'), async (req, res) => {
   try {
     const { status, priority } = req.body;
 
@@ -172,8 +172,8 @@ router.patch('/:id/status', protect, adminOnly, async (req, res) => {
 
 // @desc    Reply to contact message
 // @route   POST /api/contact/:id/reply
-// @access  Private/Admin
-router.post('/:id/reply', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:respond)
+router.post('/:id/reply', protect, requirePermission('contact:respond'), async (req, res) => {
   try {
     const { message } = req.body;
 
@@ -222,8 +222,8 @@ router.post('/:id/reply', protect, adminOnly, async (req, res) => {
 
 // @desc    Assign contact message
 // @route   PATCH /api/contact/:id/assign
-// @access  Private/Admin
-router.patch('/:id/assign', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:respond)
+router.patch('/:id/assign', protect, requirePermission('contact:respond'), async (req, res) => {
   try {
     const { assignedTo } = req.body;
 
@@ -235,10 +235,10 @@ router.patch('/:id/assign', protect, adminOnly, async (req, res) => {
       });
     }
 
-    // Verify assigned user exists and is admin
+    // Verify assigned user exists and can handle contact messages
     const User = require('../models/User');
-    const assignedUser = await User.findById(assignedTo);
-    if (!assignedUser || !assignedUser.isAdmin) {
+    const assignedUser = await User.findById(assignedTo).populate('roles', 'permissions branches office');
+    if (!assignedUser || !assignedUser.hasPermission('contact:respond')) {
       return res.status(400).json({
         success: false,
         message: 'Invalid user assignment'
@@ -269,8 +269,8 @@ router.patch('/:id/assign', protect, adminOnly, async (req, res) => {
 
 // @desc    Delete contact message
 // @route   DELETE /api/contact/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:delete)
+router.delete('/:id', protect, requirePermission('contact:delete'), async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id);
     if (!contact) {
@@ -297,8 +297,8 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Get contact statistics
 // @route   GET /api/contact/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, adminOnly, async (req, res) => {
+// @access  Private (contact:stats)
+router.get('/stats/overview', protect, requirePermission('contact:stats'), async (req, res) => {
   try {
     const totalMessages = await Contact.countDocuments();
     const newMessages = await Contact.countDocuments({ status: 'new' });
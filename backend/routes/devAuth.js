@@ -0,0 +1,97 @@
+/** @format */
+
+const express = require("express");
+const User = require("../models/User");
+const { issueSession } = require("../utils/sessions");
+const { fixtureUsers } = require("../utils/seedData");
+const { isDevAuthEnabled } = require("../utils/devAuth");
+
+const router = express.Router();
+
+// Refuse every request if the router somehow gets mounted while disabled
+router.use((req, res, next) => {
+	if (!isDevAuthEnabled()) {
+		return res.status(404).json({
+			success: false,
+			message: "Route not found",
+		});
+	}
+	next();
+});
+
+// @desc    List fixture users available for dev login
+// @route   GET /api/auth/dev/fixtures
+// @access  Public (development only)
+router.get("/fixtures", (req, res) => {
+	res.json({
+		success: true,
+		fixtures: Object.entries(fixtureUsers).map(([key, fixture]) => ({
+			key,
+			name: fixture.name,
+			username: fixture.username,
+			role: fixture.role,
+			isAdmin: fixture.isAdmin,
+		})),
+	});
+});
+
+// @desc    Sign in as a fixture user without a password
+// @route   POST /api/auth/dev/login
+// @access  Public (development only)
+router.post("/login", async (req, res) => {
+	try {
+		const { fixture } = req.body;
+
+		const fixtureUser = fixtureUsers[fixture];
+		if (!fixtureUser) {
+			return res.status(400).json({
+				success: false,
+				message: `Unknown fixture user. Use one of: ${Object.keys(
+					fixtureUsers
+				).join(", ")}`,
+			});
+		}
+
+		const user = await User.findOne({ username: fixtureUser.username });
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message:
+					"Fixture user has not been seeded. Run node utils/seedData.js first",
+			});
+		}
+
+		await user.populate("roles", "name permissions branches office");
+		const { token, refreshToken } = await issueSession(user, req);
+
+		res.json({
+			success: true,
+			message: "Dev login successful",
+			token,
+			refreshToken,
+			user: {
+				id: user._id,
+				name: user.name,
+				username: user.username,
+				email: user.email,
+				department: user.department,
+				year: user.year,
+				role: user.role,
+				isAdmin: user.isAdmin,
+				profileImage: user.profileImage,
+				roles: user.roles.map((role) => role.name),
+				permissions: user.getPermissions(),
+				offices: user.getOffices(),
+			},
+		});
+	} catch (error) {
+		console.error("Dev login error:", error);
+		res.status(500).json({
+			success: false,
+			message: "Server error during dev login",
+		});
+	}
+});
+
+module.exports = router;
+module.exports.isDevAuthEnabled = isDevAuthEnabled;
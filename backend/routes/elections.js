@@ -1,11 +1,112 @@
 const express = require('express');
 const Election = require('../models/Election');
+const Ballot = require('../models/Ballot');
 const User = require('../models/User');
-const { protect, adminOnly, optionalAuth } = require('../middleware/auth');
+const Nomination = require('../models/Nomination');
+const ElectionAuditEntry = require('../models/ElectionAuditEntry');
+const BallotSession = require('../models/BallotSession');
+const ElectionQuestion = require('../models/ElectionQuestion');
+const { protect, requirePermission, optionalAuth } = require('../middleware/auth');
 const { validateElection } = require('../middleware/validation');
+const {
+  handleCandidatePhotoUpload,
+  candidatePhotoUrl,
+  removeCandidatePhoto
+} = require('../middleware/upload');
+const { voterError, submitBallot } = require('../utils/voting');
+const { turnoutSummary, turnoutBreakdown } = require('../utils/turnout');
+const { rescheduleElections } = require('../utils/electionLifecycle');
+const { exportElection } = require('../utils/electionAudit');
+const {
+  parseRoll,
+  approvedClubIds,
+  checkEligibility,
+  countEligibleVoters
+} = require('../utils/eligibility');
 
 const router = express.Router();
 
+// Contests from the request body. A bare candidate list (with `seats`) is one
+// contest named after the candidates' position.
+const contestsFromBody = ({ contests, candidates, seats }) => {
+  if (Array.isArray(contests)) return contests;
+  if (Array.isArray(candidates)) {
+    return [{
+      title: (candidates[0] && candidates[0].position) || 'General',
+      seats: seats || 1,
+      candidates
+    }];
+  }
+  return undefined;
+};
+
+// Ballot from the request body: { selections: [{ contest, choices }] }, or for
+// single-contest elections the shorthand { choices } / { candidateId }
+const selectionsFromBody = (election, { selections, choices, candidateId }) => {
+  if (selections) return selections;
+  const single = choices || (candidateId ? [candidateId] : null);
+  if (single && election.contests.length === 1) {
+    return [{ contest: election.contests[0].id, choices: single }];
+  }
+  return [];
+};
+
+// Eligibility rules from the request body; the roll may be a list of student
+// ids or the text of an uploaded file
+const eligibilityFromBody = ({ eligibility }) => {
+  if (!eligibility) return undefined;
+  const { roles, departments, years, clubs, roll } = eligibility;
+  return {
+    roles: roles || [],
+    departments: departments || [],
+    years: years || [],
+    clubs: clubs || [],
+    roll: parseRoll(roll)
+  };
+};
+
+// Platform points from a JSON list or, from a multipart form, one per line
+const platformFromBody = (platform) =>
+  (Array.isArray(platform) ? platform : String(platform || '').split('\n'))
+    .map(point => String(point).trim())
+    .filter(Boolean);
+
+// Nomination as sent to the client; who endorsed it is only shown to the
+// committee, everyone else sees the count
+const nominationView = (nomination, { user, canReview }) => {
+  const view = nomination.toJSON();
+  view.endorsementCount = nomination.endorsements.length;
+  view.endorsedByMe = Boolean(user) && nomination.hasEndorsed(user._id);
+  if (!canReview) delete view.endorsements;
+  return view;
+};
+
+// Whether the user may see elections that are not public
+const canReadHidden = user =>
+  Boolean(user) && (user.hasPermission('elections:manage') || user.hasPermission('elections:read'));
+
+// Whether the polls have closed and the ballots are sealed, so results may be
+// counted. An election past its end date is 'completed' before the scheduler
+// closes it; until then there is no digest to seed tie-breaks with.
+const pollsClosed = election => Boolean(election.closedAt && election.ballotDigest);
+
+// The election as sent to the client, with whether the user may vote in it.
+// Elections must be loaded with +eligibility.roll; only managers see the roll
+// itself, everyone else its size. Counts are only given by /results; running
+// counts left on candidates by older versions (removed by
+// utils/migrateBallots.js) are never sent.
+const electionView = (election, { user, clubIds, canManage }) => {
+  const view = election.toJSON();
+  const roll = election.eligibility.roll || [];
+  view.eligibility.rollSize = roll.length;
+  if (!canManage) delete view.eligibility.roll;
+  view.contests.forEach(contest => {
+    contest.candidates.forEach(candidate => delete candidate.votes);
+  });
+  if (user) view.voterEligibility = checkEligibility(election.eligibility, user, clubIds);
+  return view;
+};
+
 // @desc    Get all elections
 // @route   GET /api/elections
 // @access  Public
@@ -20,8 +121,8 @@ router.get('/', optionalAuth, async (req, res) => {
     // Build query
     let query = {};
     
-    // Only show public elections to non-admin users
-    if (!req.user || !req.user.isAdmin) {
+    // Only show public elections to users who can't read every election
+    if (!canReadHidden(req.user)) {
       query.isPublic = true;
     }
 
@@ -36,33 +137,21 @@ router.get('/', optionalAuth, async (req, res) => {
     }
 
     const elections = await Election.find(query)
+      .select('+eligibility.roll')
       .populate('createdBy', 'name email role')
+      .populate('eligibility.clubs', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
     const total = await Election.countDocuments(query);
 
-    // Update election status based on current date
-    const now = new Date();
-    for (let election of elections) {
-      let needsUpdate = false;
-      
-      if (election.startDate > now && election.status !== 'upcoming') {
-        election.status = 'upcoming';
-        needsUpdate = true;
-      } else if (election.startDate <= now && election.endDate > now && election.status !== 'active') {
-        election.status = 'active';
-        needsUpdate = true;
-      } else if (election.endDate <= now && election.status !== 'completed') {
-        election.status = 'completed';
-        needsUpdate = true;
-      }
-      
-      if (needsUpdate) {
-        await election.save();
-      }
-    }
+    const viewer = {
+      user: req.user,
+      clubIds: req.user ? await approvedClubIds(req.user) : [],
+      canManage: Boolean(req.user && req.user.hasPermission('elections:manage'))
+    };
+    const views = elections.map(election => electionView(election, viewer));
 
     res.json({
       success: true,
@@ -70,8 +159,8 @@ router.get('/', optionalAuth, async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      elections,
-      data: elections // Add data field for compatibility
+      elections: views,
+      data: views // Add data field for compatibility
     });
   } catch (error) {
     console.error('Get elections error:', error);
@@ -88,7 +177,9 @@ router.get('/', optionalAuth, async (req, res) => {
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
       .populate('createdBy', 'name email role')
+      .populate('eligibility.clubs', 'name')
       .populate('voters.user', 'name email studentId');
 
     if (!election) {
@@ -98,35 +189,17 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if election is public for non-admin users
-    if ((!req.user || !req.user.isAdmin) && !election.isPublic) {
+    // Check if election is public for users who can't read every election
+    if (!canReadHidden(req.user) && !election.isPublic) {
       return res.status(404).json({
         success: false,
         message: 'Election not found'
       });
     }
 
-    // Update election status if needed
-    const now = new Date();
-    let needsUpdate = false;
-    
-    if (election.startDate > now && election.status !== 'upcoming') {
-      election.status = 'upcoming';
-      needsUpdate = true;
-    } else if (election.startDate <= now && election.endDate > now && election.status !== 'active') {
-      election.status = 'active';
-      needsUpdate = true;
-    } else if (election.endDate <= now && election.status !== 'completed') {
-      election.status = 'completed';
-      needsUpdate = true;
-    }
-    
-    if (needsUpdate) {
-      await election.save();
-    }
-
-    // Hide voter details for non-admin users
-    if (!req.user || !req.user.isAdmin) {
+    // Hide voter details for users who can't manage elections
+    const canManage = Boolean(req.user && req.user.hasPermission('elections:manage'));
+    if (!canManage) {
       election.voters = election.voters.map(voter => ({
         votedAt: voter.votedAt
       }));
@@ -134,7 +207,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     res.json({
       success: true,
-      election
+      election: electionView(election, {
+        user: req.user,
+        clubIds: req.user ? await approvedClubIds(req.user) : [],
+        canManage
+      })
     });
   } catch (error) {
     console.error('Get election error:', error);
@@ -147,10 +224,24 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
 // @desc    Create new election
 // @route   POST /api/elections
-// @access  Private/Admin
-router.post('/', protect, adminOnly, validateElection, async (req, res) => {
+// @access  Private (elections:manage)
+router.post('/', protect, requirePermission('elections:manage'), validateElection, async (req, res) => {
   try {
-    const { title, description, startDate, endDate, candidates, electionType, rules, isPublic } = req.body;
+    const {
+      title,
+      description,
+      startDate,
+      endDate,
+      electionType,
+      ballotType,
+      tieBreakPolicy,
+      rules,
+      isPublic,
+      nominationStart,
+      nominationEnd,
+      endorsementsRequired,
+      autoPublishAfterHours
+    } = req.body;
 
     // Validate dates
     const start = new Date(startDate);
@@ -171,24 +262,30 @@ router.post('/', protect, adminOnly, validateElection, async (req, res) => {
       });
     }
 
-    // Get total eligible voters (all active students)
-    const eligibleVoters = await User.countDocuments({ 
-      role: 'student', 
-      isActive: true 
-    });
-
-    const election = await Election.create({
+    const election = new Election({
       title,
       description,
       startDate: start,
       endDate: end,
-      candidates: candidates || [],
+      contests: contestsFromBody(req.body) || [],
       electionType: electionType || 'general',
+      ballotType: ballotType || 'plurality',
+      tieBreakPolicy: tieBreakPolicy || 'lot',
       rules: rules || [],
       isPublic: isPublic !== false,
-      eligibleVoters,
-      createdBy: req.user._id || req.user.id
+      nominationStart: nominationStart || undefined,
+      nominationEnd: nominationEnd || undefined,
+      endorsementsRequired: endorsementsRequired || 0,
+      autoPublishAfterHours: autoPublishAfterHours ?? null,
+      createdBy: req.user._id
     });
+    const eligibility = eligibilityFromBody(req.body);
+    if (eligibility) election.eligibility = eligibility;
+
+    // Users who meet the eligibility rules (by default all active students)
+    election.eligibleVoters = await countEligibleVoters(election.eligibility);
+    await election.save();
+    rescheduleElections();
 
     await election.populate('createdBy', 'name email role');
 
@@ -199,6 +296,12 @@ router.post('/', protect, adminOnly, validateElection, async (req, res) => {
     });
   } catch (error) {
     console.error('Create election error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error creating election'
@@ -208,12 +311,27 @@ router.post('/', protect, adminOnly, validateElection, async (req, res) => {
 
 // @desc    Update election
 // @route   PUT /api/elections/:id
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (elections:manage)
+router.put('/:id', protect, requirePermission('elections:manage'), async (req, res) => {
   try {
-    const { title, description, startDate, endDate, candidates, rules, isPublic } = req.body;
+    const {
+      title,
+      description,
+      startDate,
+      endDate,
+      ballotType,
+      tieBreakPolicy,
+      rules,
+      isPublic,
+      nominationStart,
+      nominationEnd,
+      endorsementsRequired,
+      autoPublishAfterHours
+    } = req.body;
+    const contests = contestsFromBody(req.body);
+    const eligibility = eligibilityFromBody(req.body);
 
-    const election = await Election.findById(req.params.id);
+    const election = await Election.findById(req.params.id).select('+eligibility.roll');
     if (!election) {
       return res.status(404).json({
         success: false,
@@ -256,11 +374,22 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
     // Update fields
     if (title) election.title = title;
     if (description) election.description = description;
-    if (candidates) election.candidates = candidates;
+    if (contests) election.contests = contests;
+    if (ballotType) election.ballotType = ballotType;
+    if (tieBreakPolicy) election.tieBreakPolicy = tieBreakPolicy;
     if (rules) election.rules = rules;
     if (typeof isPublic === 'boolean') election.isPublic = isPublic;
+    if (nominationStart !== undefined) election.nominationStart = nominationStart || undefined;
+    if (nominationEnd !== undefined) election.nominationEnd = nominationEnd || undefined;
+    if (endorsementsRequired !== undefined) election.endorsementsRequired = endorsementsRequired;
+    if (autoPublishAfterHours !== undefined) election.autoPublishAfterHours = autoPublishAfterHours;
+    if (eligibility) {
+      election.eligibility = eligibility;
+      election.eligibleVoters = await countEligibleVoters(eligibility);
+    }
 
-    await election.save();
+    await election.audit(req.user._id).save();
+    rescheduleElections();
 
     res.json({
       success: true,
@@ -269,6 +398,12 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
     });
   } catch (error) {
     console.error('Update election error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error updating election'
@@ -278,8 +413,8 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Delete election
 // @route   DELETE /api/elections/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (elections:delete)
+router.delete('/:id', protect, requirePermission('elections:delete'), async (req, res) => {
   try {
     const election = await Election.findById(req.params.id);
     if (!election) {
@@ -297,7 +432,11 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
+    // The audit log outlives the election
+    await ElectionAuditEntry.append(election._id, { type: 'deleted', actor: req.user._id });
     await Election.findByIdAndDelete(req.params.id);
+    await Ballot.deleteMany({ election: election._id });
+    await ElectionQuestion.deleteMany({ election: election._id });
 
     res.json({
       success: true,
@@ -312,21 +451,155 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
   }
 });
 
-// @desc    Vote in election
-// @route   POST /api/elections/:id/vote
-// @access  Private
-router.post('/:id/vote', protect, async (req, res) => {
+// @desc    Get the nominations of an election
+// @route   GET /api/elections/:id/nominations
+// @access  Public (pending and approved nominations, plus the user's own);
+//          elections:nominations sees all of them with their endorsers
+router.get('/:id/nominations', optionalAuth, async (req, res) => {
   try {
-    const { candidateId } = req.body;
+    const election = await Election.findById(req.params.id);
+    const canManage = req.user && req.user.hasPermission('elections:manage');
+    if (!election || (!election.isPublic && !canManage)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
 
-    if (!candidateId) {
-      return res.status(400).json({
+    const canReview = Boolean(req.user && req.user.hasPermission('elections:nominations'));
+    const filter = { election: election._id };
+    if (!canReview) {
+      filter.$or = [{ status: { $in: ['pending', 'approved'] } }];
+      if (req.user) filter.$or.push({ nominee: req.user._id });
+    }
+
+    const nominations = await Nomination.find(filter)
+      .populate('nominee', 'name department year')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      nominationsOpen: election.nominationsOpen(),
+      nominationStart: election.nominationStart,
+      nominationEnd: election.nominationEnd,
+      endorsementsRequired: election.endorsementsRequired,
+      nominations: nominations.map(nomination => nominationView(nomination, { user: req.user, canReview }))
+    });
+  } catch (error) {
+    console.error('Get nominations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching nominations'
+    });
+  }
+});
+
+// @desc    Submit your own nomination during the nomination period
+// @route   POST /api/elections/:id/nominations
+// @access  Private (eligible voters)
+// Multipart body: contest, biography, platform (one point per line), photo
+router.post('/:id/nominations', protect, handleCandidatePhotoUpload, async (req, res) => {
+  const photo = req.file && req.file.filename;
+  // The photo is only kept if the nomination is saved
+  const refuse = async (status, message) => {
+    await removeCandidatePhoto(photo);
+    return res.status(status).json({ success: false, message });
+  };
+
+  try {
+    const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
+      .populate('eligibility.clubs', 'name');
+    if (!election) return refuse(404, 'Election not found');
+
+    if (!election.nominationsOpen()) {
+      return refuse(400, 'Nominations are not open for this election');
+    }
+
+    const eligibility = checkEligibility(election.eligibility, req.user, await approvedClubIds(req.user));
+    if (!eligibility.eligible) return refuse(403, eligibility.message);
+
+    if (!election.contests.id(req.body.contest)) {
+      return refuse(400, 'Please choose the position you are running for');
+    }
+
+    if (await Nomination.exists({ election: election._id, nominee: req.user._id })) {
+      return refuse(400, 'You have already submitted a nomination for this election');
+    }
+
+    const nomination = await Nomination.create({
+      election: election._id,
+      contest: req.body.contest,
+      nominee: req.user._id,
+      biography: req.body.biography,
+      platform: platformFromBody(req.body.platform),
+      profileImage: photo ? candidatePhotoUrl(photo) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: election.endorsementsRequired > 0
+        ? `Nomination submitted. It needs ${election.endorsementsRequired} endorsements before the committee can approve it.`
+        : 'Nomination submitted for review',
+      nomination: nominationView(nomination, { user: req.user, canReview: false })
+    });
+  } catch (error) {
+    console.error('Submit nomination error:', error);
+    if (error.name === 'ValidationError') {
+      return refuse(400, Object.values(error.errors).map(err => err.message).join(', '));
+    }
+    if (error.code === 11000) {
+      return refuse(400, 'You have already submitted a nomination for this election');
+    }
+    await removeCandidatePhoto(photo);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting nomination'
+    });
+  }
+});
+
+// @desc    Withdraw your own nomination while it is pending
+// @route   DELETE /api/elections/:id/nominations/:nominationId
+// @access  Private (nominee)
+router.delete('/:id/nominations/:nominationId', protect, async (req, res) => {
+  try {
+    const nomination = await Nomination.findOneAndDelete({
+      _id: req.params.nominationId,
+      election: req.params.id,
+      nominee: req.user._id,
+      status: 'pending'
+    });
+    if (!nomination) {
+      return res.status(404).json({
         success: false,
-        message: 'Candidate ID is required'
+        message: 'No pending nomination of yours was found'
       });
     }
 
-    const election = await Election.findById(req.params.id);
+    await removeCandidatePhoto(nomination.profileImage);
+
+    res.json({
+      success: true,
+      message: 'Nomination withdrawn'
+    });
+  } catch (error) {
+    console.error('Withdraw nomination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing nomination'
+    });
+  }
+});
+
+// @desc    Endorse a pending nomination
+// @route   POST /api/elections/:id/nominations/:nominationId/endorse
+// @access  Private (eligible voters, once per nomination)
+router.post('/:id/nominations/:nominationId/endorse', protect, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
+      .populate('eligibility.clubs', 'name');
     if (!election) {
       return res.status(404).json({
         success: false,
@@ -334,71 +607,270 @@ router.post('/:id/vote', protect, async (req, res) => {
       });
     }
 
-    // Check if election is active
-    if (election.status !== 'active') {
+    if (!election.nominationsOpen()) {
       return res.status(400).json({
         success: false,
-        message: 'Election is not currently active'
+        message: 'Nominations are not open for this election'
+      });
+    }
+
+    const eligibility = checkEligibility(election.eligibility, req.user, await approvedClubIds(req.user));
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: eligibility.message
       });
     }
 
-    // Check if user has already voted
-    if (election.hasUserVoted(req.user._id || req.user.id)) {
+    const nomination = await Nomination.findOne({ _id: req.params.nominationId, election: election._id });
+    if (!nomination || nomination.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Nomination not found or no longer open for endorsements'
+      });
+    }
+    if (nomination.nominee.equals(req.user._id)) {
       return res.status(400).json({
         success: false,
-        message: 'You have already voted in this election'
+        message: 'You cannot endorse your own nomination'
       });
     }
 
-    // Find the candidate
-    const candidate = election.candidates.id(candidateId);
-    if (!candidate) {
+    // Conditional, so two requests from one student count once
+    const endorsed = await Nomination.updateOne(
+      { _id: nomination._id, status: 'pending', 'endorsements.user': { $ne: req.user._id } },
+      { $push: { endorsements: { user: req.user._id, endorsedAt: new Date() } } }
+    );
+    if (endorsed.modifiedCount === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid candidate'
+        message: 'You have already endorsed this nomination'
       });
     }
 
-    // Record the vote
-    election.voters.push({
-      user: req.user._id || req.user.id,
-      candidate: candidateId,
-      ipAddress: req.ip
+    res.json({
+      success: true,
+      message: 'Nomination endorsed',
+      endorsementCount: nomination.endorsements.length + 1
+    });
+  } catch (error) {
+    console.error('Endorse nomination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error endorsing nomination'
     });
+  }
+});
+
+// @desc    Approve or reject a nomination, with a reason; approved nominees
+//          become candidates in their contest
+// @route   PATCH /api/elections/:id/nominations/:nominationId/review
+// @access  Private (elections:nominations)
+// Body: { decision: 'approved' | 'rejected', reason }
+router.patch('/:id/nominations/:nominationId/review', protect, requirePermission('elections:nominations'), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const reason = (req.body.reason || '').trim();
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approved or rejected'
+      });
+    }
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the decision'
+      });
+    }
 
-    // Update candidate vote count
-    candidate.votes += 1;
-    candidate.voters.push(req.user.id);
+    const election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+    if (election.startDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nominations can only be reviewed before voting opens'
+      });
+    }
 
-    // Update total votes
-    election.totalVotes += 1;
+    const nomination = await Nomination.findOne({ _id: req.params.nominationId, election: election._id });
+    if (!nomination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nomination not found'
+      });
+    }
+    if (nomination.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This nomination has already been reviewed'
+      });
+    }
 
-    await election.save();
+    const contest = election.contests.id(nomination.contest);
+    if (decision === 'approved') {
+      if (nomination.endorsements.length < election.endorsementsRequired) {
+        return res.status(400).json({
+          success: false,
+          message: `This nomination needs ${election.endorsementsRequired} endorsements and has ${nomination.endorsements.length}`
+        });
+      }
+      if (!contest) {
+        return res.status(400).json({
+          success: false,
+          message: 'The position this nomination is for no longer exists'
+        });
+      }
+    }
+
+    // Claim the review first so the nominee is only ever added once
+    const review = { reviewedBy: req.user._id, reviewedAt: new Date(), reason };
+    const claimed = await Nomination.findOneAndUpdate(
+      { _id: nomination._id, status: 'pending' },
+      { $set: { status: decision, review } },
+      { new: true, runValidators: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This nomination has already been reviewed'
+      });
+    }
+
+    if (decision === 'approved') {
+      try {
+        const nominee = await User.findById(nomination.nominee);
+        contest.candidates.push({
+          user: nominee._id,
+          name: nominee.name,
+          username: nominee.username,
+          department: nominee.department,
+          year: nominee.year,
+          academicYear: nominee.year,
+          profileImage: nomination.profileImage || nominee.profileImage,
+          platform: nomination.platform,
+          biography: nomination.biography
+        });
+        await election.audit(req.user._id, `Nomination of ${nominee.name} approved: ${reason}`).save();
+      } catch (error) {
+        await Nomination.updateOne({ _id: nomination._id }, { $set: { status: 'pending' }, $unset: { review: '' } });
+        throw error;
+      }
+      claimed.candidate = contest.candidates[contest.candidates.length - 1]._id;
+      await claimed.save();
+    }
 
-    // Add election to user's voted elections
-    await User.findByIdAndUpdate(req.user._id || req.user.id, {
-      $addToSet: { votedElections: election._id }
+    res.json({
+      success: true,
+      message: decision === 'approved'
+        ? `${contest.title} nomination approved; the nominee is now a candidate`
+        : 'Nomination rejected',
+      nomination: nominationView(claimed, { user: req.user, canReview: true })
+    });
+  } catch (error) {
+    console.error('Review nomination error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error reviewing nomination'
     });
+  }
+});
+
+// The Q&A board takes questions, upvotes and answers while the election is
+// upcoming or being voted on; afterwards it can still be read
+const questionsOpen = election => ['upcoming', 'active'].includes(election.status);
+
+// Unanswered questions one student may have waiting for one candidate
+const MAX_OPEN_QUESTIONS = 3;
+
+// A question as sent to the client. Who asked and who upvoted is only shown
+// to moderators, who need it to deal with abuse.
+const questionView = (question, { user, canModerate }) => {
+  const view = question.toJSON();
+  view.upvotedByMe = Boolean(user) && question.hasUpvoted(user._id);
+  // askedBy is null once the asker's account is deleted
+  view.askedByMe = Boolean(user && question.askedBy?._id?.equals(user._id));
+  delete view.upvotes;
+  if (!canModerate) {
+    delete view.askedBy;
+    delete view.moderation;
+  }
+  return view;
+};
+
+// The election of a Q&A request, if the user may see it
+const questionBoardElection = async req => {
+  const election = await Election.findById(req.params.id);
+  const canManage = req.user && req.user.hasPermission('elections:manage');
+  return election && (election.isPublic || canManage) ? election : null;
+};
+
+// @desc    Get the Q&A board of an election, most upvoted first
+// @route   GET /api/elections/:id/questions?candidate=<candidateId>
+// @access  Public (visible questions); elections:moderate sees hidden ones too
+router.get('/:id/questions', optionalAuth, async (req, res) => {
+  try {
+    const election = await questionBoardElection(req);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const canModerate = Boolean(req.user && req.user.hasPermission('elections:moderate'));
+    const filter = { election: election._id };
+    if (req.query.candidate) {
+      const candidate = election.findCandidate(req.query.candidate);
+      if (!candidate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Candidate not found'
+        });
+      }
+      filter.candidate = candidate._id;
+    }
+    if (!canModerate) filter.status = 'visible';
+
+    const questions = await ElectionQuestion.find(filter)
+      .populate('askedBy', 'name username')
+      .populate('answer.answeredBy', 'name')
+      .populate('moderation.moderatedBy', 'name')
+      .sort({ upvoteCount: -1, createdAt: 1 });
 
     res.json({
       success: true,
-      message: 'Vote cast successfully'
+      questionsOpen: questionsOpen(election),
+      count: questions.length,
+      questions: questions.map(question => questionView(question, { user: req.user, canModerate }))
     });
   } catch (error) {
-    console.error('Vote error:', error);
+    console.error('Get questions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error casting vote'
+      message: 'Server error fetching questions'
     });
   }
 });
 
-// @desc    Announce election results
-// @route   POST /api/elections/:id/announce
-// @access  Private/Admin
-router.post('/:id/announce', protect, adminOnly, async (req, res) => {
+// @desc    Ask a candidate a question
+// @route   POST /api/elections/:id/questions
+// @access  Private
+// Body: { candidate, text }
+router.post('/:id/questions', protect, async (req, res) => {
   try {
-    const election = await Election.findById(req.params.id);
+    const election = await questionBoardElection(req);
     if (!election) {
       return res.status(404).json({
         success: false,
@@ -406,21 +878,881 @@ router.post('/:id/announce', protect, adminOnly, async (req, res) => {
       });
     }
 
-    if (election.status !== 'completed') {
+    if (!questionsOpen(election)) {
       return res.status(400).json({
         success: false,
-        message: 'Can only announce results for completed elections'
+        message: 'Questions are only taken before and during voting'
       });
     }
 
-    election.resultsPublished = true;
-    election.publishedAt = new Date();
-    await election.save();
+    const candidate = req.body.candidate && election.findCandidate(req.body.candidate);
+    if (!candidate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a candidate in this election'
+      });
+    }
+    if (candidate.user && candidate.user.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot ask yourself a question'
+      });
+    }
+
+    const waiting = await ElectionQuestion.countDocuments({
+      election: election._id,
+      candidate: candidate._id,
+      askedBy: req.user._id,
+      'answer.text': null
+    });
+    if (waiting >= MAX_OPEN_QUESTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have ${MAX_OPEN_QUESTIONS} questions waiting for ${candidate.name} to answer`
+      });
+    }
+
+    const question = await ElectionQuestion.create({
+      election: election._id,
+      candidate: candidate._id,
+      askedBy: req.user._id,
+      text: req.body.text
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question posted',
+      question: questionView(question, { user: req.user, canModerate: false })
+    });
+  } catch (error) {
+    console.error('Ask question error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error posting question'
+    });
+  }
+});
+
+// @desc    Upvote a question, or take the upvote back (DELETE)
+// @route   POST|DELETE /api/elections/:id/questions/:questionId/upvote
+// @access  Private
+const setUpvote = upvote => async (req, res) => {
+  try {
+    const election = await questionBoardElection(req);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (!questionsOpen(election)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This Q&A board is closed'
+      });
+    }
 
+    const question = await ElectionQuestion.findOne({
+      _id: req.params.questionId,
+      election: election._id,
+      status: 'visible'
+    });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    if (question.askedBy.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot upvote your own question'
+      });
+    }
+
+    // Conditional, so two requests from one student count once
+    const changed = upvote
+      ? await ElectionQuestion.updateOne(
+        { _id: question._id, 'upvotes.user': { $ne: req.user._id } },
+        { $push: { upvotes: { user: req.user._id, upvotedAt: new Date() } }, $inc: { upvoteCount: 1 } }
+      )
+      : await ElectionQuestion.updateOne(
+        { _id: question._id, 'upvotes.user': req.user._id },
+        { $pull: { upvotes: { user: req.user._id } }, $inc: { upvoteCount: -1 } }
+      );
+    if (changed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: upvote ? 'You have already upvoted this question' : 'You have not upvoted this question'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: upvote ? 'Question upvoted' : 'Upvote removed',
+      upvoteCount: question.upvoteCount + (upvote ? 1 : -1),
+      upvotedByMe: upvote
+    });
+  } catch (error) {
+    console.error('Upvote question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating upvote'
+    });
+  }
+};
+router.post('/:id/questions/:questionId/upvote', protect, setUpvote(true));
+router.delete('/:id/questions/:questionId/upvote', protect, setUpvote(false));
+
+// @desc    Answer a question put to you as a candidate, or change your answer
+// @route   PUT /api/elections/:id/questions/:questionId/answer
+// @access  Private (the candidate asked)
+// Body: { text }
+router.put('/:id/questions/:questionId/answer', protect, async (req, res) => {
+  try {
+    const election = await questionBoardElection(req);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (!questionsOpen(election)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This Q&A board is closed'
+      });
+    }
+
+    const question = await ElectionQuestion.findOne({
+      _id: req.params.questionId,
+      election: election._id,
+      status: 'visible'
+    });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    // Only from the candidate's own account; candidates entered by hand have none
+    const candidate = election.findCandidate(question.candidate);
+    if (!candidate || !candidate.user || !candidate.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the candidate asked can answer this question'
+      });
+    }
+
+    const text = String(req.body.text || '').trim();
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please write your answer'
+      });
+    }
+
+    question.answer = { text, answeredBy: req.user._id, answeredAt: new Date() };
+    await question.save();
+    await question.populate('answer.answeredBy', 'name');
+
+    res.json({
+      success: true,
+      message: 'Answer posted',
+      question: questionView(question, { user: req.user, canModerate: false })
+    });
+  } catch (error) {
+    console.error('Answer question error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error posting answer'
+    });
+  }
+});
+
+// @desc    Hide a question from the Q&A board, with a reason, or show it again
+// @route   PATCH /api/elections/:id/questions/:questionId/moderate
+// @access  Private (elections:moderate)
+// Body: { hidden, reason }
+router.patch('/:id/questions/:questionId/moderate', protect, requirePermission('elections:moderate'), async (req, res) => {
+  try {
+    const hidden = req.body.hidden === true || req.body.hidden === 'true';
+    const reason = String(req.body.reason || '').trim();
+    if (hidden && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for hiding the question'
+      });
+    }
+
+    const question = await ElectionQuestion.findOne({ _id: req.params.questionId, election: req.params.id });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    question.status = hidden ? 'hidden' : 'visible';
+    question.moderation = { moderatedBy: req.user._id, moderatedAt: new Date(), reason: reason || undefined };
+    await question.save();
+    await question.populate([
+      { path: 'askedBy', select: 'name username' },
+      { path: 'answer.answeredBy', select: 'name' },
+      { path: 'moderation.moderatedBy', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      message: hidden ? 'Question hidden' : 'Question shown again',
+      question: questionView(question, { user: req.user, canModerate: true })
+    });
+  } catch (error) {
+    console.error('Moderate question error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error moderating question'
+    });
+  }
+});
+
+// @desc    Check whether the current user may vote in an election, and why
+// @route   GET /api/elections/:id/eligibility
+// @access  Private
+router.get('/:id/eligibility', protect, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
+      .populate('eligibility.clubs', 'name');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...checkEligibility(election.eligibility, req.user, await approvedClubIds(req.user))
+    });
+  } catch (error) {
+    console.error('Check eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking eligibility'
+    });
+  }
+});
+
+// @desc    Vote in election
+// @route   POST /api/elections/:id/vote
+// @access  Private
+// Body: { selections: [{ contest, choices: [candidateId, ...] }] }, one
+// entry per contest, choices in order of preference for ranked ballots
+router.post('/:id/vote', protect, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
+      .populate('eligibility.clubs', 'name');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const { receipt, error } = await submitBallot(
+      election,
+      req.user,
+      selectionsFromBody(election, req.body)
+    );
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote cast successfully',
+      // Only the voter ever sees the code; keep it to check the ballot later
+      receipt
+    });
+  } catch (error) {
+    console.error('Vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error casting vote'
+    });
+  }
+});
+
+// Student ids are "dbu" followed by 8 digits (see User)
+const STUDENT_ID = /^dbu\d{8}$/i;
+
+// @desc    Check a voter in at a polling-station kiosk and hand them a one-time ballot session
+// @route   POST /api/elections/:id/kiosk/check-in
+// @access  Private (elections:kiosk)
+// Body: { studentId }. The token in the response is for the kiosk only.
+router.post('/:id/kiosk/check-in', protect, requirePermission('elections:kiosk'), async (req, res) => {
+  try {
+    const studentId = String(req.body.studentId || '').trim();
+    if (!STUDENT_ID.test(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student ID must start with dbu followed by 8 digits'
+      });
+    }
+
+    const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
+      .populate('eligibility.clubs', 'name');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const voter = await User.findOne({ $or: [{ username: studentId }, { studentId }] })
+      .collation({ locale: 'en', strength: 2 });
+    if (!voter) {
+      return res.status(404).json({
+        success: false,
+        message: 'No student with this ID'
+      });
+    }
+
+    // The same checks as voting online, so nobody is handed a ballot they
+    // can't cast; the message is read out to the voter at the desk
+    const refused = await voterError(election, voter);
+    if (refused) {
+      return res.status(refused.status).json({
+        success: false,
+        message: refused.code === 'ALREADY_VOTED'
+          ? `${voter.name} has already voted in this election`
+          : refused.message
+      });
+    }
+
+    let issued;
+    try {
+      issued = await BallotSession.issue(election._id, voter._id, req.user._id);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: `${voter.name} already has a ballot open at a kiosk`
+      });
+    }
+
+    await ElectionAuditEntry.append(election._id, {
+      type: 'kiosk_check_in',
+      actor: req.user._id,
+      data: { session: issued.session.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${voter.name} checked in`,
+      session: {
+        _id: issued.session._id,
+        token: issued.token,
+        expiresAt: issued.session.expiresAt,
+        voter: { name: voter.name, department: voter.department, year: voter.year }
+      }
+    });
+  } catch (error) {
+    console.error('Kiosk check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking in voter'
+    });
+  }
+});
+
+// @desc    Cast the ballot of a kiosk's ballot session
+// @route   POST /api/elections/:id/kiosk/vote
+// @access  Private (elections:kiosk)
+// Body: { token, selections }, selections as for /vote. The session is used
+// up by the first valid ballot.
+router.post('/:id/kiosk/vote', protect, requirePermission('elections:kiosk'), async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id)
+      .select('+eligibility.roll')
+      .populate('eligibility.clubs', 'name');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    // A mistake on the ballot shouldn't cost the voter their session
+    const ballot = selectionsFromBody(election, req.body);
+    const invalid = election.ballotError(ballot);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const session = await BallotSession.claim(election._id, req.body.token, req.user._id);
+    if (!session) {
+      return res.status(400).json({
+        success: false,
+        message: 'This ballot session has ended; please check the voter in again'
+      });
+    }
+
+    const voter = await User.findById(session.voter);
+    const { receipt, error } = await submitBallot(election, voter, ballot, {
+      officer: req.user._id,
+      session: session.id
+    });
+    if (error) {
+      await BallotSession.updateOne(
+        { _id: session._id },
+        { $set: { status: 'cancelled', reason: error.message } }
+      );
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote cast successfully',
+      // Shown to the voter on the kiosk, once
+      receipt
+    });
+  } catch (error) {
+    console.error('Kiosk vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error casting vote'
+    });
+  }
+});
+
+// @desc    Cancel a kiosk's open ballot session, e.g. when the voter walks away
+// @route   POST /api/elections/:id/kiosk/cancel
+// @access  Private (elections:kiosk)
+// Body: { token, reason }
+router.post('/:id/kiosk/cancel', protect, requirePermission('elections:kiosk'), async (req, res) => {
+  try {
+    const now = new Date();
+    const session = await BallotSession.findOneAndUpdate(
+      { election: req.params.id, tokenHash: BallotSession.tokenHash(req.body.token), status: 'issued' },
+      {
+        $set: {
+          status: 'cancelled',
+          endedAt: now,
+          endedBy: req.user._id,
+          reason: req.body.reason || 'Cancelled by the polling officer'
+        }
+      },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open ballot session with this token'
+      });
+    }
+
+    await ElectionAuditEntry.append(session.election, {
+      type: 'kiosk_cancelled',
+      actor: req.user._id,
+      data: { session: session.id },
+      at: now
+    });
+
+    res.json({
+      success: true,
+      message: 'Ballot session cancelled'
+    });
+  } catch (error) {
+    console.error('Kiosk cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling ballot session'
+    });
+  }
+});
+
+// @desc    Get the polling officers' trail: every kiosk check-in and how it ended
+// @route   GET /api/elections/:id/kiosk/sessions
+// @access  Private (elections:manage)
+router.get('/:id/kiosk/sessions', protect, requirePermission('elections:manage'), async (req, res) => {
+  try {
+    const sessions = await BallotSession.find({ election: req.params.id })
+      .populate('voter', 'name username department year')
+      .populate('officer', 'name username')
+      .populate('endedBy', 'name username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get kiosk sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ballot sessions'
+    });
+  }
+});
+
+// @desc    Get live turnout: how many have voted, overall and by department and year
+// @route   GET /api/elections/:id/turnout
+// @access  Public for public elections, otherwise Private (elections:manage)
+// Only counts of who voted, never how, so it is available while the polls are open.
+router.get('/:id/turnout', optionalAuth, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id).select('+eligibility.roll');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const canManage = req.user && req.user.hasPermission('elections:manage');
+    if (!canManage && !election.isPublic) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view turnout for this election'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: election.status,
+      live: election.status === 'active' && !pollsClosed(election),
+      asOf: new Date(),
+      ...turnoutSummary(election),
+      ...(await turnoutBreakdown(election))
+    });
+  } catch (error) {
+    console.error('Get election turnout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching election turnout'
+    });
+  }
+});
+
+// @desc    Get the results of each contest: round by round, with vote shares,
+//          the winning margin and any ties, plus turnout by department and year
+// @route   GET /api/elections/:id/results
+// @access  Public for announced contests, otherwise Private (elections:manage)
+// Nobody, managers included, sees a count before the polls close; use
+// /turnout while they are open.
+router.get('/:id/results', optionalAuth, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id).select('+eligibility.roll');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (!pollsClosed(election)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Results are counted once voting closes; only turnout is available until then'
+      });
+    }
+
+    const canManage = req.user && req.user.hasPermission('elections:manage');
+    const ballots = await Ballot.find({ election: election._id }).select('selections').lean();
+    const results = election.getResults(ballots)
+      .filter(result => canManage || (election.isPublic && result.resultsPublished));
+    if (results.length === 0 && !canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Results have not been published yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...turnoutSummary(election),
+      tieBreakPolicy: election.tieBreakPolicy,
+      results,
+      turnout: await turnoutBreakdown(election)
+    });
+  } catch (error) {
+    console.error('Get election results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching election results'
+    });
+  }
+});
+
+// @desc    Get the bulletin of anonymous ballots, to recount the election
+// @route   GET /api/elections/:id/bulletin
+// @access  Once voting closes: Public once every contest is announced,
+//          otherwise Private (elections:manage)
+router.get('/:id/bulletin', optionalAuth, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    // Taken while voting is open, bulletins could be matched against who had
+    // voted by then, so nobody gets one before the polls close
+    if (!pollsClosed(election)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The ballot bulletin is available once voting closes'
+      });
+    }
+
+    // The bulletin is enough to count every contest, so it waits for the results
+    const canManage = req.user && req.user.hasPermission('elections:manage');
+    if (!canManage && !(election.isPublic && election.resultsPublished)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The ballot bulletin is published with the results'
+      });
+    }
+
+    const { ballots, digest } = await Ballot.bulletin(election._id);
+
+    res.json({
+      success: true,
+      election: election._id,
+      ballotType: election.ballotType,
+      contests: election.contests.map(contest => ({
+        contest: contest._id,
+        title: contest.title,
+        seats: contest.seats,
+        candidates: contest.candidates.map(candidate => ({ _id: candidate._id, name: candidate.name }))
+      })),
+      totalBallots: ballots.length,
+      digest,
+      // Recorded when the polls closed; matches digest unless ballots changed since
+      closingDigest: election.ballotDigest || null,
+      ballots
+    });
+  } catch (error) {
+    console.error('Get ballot bulletin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ballot bulletin'
+    });
+  }
+});
+
+// @desc    Get the election's audit log, with any breaks in its hash chain
+// @route   GET /api/elections/:id/audit-log
+// @access  Private (elections:manage)
+router.get('/:id/audit-log', protect, requirePermission('elections:manage'), async (req, res) => {
+  try {
+    const entries = await ElectionAuditEntry.chain(req.params.id);
+    if (entries.length === 0 && !(await Election.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: entries.length,
+      problems: ElectionAuditEntry.verifyChain(entries),
+      entries
+    });
+  } catch (error) {
+    console.error('Get election audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching election audit log'
+    });
+  }
+});
+
+// @desc    Export the election for independent checking: contests, ballots,
+//          results and audit log with a signed manifest
+// @route   GET /api/elections/:id/export
+// @access  Public once every contest is announced, otherwise Private (elections:manage)
+// Check a download with utils/verifyElectionExport.js.
+router.get('/:id/export', optionalAuth, async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    // Like the bulletin, the export is enough to count every contest
+    const canManage = req.user && req.user.hasPermission('elections:manage');
+    if (!canManage && !(election.isPublic && election.resultsPublished)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The election export is published with the results'
+      });
+    }
+    if (!pollsClosed(election)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An election can be exported once voting closes'
+      });
+    }
+
+    res.json({
+      success: true,
+      export: await exportElection(election)
+    });
+  } catch (error) {
+    console.error('Export election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting election'
+    });
+  }
+});
+
+// @desc    Check that the ballot with a receipt code was counted
+// @route   POST /api/elections/:id/verify-receipt
+// @access  Public
+// Body: { code }. The answer leaves out the choices, but the receipt hash it
+// returns finds them in the published bulletin (see models/Ballot.js).
+router.post('/:id/verify-receipt', async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id).select('_id');
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    const ballot = await Ballot.findByReceipt(election._id, req.body.code);
+    if (!ballot) {
+      return res.status(404).json({
+        success: false,
+        counted: false,
+        message: 'No ballot matches this receipt code'
+      });
+    }
+
+    res.json({
+      success: true,
+      counted: true,
+      message: 'Your ballot is in the count',
+      // The ballot's entry in the bulletin
+      receipt: ballot.receipt
+    });
+  } catch (error) {
+    console.error('Verify receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying receipt'
+    });
+  }
+});
+
+// @desc    Announce election results, for one contest ({ contestId }) or all
+// @route   POST /api/elections/:id/announce
+// @access  Private (elections:announce)
+router.post('/:id/announce', protect, requirePermission('elections:announce'), async (req, res) => {
+  try {
+    const election = await Election.findById(req.params.id);
+    if (!election) {
+      return res.status(404).json({
+        success: false,
+        message: 'Election not found'
+      });
+    }
+
+    if (election.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Can only announce results for completed elections'
+      });
+    }
+
+    if (!pollsClosed(election)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results can only be announced once the ballots are sealed at close'
+      });
+    }
+
+    const { contestId } = req.body;
+    const contests = contestId ? [election.contests.id(contestId)] : election.contests;
+    if (!contests[0]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const now = new Date();
+    contests.forEach(contest => {
+      if (!contest.resultsPublished) {
+        contest.resultsPublished = true;
+        contest.publishedAt = now;
+      }
+    });
+    // The election counts as announced once every contest is
+    if (election.contests.every(contest => contest.resultsPublished)) {
+      election.resultsPublished = true;
+      election.publishedAt = election.publishedAt || now;
+    }
+    await election.save();
+
+    const announced = contests.map(contest => contest.id);
+    await ElectionAuditEntry.append(election._id, {
+      type: 'results_published',
+      actor: req.user._id,
+      data: { contests: announced, automatic: false }
+    });
+    const ballots = await Ballot.find({ election: election._id }).select('selections').lean();
     res.json({
       success: true,
-      message: 'Election results announced successfully',
-      winner: election.getWinner()
+      message: contestId
+        ? `Results for ${contests[0].title} announced successfully`
+        : 'Election results announced successfully',
+      winners: election.getWinners(ballots).filter(entry => announced.includes(entry.contest.toString())),
+      results: election.getResults(ballots).filter(result => announced.includes(result.contest.toString()))
     });
   } catch (error) {
     console.error('Announce results error:', error);
@@ -433,8 +1765,8 @@ router.post('/:id/announce', protect, adminOnly, async (req, res) => {
 
 // @desc    Get election statistics
 // @route   GET /api/elections/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, adminOnly, async (req, res) => {
+// @access  Private (elections:stats)
+router.get('/stats/overview', protect, requirePermission('elections:stats'), async (req, res) => {
   try {
     const totalElections = await Election.countDocuments();
     const activeElections = await Election.countDocuments({ status: 'active' });
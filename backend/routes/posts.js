@@ -1,6 +1,6 @@
 const express = require('express');
 const Post = require('../models/Post');
-const { protect, adminOnly, optionalAuth } = require('../middleware/auth');
+const { protect, requirePermission, optionalAuth } = require('../middleware/auth');
 const { validatePost } = require('../middleware/validation');
 
 const router = express.Router();
@@ -19,8 +19,8 @@ router.get('/', optionalAuth, async (req, res) => {
     // Build query
     let query = {};
     
-    // Only show published posts to non-admin users
-    if (!req.user || !req.user.isAdmin) {
+    // Only show published posts to users who can't manage posts
+    if (!req.user || !req.user.hasPermission('posts:manage')) {
       query.status = 'published';
     } else if (status) {
       query.status = status;
@@ -83,8 +83,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if post is published for non-admin users
-    if ((!req.user || !req.user.isAdmin) && post.status !== 'published') {
+    // Check if post is published for users who can't manage posts
+    if ((!req.user || !req.user.hasPermission('posts:manage')) && post.status !== 'published') {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -109,8 +109,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
 // @desc    Create new post
 // @route   POST /api/posts
-// @access  Private/Admin
-router.post('/', protect, adminOnly, validatePost, async (req, res) => {
+// @access  Private (posts:manage)
+router.post('/', protect, requirePermission('posts:manage'), validatePost, async (req, res) => {
   try {
     const { 
       title, 
@@ -136,7 +136,7 @@ router.post('/', protect, adminOnly, validatePost, async (req, res) => {
       type,
       category: category || 'General',
       date: date ? new Date(date) : new Date(),
-      author: req.user._id || req.user.id,
+      author: req.user._id,
       image,
       tags: tags || []
     };
@@ -178,8 +178,8 @@ router.post('/', protect, adminOnly, validatePost, async (req, res) => {
 
 // @desc    Update post
 // @route   PUT /api/posts/:id
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (posts:manage)
+router.put('/:id', protect, requirePermission('posts:manage'), async (req, res) => {
   try {
     const { 
       title, 
@@ -247,8 +247,8 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Delete post
 // @route   DELETE /api/posts/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (posts:delete)
+router.delete('/:id', protect, requirePermission('posts:delete'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -416,8 +416,8 @@ router.post('/:id/register', protect, async (req, res) => {
 
 // @desc    Get post statistics
 // @route   GET /api/posts/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, adminOnly, async (req, res) => {
+// @access  Private (posts:stats)
+router.get('/stats/overview', protect, requirePermission('posts:stats'), async (req, res) => {
   try {
     const totalPosts = await Post.countDocuments();
     const publishedPosts = await Post.countDocuments({ status: 'published' });
@@ -0,0 +1,183 @@
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+// @desc    Get permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+router.get('/permissions', protect, requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description
+    }))
+  });
+});
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+router.get('/', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    // Member counts per role
+    const counts = await User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      count: roles.length,
+      roles: roles.map(role => ({
+        ...role.toObject(),
+        memberCount: countByRole.get(role._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching roles'
+    });
+  }
+});
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+router.post('/', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, displayName, description, permissions, branches, office } = req.body;
+
+    const existingRole = await Role.findOne({ name });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: permissions || [],
+      branches: branches || [],
+      office
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating role'
+    });
+  }
+});
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private (roles:manage)
+router.put('/:id', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { displayName, description, permissions, branches, office } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Update fields
+    if (displayName) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    if (Array.isArray(permissions)) role.permissions = permissions;
+    if (Array.isArray(branches)) role.branches = branches;
+    // Cleared as null, so startup doesn't give a built-in role its default office back
+    if (office !== undefined) role.office = office || null;
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+});
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:manage)
+router.delete('/:id', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    // Remove role from users
+    await User.updateMany(
+      { roles: role._id },
+      { $pull: { roles: role._id } }
+    );
+
+    await Role.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting role'
+    });
+  }
+});
+
+module.exports = router;
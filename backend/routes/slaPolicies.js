@@ -0,0 +1,107 @@
+const express = require('express');
+const SlaPolicy = require('../models/SlaPolicy');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ANY_CATEGORY } = require('../utils/sla');
+
+const router = express.Router();
+
+// @desc    Get SLA policies
+// @route   GET /api/sla-policies
+// @access  Private (complaints:read)
+router.get('/', protect, requirePermission('complaints:read'), async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find()
+      .populate('updatedBy', 'name')
+      .sort({ category: 1, priority: 1 });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      policies
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching SLA policies'
+    });
+  }
+});
+
+// @desc    Create or update the SLA policy for a category and priority
+// @route   PUT /api/sla-policies
+// @access  Private (complaints:sla)
+router.put('/', protect, requirePermission('complaints:sla'), async (req, res) => {
+  try {
+    const { category, priority, firstResponseHours, resolutionHours } = req.body;
+
+    let policy = await SlaPolicy.findOne({ category, priority });
+    const isNew = !policy;
+    if (isNew) {
+      policy = new SlaPolicy({ category, priority });
+    }
+
+    policy.firstResponseHours = firstResponseHours;
+    policy.resolutionHours = resolutionHours;
+    policy.updatedBy = req.user._id;
+
+    // Due dates of existing complaints are kept; new targets apply to
+    // complaints created (or re-prioritised) from now on
+    await policy.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'SLA policy created successfully' : 'SLA policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Save SLA policy error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving SLA policy'
+    });
+  }
+});
+
+// @desc    Delete a category-specific SLA policy
+// @route   DELETE /api/sla-policies/:id
+// @access  Private (complaints:sla)
+router.delete('/:id', protect, requirePermission('complaints:sla'), async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    if (policy.category === ANY_CATEGORY) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fallback policies cannot be deleted'
+      });
+    }
+
+    await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'SLA policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting SLA policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,14 @@
 const express = require('express');
 const User = require('../models/User');
-const { protect, adminOnly } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
-router.get('/', protect, adminOnly, async (req, res) => {
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -57,12 +58,13 @@ router.get('/', protect, adminOnly, async (req, res) => {
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
-router.get('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (users:read)
+router.get('/:id', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password')
-      .populate('joinedClubs', 'name category');
+      .populate('joinedClubs', 'name category')
+      .populate('roles', 'name displayName permissions branches office');
 
     if (!user) {
       return res.status(404).json({
@@ -86,8 +88,8 @@ router.get('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (users:manage)
+router.put('/:id', protect, requirePermission('users:manage'), async (req, res) => {
   try {
     const { name, email, role, department, year, isActive, isAdmin } = req.body;
 
@@ -99,6 +101,14 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
+    // Granting admin UI access is part of role management
+    if (typeof isAdmin === 'boolean' && isAdmin !== user.isAdmin && !req.user.hasPermission('roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: roles:manage'
+      });
+    }
+
     // Update fields
     if (name) user.name = name;
     if (email) user.email = email;
@@ -133,10 +143,61 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
   }
 });
 
+// @desc    Set user roles
+// @route   PUT /api/users/:id/roles
+// @access  Private (roles:manage)
+router.put('/:id/roles', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Roles must be an array of role names'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const roleDocs = await Role.find({ name: { $in: roles } });
+    if (roleDocs.length !== new Set(roles).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more roles do not exist'
+      });
+    }
+
+    user.roles = roleDocs.map(role => role._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User roles updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        roles: roleDocs.map(role => role.name)
+      }
+    });
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating user roles'
+    });
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Private (users:delete)
+router.delete('/:id', protect, requirePermission('users:delete'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -147,7 +208,7 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
     }
 
     // Prevent admin from deleting themselves
-    if (user._id.toString() === (req.user._id || req.user.id)) {
+    if (user._id.toString() === req.user.id) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete your own account'
@@ -171,8 +232,8 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
 
 // @desc    Get user statistics
 // @route   GET /api/users/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, adminOnly, async (req, res) => {
+// @access  Private (users:stats)
+router.get('/stats/overview', protect, requirePermission('users:stats'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
@@ -10,8 +10,11 @@ require("dotenv").config();
 
 // Import routes
 const authRoutes = require("./routes/auth");
+const devAuthRoutes = require("./routes/devAuth");
 const userRoutes = require("./routes/users");
+const roleRoutes = require("./routes/roles");
 const complaintRoutes = require("./routes/complaints");
+const slaPolicyRoutes = require("./routes/slaPolicies");
 const clubRoutes = require("./routes/clubs");
 const electionRoutes = require("./routes/elections");
 const postRoutes = require("./routes/posts");
@@ -19,7 +22,13 @@ const contactRoutes = require("./routes/contact");
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
+const { CANDIDATE_PHOTO_DIR } = require("./middleware/upload");
 const { createDefaultAdmin } = require("./utils/createAdmin");
+const { startEscalationSweeper } = require("./utils/escalation");
+const { startElectionScheduler } = require("./utils/electionLifecycle");
+const { recordLifecycleEvents } = require("./utils/electionAudit");
+const SlaPolicy = require("./models/SlaPolicy");
+const Complaint = require("./models/Complaint");
 
 const app = express();
 
@@ -52,8 +61,10 @@ if (process.env.NODE_ENV === "development") {
 	app.use(morgan("dev"));
 }
 
-// Static files
-app.use("/uploads", express.static("uploads"));
+// Static files. Only public uploads are served; complaint evidence is
+// stored elsewhere and only available through
+// GET /api/complaints/:id/evidence/:evidenceId
+app.use("/uploads/candidates", express.static(CANDIDATE_PHOTO_DIR));
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -65,9 +76,17 @@ app.get("/health", (req, res) => {
 });
 
 // API routes
+if (devAuthRoutes.isDevAuthEnabled()) {
+	console.warn("⚠️ Dev auth provider enabled: fixture logins are available");
+	app.use("/api/auth/dev", devAuthRoutes);
+} else if (process.env.DEV_AUTH_ENABLED === "true") {
+	console.warn("⚠️ DEV_AUTH_ENABLED is ignored in production");
+}
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/roles", roleRoutes);
 app.use("/api/complaints", complaintRoutes);
+app.use("/api/sla-policies", slaPolicyRoutes);
 app.use("/api/clubs", clubRoutes);
 app.use("/api/elections", electionRoutes);
 app.use("/api/posts", postRoutes);
@@ -96,6 +115,15 @@ const connectDB = async () => {
 
 		// Create default admin user
 		await createDefaultAdmin();
+		await SlaPolicy.ensureDefaults();
+		await Complaint.routeUnrouted();
+		// Index builds otherwise fail silently, e.g. on duplicate case IDs
+		await Complaint.init().catch((error) =>
+			console.error(
+				"❌ Complaint indexes could not be built; run node utils/backfillCaseIds.js:",
+				error.message
+			)
+		);
 	} catch (error) {
 		console.error("❌ Database connection error:", error.message);
 		process.exit(1);
@@ -107,6 +135,9 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
 	await connectDB();
+	startEscalationSweeper();
+	recordLifecycleEvents();
+	startElectionScheduler();
 
 	app.listen(PORT, () => {
 		console.log(
@@ -0,0 +1,59 @@
+/** @format */
+
+const { canTransition, transitionError, allowedTransitions } = require("../utils/complaintStatus");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2026-03-01T12:00:00Z");
+
+describe("complaint transition graph", () => {
+	test("moves forward through review and resolution", () => {
+		expect(canTransition("submitted", "under_review")).toBe(true);
+		expect(canTransition("under_review", "resolved")).toBe(true);
+		expect(canTransition("resolved", "closed")).toBe(true);
+	});
+
+	test("never leaves closed and never goes back to submitted", () => {
+		["submitted", "under_review", "resolved"].forEach((to) => {
+			expect(canTransition("closed", to)).toBe(false);
+		});
+		expect(canTransition("under_review", "submitted")).toBe(false);
+		expect(transitionError({ status: "closed" }, "under_review", ["officer"], { now })).toMatchObject({
+			code: "INVALID_TRANSITION",
+		});
+	});
+});
+
+describe("complaint transition actors", () => {
+	test("only officers resolve and close", () => {
+		const complaint = { status: "under_review" };
+
+		expect(transitionError(complaint, "resolved", ["submitter"], { now })).toMatchObject({
+			code: "ACTOR_NOT_ALLOWED",
+		});
+		expect(transitionError(complaint, "resolved", ["officer"], { now })).toBeNull();
+		expect(allowedTransitions(complaint, ["submitter"], now)).toEqual([]);
+		expect(allowedTransitions(complaint, ["officer"], now)).toEqual(["resolved", "closed"]);
+	});
+
+	test("only the submitter reopens, and only within the reopen window", () => {
+		const complaint = { status: "resolved", reopenableUntil: new Date(now.getTime() + DAY) };
+
+		expect(transitionError(complaint, "under_review", ["officer"], { now })).toMatchObject({
+			code: "ACTOR_NOT_ALLOWED",
+		});
+		expect(transitionError(complaint, "under_review", ["submitter"], { now })).toBeNull();
+		expect(
+			transitionError(complaint, "under_review", ["submitter"], { now: new Date(now.getTime() + 2 * DAY) })
+		).toMatchObject({ code: "REOPEN_WINDOW_CLOSED" });
+	});
+
+	test("closing needs a resolution summary", () => {
+		const complaint = { status: "resolved" };
+
+		expect(transitionError(complaint, "closed", ["officer"], { now })).toMatchObject({
+			code: "RESOLUTION_SUMMARY_REQUIRED",
+		});
+		expect(transitionError(complaint, "closed", ["officer"], { resolutionSummary: "Fixed", now })).toBeNull();
+		expect(transitionError({ ...complaint, resolutionSummary: "Fixed" }, "closed", ["officer"], { now })).toBeNull();
+	});
+});
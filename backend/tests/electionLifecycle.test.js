@@ -0,0 +1,68 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const Election = require("../models/Election");
+const Ballot = require("../models/Ballot");
+const { electionEvents, runElectionLifecycle } = require("../utils/electionLifecycle");
+
+const now = new Date("2026-03-01T12:00:00Z");
+
+// An election closed by an earlier run that stopped before writing the digest
+const interrupted = () =>
+	Election.hydrate({
+		_id: new mongoose.Types.ObjectId(),
+		title: "Union President",
+		status: "completed",
+		closedAt: new Date("2026-03-01T11:00:00Z"),
+		voters: [],
+	});
+
+// A query resolving to `result`, with the chaining the scheduler uses
+const query = (result) => ({
+	select: () => query(result),
+	then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+beforeEach(() => {
+	// Nothing to open, close or publish; one election is left unsealed
+	jest.spyOn(Election, "findOneAndUpdate").mockReturnValue(query(null));
+	jest.spyOn(Election, "find").mockImplementation((filter) =>
+		query(filter.ballotDigest === null ? [interrupted()] : [])
+	);
+	jest.spyOn(Ballot, "countDocuments").mockResolvedValue(0);
+	jest.spyOn(Ballot, "bulletin").mockResolvedValue({ digest: "abc123" });
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+	electionEvents.removeAllListeners();
+});
+
+describe("closeElections", () => {
+	test("seals an election whose close was interrupted before its digest", async () => {
+		const updateOne = jest.spyOn(Election, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+		const onClosed = jest.fn();
+		electionEvents.on("closed", onClosed);
+
+		const { closed } = await runElectionLifecycle(now);
+
+		expect(closed).toHaveLength(1);
+		expect(closed[0].ballotDigest).toBe("abc123");
+		expect(updateOne).toHaveBeenCalledWith(
+			{ _id: closed[0]._id, ballotDigest: null },
+			{ $set: { ballotDigest: "abc123" } }
+		);
+		expect(onClosed).toHaveBeenCalledTimes(1);
+	});
+
+	test("reports the close once when another server sealed it first", async () => {
+		jest.spyOn(Election, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+		const onClosed = jest.fn();
+		electionEvents.on("closed", onClosed);
+
+		const { closed } = await runElectionLifecycle(now);
+
+		expect(closed).toEqual([]);
+		expect(onClosed).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,153 @@
+/** @format */
+
+const crypto = require("crypto");
+const { tally } = require("../utils/tally");
+
+// `count` copies of a ballot
+const times = (count, choices) => Array.from({ length: count }, () => choices);
+
+const votesIn = (round, candidate) => round.tallies.find((t) => t.candidate === candidate).votes;
+
+describe("instant runoff", () => {
+	test("eliminates the lowest candidate and transfers their ballots", () => {
+		const result = tally({
+			ballotType: "ranked_choice",
+			candidateIds: ["a", "b", "c"],
+			ballots: [...times(4, ["a", "b"]), ...times(3, ["b", "a"]), ...times(2, ["c", "b"])],
+		});
+
+		expect(result.rounds).toHaveLength(2);
+		expect(result.rounds[0].quota).toBe(5);
+		expect(result.rounds[0].eliminated).toEqual(["c"]);
+		expect(votesIn(result.rounds[1], "a")).toBe(4);
+		expect(votesIn(result.rounds[1], "b")).toBe(5);
+		expect(result.rounds[1].elected).toEqual(["b"]);
+		expect(result.winners).toEqual(["b"]);
+	});
+
+	test("counts exhausted ballots and takes the majority of those still in the count", () => {
+		const result = tally({
+			ballotType: "ranked_choice",
+			candidateIds: ["a", "b", "c"],
+			ballots: [...times(4, ["a"]), ...times(3, ["b"]), ...times(2, ["c"])],
+		});
+
+		expect(result.rounds[0].exhausted).toBe(0);
+		expect(result.rounds[1].exhausted).toBe(2);
+		expect(result.rounds[1].quota).toBe(4);
+		expect(result.winners).toEqual(["a"]);
+		expect(result.totalBallots).toBe(9);
+	});
+
+	test("settles an elimination tie by the earlier rounds", () => {
+		const result = tally({
+			ballotType: "ranked_choice",
+			candidateIds: ["a", "b", "c", "d"],
+			ballots: [
+				...times(5, ["a"]),
+				...times(3, ["b"]),
+				...times(2, ["c", "b"]),
+				["d", "c", "b"],
+			],
+		});
+
+		expect(result.rounds[0].eliminated).toEqual(["d"]);
+		expect(result.rounds[1].eliminated).toEqual(["c"]);
+		expect(result.ties).toEqual([
+			{ round: 2, kind: "elimination", candidates: ["b", "c"], resolvedBy: "earlier_rounds", eliminated: "c" },
+		]);
+		expect(result.winners).toEqual(["b"]);
+	});
+
+	test("settles a first-round elimination tie by the tie-break policy", () => {
+		const result = tally({
+			ballotType: "ranked_choice",
+			candidateIds: ["a", "b", "c"],
+			ballots: [...times(2, ["a"]), ["b", "a"], ["c", "b"]],
+			tieBreak: { policy: "ballot_order" },
+		});
+
+		expect(result.rounds[0].eliminated).toEqual(["c"]);
+		expect(result.rounds[0].tieBroken).toBe(true);
+		expect(result.ties[0]).toMatchObject({
+			round: 1,
+			kind: "elimination",
+			resolvedBy: "ballot_order",
+			eliminated: "c",
+		});
+	});
+});
+
+describe("single transferable vote", () => {
+	test("uses the Droop quota and transfers an elected candidate's surplus", () => {
+		const result = tally({
+			ballotType: "stv",
+			seats: 2,
+			candidateIds: ["a", "b", "c", "d"],
+			ballots: [
+				...times(8, ["a", "b"]),
+				["b"],
+				...times(3, ["c"]),
+				...times(2, ["d", "c"]),
+			],
+		});
+
+		// floor(14 / (2 + 1)) + 1
+		expect(result.rounds.every((round) => round.quota === 5)).toBe(true);
+		expect(result.rounds[0].elected).toEqual(["a"]);
+		// a's surplus of 3 moves on at 3/8 of a vote per ballot
+		expect(votesIn(result.rounds[1], "b")).toBe(4);
+		expect(result.rounds[1].eliminated).toEqual(["d"]);
+		expect(votesIn(result.rounds[2], "c")).toBe(5);
+		expect(result.winners).toEqual(["a", "c"]);
+	});
+
+	test("elects the remaining candidates once they can only fill the open seats", () => {
+		const result = tally({
+			ballotType: "stv",
+			seats: 2,
+			candidateIds: ["a", "b", "c"],
+			ballots: [...times(3, ["a"]), ...times(2, ["b"]), ["c"]],
+		});
+
+		expect(result.winners).toEqual(expect.arrayContaining(["a", "b"]));
+		expect(result.winners).toHaveLength(2);
+		expect(result.rounds[result.rounds.length - 1].exhausted).toBe(1);
+	});
+});
+
+describe("ties", () => {
+	const tied = {
+		ballotType: "plurality",
+		candidateIds: ["a", "b", "c"],
+		ballots: [["b"], ["a"], ["c"]],
+	};
+
+	test("ballot_order gives the seat to the candidate listed first", () => {
+		const result = tally({ ...tied, tieBreak: { policy: "ballot_order" } });
+
+		expect(result.winners).toEqual(["a"]);
+		expect(result.ties).toHaveLength(1);
+		expect(result.ties[0]).toMatchObject({ kind: "seat", seats: 1, resolvedBy: "ballot_order", winners: ["a"] });
+		expect([...result.ties[0].candidates].sort()).toEqual(["a", "b", "c"]);
+	});
+
+	test("lot draws by the hash of the seed, so anyone can repeat it", () => {
+		const seed = "election:digest";
+		const lotKey = (id) => crypto.createHash("sha256").update(`${seed}:${id}`).digest("hex");
+		const expected = ["a", "b", "c"].sort((x, y) => (lotKey(x) < lotKey(y) ? -1 : 1))[0];
+
+		const result = tally({ ...tied, tieBreak: { policy: "lot", seed } });
+
+		expect(result.winners).toEqual([expected]);
+		expect(result.ties[0].resolvedBy).toBe("lot");
+		expect(tally({ ...tied, tieBreak: { policy: "lot", seed } }).winners).toEqual([expected]);
+	});
+
+	test("a clear count reports no ties", () => {
+		const result = tally({ ...tied, ballots: [...tied.ballots, ["a"]] });
+
+		expect(result.winners).toEqual(["a"]);
+		expect(result.ties).toEqual([]);
+	});
+});
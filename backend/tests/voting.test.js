@@ -0,0 +1,94 @@
+/** @format */
+
+const mongoose = require("mongoose");
+const Election = require("../models/Election");
+const Ballot = require("../models/Ballot");
+const ElectionAuditEntry = require("../models/ElectionAuditEntry");
+const { castVote } = require("../utils/voting");
+
+// An election document held in memory; updateOne applies the claim and its
+// rollback the way the database would, one update at a time
+const fakeElection = () => {
+	const stored = { _id: new mongoose.Types.ObjectId(), voters: [], totalVotes: 0 };
+	const hasVoted = (userId) => stored.voters.some((voter) => voter.user.equals(userId));
+
+	jest.spyOn(Election, "updateOne").mockImplementation(async (filter, update) => {
+		const userId = filter["voters.user"].$ne || filter["voters.user"];
+		const matches = filter["voters.user"].$ne ? !hasVoted(userId) : hasVoted(userId);
+		if (!matches) return { modifiedCount: 0 };
+
+		if (update.$push) stored.voters.push(update.$push.voters);
+		if (update.$pull) stored.voters = stored.voters.filter((voter) => !voter.user.equals(userId));
+		stored.totalVotes += update.$inc.totalVotes;
+		return { modifiedCount: 1 };
+	});
+	jest.spyOn(Election, "exists").mockImplementation(async (filter) =>
+		hasVoted(filter["voters.user"]) ? { _id: stored._id } : null
+	);
+	return stored;
+};
+
+const now = new Date("2026-03-01T12:00:00Z");
+const selections = [{ contest: new mongoose.Types.ObjectId(), choices: [new mongoose.Types.ObjectId()] }];
+
+beforeEach(() => {
+	jest.spyOn(ElectionAuditEntry, "append").mockResolvedValue({});
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+});
+
+describe("castVote", () => {
+	test("claims the voter once; a second request for the same voter is refused", async () => {
+		const election = fakeElection();
+		const userId = new mongoose.Types.ObjectId();
+		jest.spyOn(Ballot, "cast").mockResolvedValue({ code: "RECEIPT" });
+
+		const [first, second] = await Promise.all([
+			castVote(election, userId, selections, now),
+			castVote(election, userId, selections, now),
+		]);
+
+		expect(first).toEqual({ receipt: { code: "RECEIPT" } });
+		expect(second.error.code).toBe("ALREADY_VOTED");
+		expect(Ballot.cast).toHaveBeenCalledTimes(1);
+		expect(election.voters).toHaveLength(1);
+		expect(election.totalVotes).toBe(1);
+	});
+
+	test("the claim touches only voters and totalVotes", async () => {
+		const election = fakeElection();
+		jest.spyOn(Ballot, "cast").mockResolvedValue({ code: "RECEIPT" });
+
+		await castVote(election, new mongoose.Types.ObjectId(), selections, now);
+
+		const [, update] = Election.updateOne.mock.calls[0];
+		expect(Object.keys(update.$push)).toEqual(["voters"]);
+		expect(update.$inc).toEqual({ totalVotes: 1 });
+	});
+
+	test("rolls the claim back when the ballot can't be stored", async () => {
+		const election = fakeElection();
+		const userId = new mongoose.Types.ObjectId();
+		jest.spyOn(Ballot, "cast").mockRejectedValue(new Error("write failed"));
+
+		await expect(castVote(election, userId, selections, now)).rejects.toThrow("write failed");
+
+		expect(election.voters).toEqual([]);
+		expect(election.totalVotes).toBe(0);
+		expect(ElectionAuditEntry.append).not.toHaveBeenCalled();
+	});
+
+	test("a voter whose ballot failed can vote again", async () => {
+		const election = fakeElection();
+		const userId = new mongoose.Types.ObjectId();
+		jest.spyOn(Ballot, "cast").mockRejectedValueOnce(new Error("write failed")).mockResolvedValue({ code: "RECEIPT" });
+
+		await expect(castVote(election, userId, selections, now)).rejects.toThrow();
+		const retry = await castVote(election, userId, selections, now);
+
+		expect(retry).toEqual({ receipt: { code: "RECEIPT" } });
+		expect(election.totalVotes).toBe(1);
+	});
+});
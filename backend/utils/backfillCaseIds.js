@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const { nextCaseId } = require('./caseId');
+require('dotenv').config();
+
+// A new case ID for a complaint that lacks one or shares one. The counter may
+// lag behind IDs stored before it existed, so skip any that are taken.
+const freshCaseId = async (complaint) => {
+  for (;;) {
+    const caseId = await nextCaseId(complaint.branch || complaint.category, complaint.createdAt || new Date());
+    if (!(await Complaint.exists({ caseId }))) return caseId;
+  }
+};
+
+// Complaints stored before case IDs were unique may have none, or share one.
+// Give those without one an ID, keep each shared ID on its oldest complaint
+// and give the others new ones, then build the unique caseId index (which
+// can't be built until then). Run once, before starting the server on such a
+// database: node utils/backfillCaseIds.js
+const backfillCaseIds = async () => {
+  const changes = [];
+  const reassign = async (complaint) => {
+    const from = complaint.caseId || null;
+    const caseId = await freshCaseId(complaint);
+    await Complaint.collection.updateOne({ _id: complaint._id }, { $set: { caseId } });
+    changes.push({ complaint: complaint._id, from, to: caseId });
+  };
+
+  const missing = await Complaint.collection
+    .find({ $or: [{ caseId: { $exists: false } }, { caseId: null }, { caseId: '' }] })
+    .sort({ createdAt: 1 })
+    .toArray();
+  for (const complaint of missing) {
+    await reassign(complaint);
+  }
+
+  const shared = await Complaint.collection.aggregate([
+    { $match: { caseId: { $type: 'string' } } },
+    { $group: { _id: '$caseId', count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).toArray();
+  for (const { _id: caseId } of shared) {
+    const [, ...others] = await Complaint.collection
+      .find({ caseId })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+    for (const complaint of others) {
+      await reassign(complaint);
+    }
+  }
+
+  await Complaint.createIndexes();
+  return changes;
+};
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_union_db');
+      const changes = await backfillCaseIds();
+      changes.forEach(({ complaint, from, to }) => {
+        console.log(`Complaint ${complaint}: ${from || '(no case ID)'} → ${to}`);
+      });
+      console.log(`Case ID backfill finished: ${changes.length} complaint(s) updated`);
+      process.exit(0);
+    } catch (error) {
+      console.error('Error backfilling case IDs:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { backfillCaseIds };
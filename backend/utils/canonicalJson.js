@@ -0,0 +1,23 @@
+/** @format */
+
+const crypto = require("crypto");
+
+// JSON with object keys in sorted order and undefined members left out, so the
+// same value always serializes (and hashes) the same way. Values must already
+// be plain JSON: dates as ISO strings, ids as strings.
+const canonicalJson = (value) => {
+	if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+	if (value && typeof value === "object") {
+		const members = Object.keys(value)
+			.filter((key) => value[key] !== undefined)
+			.sort()
+			.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+		return `{${members.join(",")}}`;
+	}
+	return JSON.stringify(value ?? null);
+};
+
+// SHA-256 (hex) of a value's canonical JSON
+const hashOf = (value) => crypto.createHash("sha256").update(canonicalJson(value)).digest("hex");
+
+module.exports = { canonicalJson, hashOf };
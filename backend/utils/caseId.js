@@ -0,0 +1,25 @@
+/** @format */
+
+const Counter = require("../models/Counter");
+
+const CASE_PREFIX = "DBU";
+
+const BRANCH_CODES = {
+	academic: "ACA",
+	dining: "DIN",
+	housing: "HOU",
+	facilities: "FAC",
+	disciplinary: "DIS",
+	general: "GEN",
+};
+
+// Next case ID for a branch, e.g. DBU-DIN-2026-00042. Numbers restart each
+// year per branch.
+const nextCaseId = async (branch, date = new Date()) => {
+	const code = BRANCH_CODES[branch] || BRANCH_CODES.general;
+	const year = date.getFullYear();
+	const seq = await Counter.next(`caseId:${code}:${year}`);
+	return `${CASE_PREFIX}-${code}-${year}-${String(seq).padStart(5, "0")}`;
+};
+
+module.exports = { BRANCH_CODES, nextCaseId };
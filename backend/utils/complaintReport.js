@@ -0,0 +1,181 @@
+/** @format */
+
+const Complaint = require("../models/Complaint");
+const { OFFICES } = require("./offices");
+const { OPEN_STATUSES } = require("./sla");
+const { renderPdf } = require("./pdf");
+
+const HOUR = 60 * 60 * 1000;
+
+const REPORT_FIELDS = "office status createdAt resolvedAt sla satisfactionRating";
+
+const median = (values) => {
+	if (values.length === 0) return null;
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, digits = 1) =>
+	value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Mongo filter for the report. Branch falls back to category, the same way
+// complaints are routed.
+const reportFilter = ({ from, to, branch, category, status }) => {
+	const filter = {};
+	if (from || to) {
+		filter.createdAt = {};
+		if (from) filter.createdAt.$gte = from;
+		if (to) filter.createdAt.$lte = to;
+	}
+	if (branch) {
+		filter.$or = [{ branch }, { branch: null, category: branch }];
+	}
+	if (category) filter.category = category;
+	if (status) filter.status = status;
+	return filter;
+};
+
+// Open complaints already past a deadline count as breached even if the
+// escalation sweeper has not flagged them yet
+const breaches = (complaint, now) => {
+	const sla = complaint.sla || {};
+	const open = OPEN_STATUSES.includes(complaint.status);
+	return {
+		firstResponse:
+			Boolean(sla.firstResponseBreached) ||
+			(open && !sla.firstRespondedAt && sla.firstResponseDueAt < now),
+		resolution: Boolean(sla.resolutionBreached) || (open && sla.resolutionDueAt < now),
+	};
+};
+
+const summarize = (complaints, now) => {
+	const resolutionHours = complaints
+		.filter((c) => c.resolvedAt)
+		.map((c) => (new Date(c.resolvedAt) - new Date(c.createdAt)) / HOUR);
+	const ratings = complaints
+		.map((c) => c.satisfactionRating)
+		.filter((rating) => rating != null);
+	const flags = complaints.map((c) => breaches(c, now));
+
+	return {
+		total: complaints.length,
+		open: complaints.filter((c) => OPEN_STATUSES.includes(c.status)).length,
+		resolved: complaints.filter((c) => c.status === "resolved").length,
+		closed: complaints.filter((c) => c.status === "closed").length,
+		medianResolutionHours: round(median(resolutionHours)),
+		firstResponseBreaches: flags.filter((f) => f.firstResponse).length,
+		resolutionBreaches: flags.filter((f) => f.resolution).length,
+		averageRating: ratings.length
+			? round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length, 2)
+			: null,
+		ratings: ratings.length,
+	};
+};
+
+// Per-office volumes, resolution times, SLA breaches and satisfaction for the
+// complaints matching `filters` ({ from, to, branch, category, status })
+const buildComplaintReport = async (filters, now = new Date()) => {
+	const complaints = await Complaint.find(reportFilter(filters)).select(REPORT_FIELDS).lean();
+
+	const offices = OFFICES.map((office) => ({
+		office: office.key,
+		name: office.name,
+		...summarize(
+			complaints.filter((c) => c.office === office.key),
+			now
+		),
+	})).filter((row) => row.total > 0);
+
+	return {
+		generatedAt: now,
+		filters,
+		offices,
+		totals: { office: "all", name: "All offices", ...summarize(complaints, now) },
+	};
+};
+
+const COLUMNS = [
+	{ key: "name", header: "Office", width: 105 },
+	{ key: "total", header: "Total", width: 34 },
+	{ key: "open", header: "Open", width: 32 },
+	{ key: "resolved", header: "Resolved", width: 44 },
+	{ key: "closed", header: "Closed", width: 36 },
+	{ key: "medianResolutionHours", header: "Median res. (h)", width: 64 },
+	{ key: "firstResponseBreaches", header: "1st resp. SLA", width: 58 },
+	{ key: "resolutionBreaches", header: "Res. SLA", width: 44 },
+	{ key: "averageRating", header: "Rating", width: 36 },
+	{ key: "ratings", header: "Ratings", width: 40 },
+];
+
+const CSV_HEADERS = [
+	"Office",
+	"Total",
+	"Open",
+	"Resolved",
+	"Closed",
+	"Median resolution (hours)",
+	"First response SLA breaches",
+	"Resolution SLA breaches",
+	"Average rating",
+	"Ratings",
+];
+
+// Quote fields that need it and keep spreadsheet apps from running formulas
+const csvField = (value) => {
+	let text = value == null ? "" : String(value);
+	if (/^[=+\-@]/.test(text)) text = `'${text}`;
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const reportRows = (report) => [...report.offices, report.totals];
+
+const reportToCsv = (report) =>
+	[CSV_HEADERS, ...reportRows(report).map((row) => COLUMNS.map((column) => row[column.key]))]
+		.map((cells) => cells.map(csvField).join(","))
+		.join("\r\n") + "\r\n";
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const describeFilters = ({ from, to, branch, category, status }) =>
+	[
+		from || to ? `Period: ${from ? formatDate(from) : "start"} to ${to ? formatDate(to) : "today"}` : "Period: all time",
+		branch && `Branch: ${branch}`,
+		category && `Category: ${category}`,
+		status && `Status: ${status.replace("_", " ")}`,
+	]
+		.filter(Boolean)
+		.join("   ");
+
+const reportToPdf = (report) =>
+	renderPdf([
+		{ type: "heading", text: "DBU Student Union - Complaint Report" },
+		{ type: "space", height: 4 },
+		{ type: "text", text: describeFilters(report.filters) },
+		{ type: "text", text: `Generated ${new Date(report.generatedAt).toUTCString()}`, size: 9 },
+		{ type: "space", height: 12 },
+		{
+			type: "table",
+			size: 8,
+			columns: COLUMNS,
+			rows: reportRows(report).map((row) =>
+				COLUMNS.map((column) => (row[column.key] == null ? "-" : row[column.key]))
+			),
+		},
+		{ type: "space", height: 12 },
+		{
+			type: "text",
+			size: 8,
+			text: "Median resolution is measured from submission to resolution. Open complaints past a deadline count as breaches.",
+		},
+	]);
+
+const reportFilename = (report, extension) =>
+	`complaint-report-${formatDate(report.generatedAt)}.${extension}`;
+
+module.exports = {
+	buildComplaintReport,
+	reportToCsv,
+	reportToPdf,
+	reportFilename,
+};
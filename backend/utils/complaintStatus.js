@@ -0,0 +1,76 @@
+/** @format */
+
+const COMPLAINT_STATUSES = ["submitted", "under_review", "resolved", "closed"];
+
+// Allowed status changes and who may make them. Actors are "officer" (may
+// update the status of complaints in the complaint's branch) and "submitter".
+// Closed is final; a resolved complaint goes back to review only when its
+// submitter reopens it within the reopen window.
+const STATUS_TRANSITIONS = {
+	submitted: {
+		under_review: { actors: ["officer"] },
+		resolved: { actors: ["officer"] },
+		closed: { actors: ["officer"], requiresSummary: true },
+	},
+	under_review: {
+		resolved: { actors: ["officer"] },
+		closed: { actors: ["officer"], requiresSummary: true },
+	},
+	resolved: {
+		under_review: { actors: ["submitter"], withinReopenWindow: true },
+		closed: { actors: ["officer"], requiresSummary: true },
+	},
+	closed: {},
+};
+
+const label = (status) => status.replace("_", " ");
+
+const canTransition = (from, to) => Boolean(STATUS_TRANSITIONS[from]?.[to]);
+
+// Why `actors` cannot move the complaint to `to` right now, or null if they can.
+// A resolution summary may come with the request or already be on the complaint.
+const transitionError = (complaint, to, actors, { resolutionSummary, now = new Date() } = {}) => {
+	const from = complaint.status;
+	const rule = STATUS_TRANSITIONS[from]?.[to];
+
+	if (!rule) {
+		return {
+			code: "INVALID_TRANSITION",
+			message: `A complaint that is ${label(from)} cannot be moved to ${label(to)}`,
+		};
+	}
+	if (!rule.actors.some((actor) => actors.includes(actor))) {
+		return {
+			code: "ACTOR_NOT_ALLOWED",
+			message: `Only the ${rule.actors.join(" or ")} can move this complaint to ${label(to)}`,
+		};
+	}
+	if (rule.withinReopenWindow && !(complaint.reopenableUntil > now)) {
+		return {
+			code: "REOPEN_WINDOW_CLOSED",
+			message: "The reopen window for this complaint has passed",
+		};
+	}
+	if (rule.requiresSummary && !(resolutionSummary || complaint.resolutionSummary || "").trim()) {
+		return {
+			code: "RESOLUTION_SUMMARY_REQUIRED",
+			message: "A resolution summary is required to close a complaint",
+		};
+	}
+	return null;
+};
+
+// Statuses `actors` may move the complaint to next (summaries aside, since
+// they are supplied with the change)
+const allowedTransitions = (complaint, actors, now = new Date()) =>
+	Object.keys(STATUS_TRANSITIONS[complaint.status] || {}).filter(
+		(to) => !transitionError(complaint, to, actors, { resolutionSummary: "-", now })
+	);
+
+module.exports = {
+	COMPLAINT_STATUSES,
+	STATUS_TRANSITIONS,
+	canTransition,
+	transitionError,
+	allowedTransitions,
+};
@@ -1,7 +1,22 @@
 const User = require("../models/User");
+const Role = require("../models/Role");
+
+// Give a default account its built-in role the first time we see it without
+// any roles. Roles changed later through the API are left alone.
+const assignDefaultRole = async (user, roleName) => {
+	if (user.roles && user.roles.length > 0) return;
+
+	const role = await Role.findOne({ name: roleName });
+	if (!role) return;
+
+	await User.updateOne({ _id: user._id }, { $set: { roles: [role._id] } });
+	console.log(`✅ Role ${roleName} assigned to ${user.username}`);
+};
 
 const createDefaultAdmin = async () => {
 	try {
+		await Role.ensureDefaults();
+
 		// Check if any admin already exists
 		const adminExists = await User.findOne({
 			$or: [
@@ -23,8 +38,10 @@ const createDefaultAdmin = async () => {
 			});
 
 			console.log("✅ Default admin user created:", admin.username);
+			await assignDefaultRole(admin, "system_admin");
 		} else {
 			console.log("ℹ️ Admin user already exists");
+			await assignDefaultRole(adminExists, "system_admin");
 		}
 
 		// Create additional admin users for different roles
@@ -32,6 +49,7 @@ const createDefaultAdmin = async () => {
 			{
 				name: "President Admin",
 				username: "presidentdbu",
+				defaultRole: "president",
 				email: "president@dbu.edu.et",
 				password: "Admin123#",
 				role: "admin",
@@ -42,6 +60,7 @@ const createDefaultAdmin = async () => {
 			{
 				name: "Student Din Admin",
 				username: "studentdindbu",
+				defaultRole: "student_din",
 				email: "studentdin@dbu.edu.et",
 				password: "Admin123#",
 				role: "admin",
@@ -52,6 +71,7 @@ const createDefaultAdmin = async () => {
 			{
 				name: "Academic Affairs Admin",
 				username: "academicdbu",
+				defaultRole: "academic_affairs",
 				email: "academic@dbu.edu.et",
 				password: "Admin123#",
 				role: "admin",
@@ -62,16 +82,39 @@ const createDefaultAdmin = async () => {
 			{
 				name: "Clubs Admin",
 				username: "clubsdbu",
+				defaultRole: "clubs_associations",
 				email: "clubs@dbu.edu.et",
 				password: "Admin123#",
 				role: "admin",
 				isAdmin: true,
 				department: "Student Activities",
 				year: "3rd Year",
+			},
+			{
+				name: "Dining Services Admin",
+				username: "diningdbu",
+				defaultRole: "dining_services",
+				email: "dining@dbu.edu.et",
+				password: "Admin123#",
+				role: "admin",
+				isAdmin: true,
+				department: "Dining Services",
+				year: "4th Year",
+			},
+			{
+				name: "Sports & Culture Admin",
+				username: "sportsdbu",
+				defaultRole: "sports_culture",
+				email: "sports@dbu.edu.et",
+				password: "Admin123#",
+				role: "admin",
+				isAdmin: true,
+				department: "Sports & Culture",
+				year: "3rd Year",
 			}
 		];
 
-		for (const adminData of adminUsers) {
+		for (const { defaultRole, ...adminData } of adminUsers) {
 			const existingAdmin = await User.findOne({
 				$or: [
 					{ username: adminData.username },
@@ -82,8 +125,10 @@ const createDefaultAdmin = async () => {
 			if (!existingAdmin) {
 				const admin = await User.create(adminData);
 				console.log(`✅ Admin user created: ${adminData.username} (${adminData.email})`);
+				await assignDefaultRole(admin, defaultRole);
 			} else {
 				console.log(`ℹ️ Admin already exists: ${adminData.username}`);
+				await assignDefaultRole(existingAdmin, defaultRole);
 			}
 		}
 
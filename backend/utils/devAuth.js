@@ -0,0 +1,10 @@
+/** @format */
+
+// Dev auth is opt-in through DEV_AUTH_ENABLED and can never be turned on in
+// production, whatever the flag says. The fixture users it signs in as are
+// only seeded under the same condition.
+const isDevAuthEnabled = () =>
+	process.env.DEV_AUTH_ENABLED === "true" &&
+	process.env.NODE_ENV !== "production";
+
+module.exports = { isDevAuthEnabled };
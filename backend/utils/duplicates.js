@@ -0,0 +1,40 @@
+/** @format */
+
+const Complaint = require("../models/Complaint");
+const { complaintSimilarity } = require("./similarity");
+const { OPEN_STATUSES } = require("./sla");
+
+const DUPLICATE_WINDOW_DAYS = 14;
+const DUPLICATE_THRESHOLD = 0.5;
+const MAX_CANDIDATES = 300;
+const MAX_SUGGESTIONS = 5;
+
+// Open complaints of the same category from the last two weeks that look
+// like the given one, most similar first
+const findLikelyDuplicates = async (complaint, { excludeId, includeAnonymous = false } = {}) => {
+	const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+	const query = {
+		category: complaint.category,
+		status: { $in: OPEN_STATUSES },
+		mergedInto: null,
+		createdAt: { $gte: since },
+	};
+	if (excludeId) query._id = { $ne: excludeId };
+	if (!includeAnonymous) query.isAnonymous = { $ne: true };
+
+	const candidates = await Complaint.find(query)
+		.select("caseId title description status office watchers createdAt")
+		.sort({ createdAt: -1 })
+		.limit(MAX_CANDIDATES);
+
+	return candidates
+		.map((candidate) => ({
+			complaint: candidate,
+			similarity: complaintSimilarity(complaint, candidate),
+		}))
+		.filter((match) => match.similarity >= DUPLICATE_THRESHOLD)
+		.sort((a, b) => b.similarity - a.similarity)
+		.slice(0, MAX_SUGGESTIONS);
+};
+
+module.exports = { findLikelyDuplicates };
@@ -0,0 +1,127 @@
+/** @format */
+
+const crypto = require("crypto");
+const Ballot = require("../models/Ballot");
+const ElectionAuditEntry = require("../models/ElectionAuditEntry");
+const { electionEvents } = require("./electionLifecycle");
+const { canonicalJson, hashOf } = require("./canonicalJson");
+
+const EXPORT_FORMAT = "election-export/1";
+
+let recording = false;
+
+// Write the scheduler's lifecycle steps (see electionLifecycle.js) to each
+// election's audit log
+const recordLifecycleEvents = () => {
+	if (recording) return;
+	recording = true;
+
+	const record = (type, dataOf) => async ({ election, at }) => {
+		try {
+			await ElectionAuditEntry.append(election._id, { type, data: dataOf(election), at });
+		} catch (error) {
+			console.error(`Election audit error (${type}):`, error);
+		}
+	};
+
+	electionEvents.on(
+		"opened",
+		record("opened", (election) => ({ eligibleVoters: election.eligibleVoters }))
+	);
+	electionEvents.on(
+		"closed",
+		record("closed", (election) => ({
+			ballotDigest: election.ballotDigest,
+			voters: election.voters.length,
+		}))
+	);
+	electionEvents.on(
+		"published",
+		record("results_published", (election) => ({
+			contests: election.contests.map((contest) => contest.id),
+			automatic: true,
+		}))
+	);
+};
+
+let signingKey = null;
+
+// Ed25519 key that signs export manifests, from ELECTION_SIGNING_KEY (a PEM
+// private key). Without one a key is made up for this process, and bundles can
+// only be checked against the public key they carry.
+const manifestKey = () => {
+	if (!signingKey) {
+		if (process.env.ELECTION_SIGNING_KEY) {
+			signingKey = crypto.createPrivateKey(process.env.ELECTION_SIGNING_KEY.replace(/\\n/g, "\n"));
+		} else {
+			console.warn("⚠️  ELECTION_SIGNING_KEY is not set; election exports are signed with a temporary key");
+			signingKey = crypto.generateKeyPairSync("ed25519").privateKey;
+		}
+	}
+	return signingKey;
+};
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+
+// Everything needed to check an election without the database: the contests,
+// every anonymous ballot, the published count and the audit log, plus a
+// manifest of their SHA-256 hashes signed with the union's key. See
+// verifyElectionExport.js for the checks an observer can run.
+const exportElection = async (election) => {
+	const [{ ballots, digest }, auditLog] = await Promise.all([
+		Ballot.bulletin(election._id),
+		ElectionAuditEntry.chain(election._id),
+	]);
+
+	const sections = {
+		election: {
+			id: election.id,
+			title: election.title,
+			ballotType: election.ballotType,
+			tieBreakPolicy: election.tieBreak().policy,
+			tieBreakSeed: election.tieBreak().seed,
+			startDate: isoDate(election.startDate),
+			endDate: isoDate(election.endDate),
+			openedAt: isoDate(election.openedAt),
+			closedAt: isoDate(election.closedAt),
+			eligibleVoters: election.eligibleVoters,
+			totalVotes: election.totalVotes,
+			contests: election.contests.map((contest) => ({
+				id: contest.id,
+				title: contest.title,
+				seats: contest.seats,
+				candidates: contest.candidates.map((candidate) => ({ id: candidate.id, name: candidate.name })),
+			})),
+		},
+		// Plain JSON, so the hashes below match what is sent
+		ballots: JSON.parse(JSON.stringify(ballots)),
+		results: JSON.parse(JSON.stringify(election.getResults(ballots))),
+		auditLog,
+	};
+
+	const key = manifestKey();
+	const manifest = {
+		format: EXPORT_FORMAT,
+		election: election.id,
+		exportedAt: new Date().toISOString(),
+		totalBallots: ballots.length,
+		bulletinDigest: digest,
+		closingDigest: election.ballotDigest || null,
+		auditEntries: auditLog.length,
+		auditHead: auditLog.length > 0 ? auditLog[auditLog.length - 1].hash : ElectionAuditEntry.GENESIS_HASH,
+		sha256: Object.fromEntries(Object.entries(sections).map(([name, section]) => [name, hashOf(section)])),
+		signedWith: {
+			algorithm: "ed25519",
+			publicKey: crypto.createPublicKey(key).export({ type: "spki", format: "pem" }),
+		},
+	};
+
+	return {
+		manifest,
+		// Over the manifest's canonical JSON (see canonicalJson.js)
+		signature: crypto.sign(null, Buffer.from(canonicalJson(manifest)), key).toString("base64"),
+		...sections,
+	};
+};
+
+module.exports = { EXPORT_FORMAT, recordLifecycleEvents, exportElection };
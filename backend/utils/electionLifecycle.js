@@ -0,0 +1,214 @@
+/** @format */
+
+const EventEmitter = require("events");
+const Election = require("../models/Election");
+const Ballot = require("../models/Ballot");
+const { countEligibleVoters } = require("./eligibility");
+
+const HOUR = 60 * 60 * 1000;
+
+// Check again at least this often, in case an election changed without the
+// scheduler being told
+const MAX_DELAY = HOUR;
+
+// Lifecycle events, each with { election, at }:
+//   opened     voting started
+//   closed     voting ended; no more ballots are accepted
+//   published  results were published automatically after the embargo
+const electionEvents = new EventEmitter();
+
+const live = { status: { $ne: "cancelled" } };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A vote claimed just before the close may still be storing its ballot; give
+// it a moment so the digest covers every counted voter
+const settledBulletin = async (election) => {
+	for (let attempt = 0; attempt < 5; attempt++) {
+		const stored = await Ballot.countDocuments({ election: election._id });
+		if (stored >= election.voters.length) break;
+		await sleep(200);
+	}
+	return Ballot.bulletin(election._id);
+};
+
+// Open elections whose start has passed. Each election is claimed with a
+// conditional update, so it opens once even with several servers running.
+const openElections = async (now) => {
+	const opened = [];
+	for (;;) {
+		const election = await Election.findOneAndUpdate(
+			{ ...live, openedAt: null, startDate: { $lte: now }, endDate: { $gt: now } },
+			{ $set: { status: "active", openedAt: now } },
+			{ new: true }
+		).select("+eligibility.roll");
+		if (!election) break;
+
+		// Turnout is measured against who could vote when the polls opened
+		const eligibleVoters = await countEligibleVoters(election.eligibility);
+		await Election.updateOne({ _id: election._id }, { $set: { eligibleVoters } });
+		election.eligibleVoters = eligibleVoters;
+
+		opened.push(election);
+		electionEvents.emit("opened", { election, at: now });
+	}
+	return opened;
+};
+
+// Close elections whose end has passed and freeze their ballots: votes stop
+// being accepted (see utils/voting.js) and the bulletin digest is recorded.
+// The digest can only be taken once no more votes get through, so it is
+// written after the close; elections closed without one (the server stopped
+// or the bulletin could not be read in between) are sealed on the next run.
+const closeElections = async (now) => {
+	for (;;) {
+		const election = await Election.findOneAndUpdate(
+			{ ...live, closedAt: null, endDate: { $lte: now } },
+			{ $set: { status: "completed", closedAt: now } },
+			{ new: true }
+		);
+		if (!election) break;
+	}
+
+	const closed = [];
+	const unsealed = await Election.find({ ...live, closedAt: { $ne: null }, ballotDigest: null });
+	for (const election of unsealed) {
+		try {
+			const { digest } = await settledBulletin(election);
+			// Only one server records the digest and reports the close
+			const sealed = await Election.updateOne(
+				{ _id: election._id, ballotDigest: null },
+				{ $set: { ballotDigest: digest } }
+			);
+			if (sealed.modifiedCount === 0) continue;
+			election.ballotDigest = digest;
+		} catch (error) {
+			console.error(`Election seal error (${election._id}):`, error);
+			continue;
+		}
+
+		closed.push(election);
+		electionEvents.emit("closed", { election, at: now });
+	}
+	return closed;
+};
+
+const publishDueAt = (election) =>
+	new Date(election.closedAt.getTime() + election.autoPublishAfterHours * HOUR);
+
+// Publish results of closed elections whose embargo has passed
+const publishElections = async (now) => {
+	const candidates = await Election.find({
+		...live,
+		closedAt: { $ne: null },
+		resultsPublished: false,
+		autoPublishAfterHours: { $ne: null },
+	}).select("closedAt autoPublishAfterHours");
+
+	const published = [];
+	for (const { _id } of candidates.filter((election) => publishDueAt(election) <= now)) {
+		const election = await Election.findOneAndUpdate(
+			{ _id, resultsPublished: false },
+			{
+				$set: {
+					resultsPublished: true,
+					publishedAt: now,
+					"contests.$[unpublished].resultsPublished": true,
+					"contests.$[unpublished].publishedAt": now,
+				},
+			},
+			{ new: true, arrayFilters: [{ "unpublished.resultsPublished": { $ne: true } }] }
+		);
+		if (!election) continue;
+
+		published.push(election);
+		electionEvents.emit("published", { election, at: now });
+	}
+	return published;
+};
+
+// Make every lifecycle change that is due
+const runElectionLifecycle = async (now = new Date()) => {
+	const opened = await openElections(now);
+	const closed = await closeElections(now);
+	const published = await publishElections(now);
+	return { opened, closed, published };
+};
+
+// When the next lifecycle change is due, or null if nothing is scheduled
+const nextDueAt = async (now = new Date()) => {
+	const [opening, closing, embargoed] = await Promise.all([
+		Election.findOne({ ...live, openedAt: null, startDate: { $gt: now } })
+			.sort({ startDate: 1 })
+			.select("startDate"),
+		Election.findOne({ ...live, closedAt: null, endDate: { $gt: now } })
+			.sort({ endDate: 1 })
+			.select("endDate"),
+		Election.find({
+			...live,
+			closedAt: { $ne: null },
+			resultsPublished: false,
+			autoPublishAfterHours: { $ne: null },
+		}).select("closedAt autoPublishAfterHours"),
+	]);
+
+	const times = [
+		opening && opening.startDate,
+		closing && closing.endDate,
+		...embargoed.map(publishDueAt),
+	].filter(Boolean);
+	return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+const tick = async () => {
+	if (running) {
+		rerun = true;
+		return;
+	}
+	running = true;
+	clearTimeout(timer);
+
+	let delay = MAX_DELAY;
+	try {
+		const { opened, closed, published } = await runElectionLifecycle();
+		opened.forEach((election) => console.log(`🗳️  Election opened: ${election.title}`));
+		closed.forEach((election) => console.log(`🗳️  Election closed: ${election.title}`));
+		published.forEach((election) => console.log(`🗳️  Results published: ${election.title}`));
+
+		const next = await nextDueAt();
+		if (next) delay = Math.min(MAX_DELAY, Math.max(0, next.getTime() - Date.now()));
+	} catch (error) {
+		console.error("Election lifecycle error:", error);
+	}
+
+	running = false;
+	if (rerun) {
+		rerun = false;
+		return tick();
+	}
+	timer = setTimeout(tick, delay);
+	// Don't keep the process alive just for the scheduler
+	timer.unref();
+};
+
+// Run the lifecycle now and then exactly when the next change is due
+const startElectionScheduler = () => {
+	tick();
+};
+
+// Call after an election's dates or embargo change so the timer is re-aimed
+const rescheduleElections = () => {
+	if (timer || running) tick();
+};
+
+module.exports = {
+	electionEvents,
+	runElectionLifecycle,
+	nextDueAt,
+	startElectionScheduler,
+	rescheduleElections,
+};
@@ -0,0 +1,151 @@
+/** @format */
+
+const User = require("../models/User");
+const Club = require("../models/Club");
+
+// Who may vote in an election. Every rule that is set must be met; within a
+// rule any listed value will do. Rules:
+//   roles        user roles, e.g. ["student"]
+//   departments  departments (compared without regard to case)
+//   years        academic years, e.g. ["3rd Year"]
+//   clubs        clubs the voter must be an approved member of
+//   roll         student ids of the only users allowed to vote
+
+// Student ids in an uploaded roll: one per line, or separated by commas,
+// semicolons or spaces (a CSV export of one column works)
+const parseRoll = (roll) =>
+	[
+		...new Set(
+			(Array.isArray(roll) ? roll : String(roll || "").split(/[\s,;]+/))
+				.map((id) => String(id).trim().toLowerCase())
+				.filter(Boolean)
+		),
+	];
+
+const studentIdsOf = (user) =>
+	[user.studentId, user.username].filter(Boolean).map((id) => id.toLowerCase());
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const listOf = (values, word = "or") =>
+	values.length > 1 ? `${values.slice(0, -1).join(", ")} ${word} ${values[values.length - 1]}` : values[0];
+
+const plural = (role) => `${role}${role === "faculty" ? "" : "s"}`;
+
+// Ids of the clubs the user is an approved member of
+const approvedClubIds = async (user) => {
+	const clubs = await Club.find({
+		members: { $elemMatch: { user: user._id, status: "approved" } },
+	}).select("_id");
+	return clubs.map((club) => club._id.toString());
+};
+
+// Whether the user meets the rules, with the reasons why: the rules they meet
+// if they are eligible, otherwise the ones they don't. `clubIds` are the
+// user's approved clubs (see approvedClubIds); club rules may be populated
+// with names for the messages.
+const checkEligibility = (rules = {}, user, clubIds = []) => {
+	const met = [];
+	const unmet = [];
+	const check = (ok, yes, no) => (ok ? met : unmet).push(ok ? yes : no);
+
+	if (!user.isActive) unmet.push("your account is inactive");
+
+	const roles = rules.roles || [];
+	if (roles.length > 0) {
+		check(
+			roles.includes(user.role),
+			`you are ${user.role === "admin" ? "an" : "a"} ${user.role}`,
+			`this election is only for ${listOf(roles.map(plural))}`
+		);
+	}
+
+	const departments = rules.departments || [];
+	if (departments.length > 0) {
+		check(
+			departments.some((department) => sameText(department, user.department)),
+			`you are in ${user.department}`,
+			`this election is only for ${listOf(departments)}`
+		);
+	}
+
+	const years = rules.years || [];
+	if (years.length > 0) {
+		check(
+			years.includes(user.year),
+			`you are in ${user.year}`,
+			`this election is only for ${listOf(years)} students`
+		);
+	}
+
+	const clubs = rules.clubs || [];
+	if (clubs.length > 0) {
+		const member = clubs.find((club) => clubIds.includes(String(club._id || club)));
+		const name = (club) => club.name || "the club";
+		check(
+			Boolean(member),
+			member && `you are a member of ${name(member)}`,
+			`this election is only for approved members of ${listOf(clubs.map(name))}`
+		);
+	}
+
+	const roll = rules.roll || [];
+	if (roll.length > 0) {
+		check(
+			studentIdsOf(user).some((id) => roll.includes(id)),
+			"you are on the voter roll",
+			"you are not on the voter roll"
+		);
+	}
+
+	if (met.length === 0 && unmet.length === 0) met.push("the election is open to everyone");
+
+	const eligible = unmet.length === 0;
+	const reasons = eligible ? met : unmet;
+	return {
+		eligible,
+		reasons,
+		message: `You ${eligible ? "are" : "aren't"} eligible because ${listOf(reasons, "and")}`,
+	};
+};
+
+// Users query matching the active users who meet the rules. Department and
+// roll comparisons need the case-insensitive ELIGIBLE_COLLATION.
+const eligibleVoterFilter = async (rules = {}) => {
+	const filter = { isActive: true };
+	if (rules.roles && rules.roles.length > 0) filter.role = { $in: rules.roles };
+	if (rules.departments && rules.departments.length > 0) {
+		filter.department = { $in: rules.departments };
+	}
+	if (rules.years && rules.years.length > 0) filter.year = { $in: rules.years };
+	if (rules.roll && rules.roll.length > 0) {
+		filter.$or = [{ studentId: { $in: rules.roll } }, { username: { $in: rules.roll } }];
+	}
+	if (rules.clubs && rules.clubs.length > 0) {
+		const clubs = await Club.find({ _id: { $in: rules.clubs.map((club) => club._id || club) } }).select(
+			"members"
+		);
+		filter._id = {
+			$in: clubs.flatMap((club) =>
+				club.members.filter((member) => member.status === "approved").map((member) => member.user)
+			),
+		};
+	}
+	return filter;
+};
+
+// Case-insensitive, like the department and roll checks above
+const ELIGIBLE_COLLATION = { locale: "en", strength: 2 };
+
+// Count the active users who meet the rules, for turnout
+const countEligibleVoters = async (rules = {}) =>
+	User.countDocuments(await eligibleVoterFilter(rules)).collation(ELIGIBLE_COLLATION);
+
+module.exports = {
+	ELIGIBLE_COLLATION,
+	parseRoll,
+	approvedClubIds,
+	checkEligibility,
+	eligibleVoterFilter,
+	countEligibleVoters,
+};
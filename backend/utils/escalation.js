@@ -0,0 +1,96 @@
+/** @format */
+
+const Complaint = require("../models/Complaint");
+const Role = require("../models/Role");
+const { isRestricted, roleGrants } = require("./permissions");
+const { escalationTarget } = require("./offices");
+const { OPEN_STATUSES } = require("./sla");
+
+// Offices that can take an escalated complaint: those staffed by a role that
+// may respond to complaints of every branch
+const getEscalationOffices = async () => {
+	const roles = await Role.find({ office: { $exists: true, $ne: null } });
+	return roles
+		.filter((role) => !isRestricted(role) && roleGrants(role, "complaints:respond"))
+		.map((role) => role.office);
+};
+
+// Flag newly breached SLAs on open complaints and move each of them one office
+// up the hierarchy. Every deadline escalates a complaint at most once.
+const escalateOverdueComplaints = async (now = new Date()) => {
+	const overdue = await Complaint.find({
+		status: { $in: OPEN_STATUSES },
+		$or: [
+			{
+				"sla.firstRespondedAt": null,
+				"sla.firstResponseBreached": { $ne: true },
+				"sla.firstResponseDueAt": { $lte: now },
+			},
+			{
+				"sla.resolutionBreached": { $ne: true },
+				"sla.resolutionDueAt": { $lte: now },
+			},
+		],
+	});
+	if (overdue.length === 0) return 0;
+
+	const escalationOffices = await getEscalationOffices();
+
+	for (const complaint of overdue) {
+		const { sla } = complaint;
+		const breaches = [];
+
+		if (!sla.firstRespondedAt && !sla.firstResponseBreached && sla.firstResponseDueAt <= now) {
+			sla.firstResponseBreached = true;
+			breaches.push("first response");
+		}
+		if (!sla.resolutionBreached && sla.resolutionDueAt <= now) {
+			sla.resolutionBreached = true;
+			breaches.push("resolution");
+		}
+
+		const target = escalationTarget(complaint.office, escalationOffices);
+		if (target) {
+			const reason = `SLA breached: ${breaches.join(" and ")} overdue`;
+			complaint.officeHistory.push({
+				from: complaint.office,
+				to: target,
+				reason,
+				transferredAt: now,
+			});
+			complaint.office = target;
+			complaint.assignedTo = undefined;
+			complaint.audit(undefined, reason);
+			sla.escalationLevel += 1;
+			sla.lastEscalatedAt = now;
+		}
+
+		await complaint.save();
+	}
+
+	return overdue.length;
+};
+
+// Run the escalation sweep on an interval (SLA_SWEEP_INTERVAL_MINUTES)
+const startEscalationSweeper = () => {
+	const minutes = parseInt(process.env.SLA_SWEEP_INTERVAL_MINUTES) || 15;
+
+	const sweep = async () => {
+		try {
+			const count = await escalateOverdueComplaints();
+			if (count > 0) {
+				console.log(`⏰ SLA sweep: ${count} complaint(s) breached`);
+			}
+		} catch (error) {
+			console.error("SLA sweep error:", error);
+		}
+	};
+
+	sweep();
+	const timer = setInterval(sweep, minutes * 60 * 1000);
+	// Don't keep the process alive just for the sweeper
+	timer.unref();
+	return timer;
+};
+
+module.exports = { escalateOverdueComplaints, startEscalationSweeper };
@@ -2,9 +2,10 @@
 
 const jwt = require("jsonwebtoken");
 
-function generateToken(id) {
-	return jwt.sign({ id }, process.env.JWT_SECRET, {
-		expiresIn: process.env.JWT_EXPIRES_IN || "30d",
+// Short-lived access token bound to a session, see utils/sessions.js
+function generateToken(id, sessionId) {
+	return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+		expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m",
 	});
 }
 
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Ballot = require('../models/Ballot');
+const ElectionAuditEntry = require('../models/ElectionAuditEntry');
+require('dotenv').config();
+
+// Elections from before the secret ballot kept each voter's choices next to
+// their user id (voters[].candidate or voters[].selections, and
+// candidates[].voters), or a running count per candidate that changed along
+// with voters[] (candidates[].votes). Move those choices to anonymous
+// ballots, in shuffled order, and remove the link and the counts. Each ballot
+// gets a `ballot_cast` audit entry marked `migrated`, so exports still verify;
+// elections already closed are sealed again over the migrated ballots. Run
+// once: node utils/migrateBallots.js
+const migrateBallots = async () => {
+  const elections = await Election.collection.find({
+    $or: [
+      { 'voters.candidate': { $exists: true } },
+      { 'voters.selections': { $exists: true } },
+      { 'voters.ipAddress': { $exists: true } },
+      { 'candidates.voters': { $exists: true } },
+      { 'candidates.votes': { $exists: true } },
+      { 'contests.candidates.voters': { $exists: true } },
+      { 'contests.candidates.votes': { $exists: true } }
+    ]
+  }).toArray();
+
+  for (const election of elections) {
+    const ballots = (election.voters || [])
+      .map(voter => voter.selections ||
+        // Single-candidate votes belong to the contest read from the old
+        // candidate list, which is keyed by the election id
+        (voter.candidate ? [{ contest: election._id, choices: [voter.candidate] }] : []))
+      .map(selections => selections.filter(selection => selection.choices && selection.choices.length > 0))
+      .filter(selections => selections.length > 0);
+
+    for (let i = ballots.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [ballots[i], ballots[j]] = [ballots[j], ballots[i]];
+    }
+    // Nobody has the receipt codes for these ballots; they are still listed
+    // in the bulletin and counted
+    const now = new Date();
+    for (const selections of ballots) {
+      await Ballot.cast(election._id, selections);
+      await ElectionAuditEntry.append(election._id, {
+        type: 'ballot_cast',
+        data: { migrated: true },
+        at: now
+      });
+    }
+
+    // A digest taken at close no longer covers the ballots, so record the
+    // one that does
+    if (ballots.length > 0 && election.closedAt) {
+      const { digest } = await Ballot.bulletin(election._id);
+      await Election.collection.updateOne({ _id: election._id }, { $set: { ballotDigest: digest } });
+      await ElectionAuditEntry.append(election._id, {
+        type: 'closed',
+        data: { ballotDigest: digest, voters: (election.voters || []).length, migrated: true },
+        reason: 'Ballots migrated to the secret ballot',
+        at: now
+      });
+    }
+
+    const unset = {};
+    if (election.voters) {
+      unset['voters.$[].candidate'] = '';
+      unset['voters.$[].selections'] = '';
+      unset['voters.$[].ipAddress'] = '';
+    }
+    if (election.candidates) {
+      unset['candidates.$[].voters'] = '';
+      unset['candidates.$[].votes'] = '';
+    }
+    if (election.contests) {
+      unset['contests.$[].candidates.$[].voters'] = '';
+      unset['contests.$[].candidates.$[].votes'] = '';
+    }
+    await Election.collection.updateOne({ _id: election._id }, { $unset: unset });
+
+    console.log(`Election ${election.title}: ${ballots.length} ballot(s) made anonymous`);
+  }
+
+  return elections.length;
+};
+
+// Ballots stored before the collection was clustered on their random id are
+// kept in the order they were cast, which can be matched against voters[].
+// Copy them into a clustered collection, which keeps them in id order, and
+// swap it in. Run it while no election is open, or ballots cast during the
+// copy are lost.
+const clusterBallots = async () => {
+  const { db } = mongoose.connection;
+  const name = Ballot.collection.collectionName;
+  const [existing] = await db.listCollections({ name }).toArray();
+  if (!existing || existing.options.clusteredIndex) return false;
+
+  const staging = `${name}_clustered`;
+  await db.dropCollection(staging).catch(error => {
+    if (error.codeName !== 'NamespaceNotFound') throw error;
+  });
+  await db.createCollection(staging, { clusteredIndex: Ballot.schema.options.clusteredIndex });
+
+  const copy = db.collection(staging);
+  let batch = [];
+  for await (const ballot of Ballot.collection.find()) {
+    batch.push(ballot);
+    if (batch.length === 1000) {
+      await copy.insertMany(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await copy.insertMany(batch);
+
+  await copy.rename(name, { dropTarget: true });
+  await Ballot.createIndexes();
+  return true;
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_union_db');
+      const count = await migrateBallots();
+      console.log(`Ballot migration finished: ${count} election(s) updated`);
+      if (await clusterBallots()) {
+        console.log('Ballots moved to a collection that keeps them in random order');
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating ballots:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateBallots, clusterBallots };
@@ -0,0 +1,49 @@
+/** @format */
+
+// Union offices, mirroring src/data/Services.js. Each office has a complaint
+// queue; `branches` lists the complaint branches routed to it by default.
+const OFFICES = [
+	{ key: "student_din", name: "Student Din", hierarchy: 1, branches: ["disciplinary"] },
+	{ key: "president", name: "President", hierarchy: 2, branches: [] },
+	{ key: "vice_president", name: "Vice President", hierarchy: 3, branches: [] },
+	{ key: "secretary", name: "Secretary", hierarchy: 4, branches: [] },
+	{ key: "academic_affairs", name: "Academic Affairs", hierarchy: 5, branches: ["academic"] },
+	{ key: "clubs_associations", name: "Clubs & Associations", hierarchy: 6, branches: [] },
+	{ key: "dining_services", name: "Dining Services", hierarchy: 7, branches: ["dining"] },
+	{ key: "sports_culture", name: "Sports & Culture", hierarchy: 8, branches: [] },
+	{ key: "general_services", name: "General Services", hierarchy: 9, branches: ["housing", "facilities", "general"] },
+	{ key: "speaker", name: "Speaker", hierarchy: 10, branches: [] },
+];
+
+const OFFICE_KEYS = OFFICES.map((office) => office.key);
+
+const DEFAULT_OFFICE = "general_services";
+
+const getOffice = (key) => OFFICES.find((office) => office.key === key);
+
+// Office whose queue a new complaint lands in
+const routeComplaint = (branch) => {
+	const office = OFFICES.find((o) => o.branches.includes(branch));
+	return office ? office.key : DEFAULT_OFFICE;
+};
+
+// Nearest office above `officeKey` in the union hierarchy (lower number is
+// more senior) among the candidate offices, or undefined at the top
+const escalationTarget = (officeKey, candidateKeys) => {
+	const current = getOffice(officeKey);
+	if (!current) return undefined;
+
+	const above = OFFICES.filter(
+		(o) => candidateKeys.includes(o.key) && o.hierarchy < current.hierarchy
+	).sort((a, b) => b.hierarchy - a.hierarchy);
+	return above.length > 0 ? above[0].key : undefined;
+};
+
+module.exports = {
+	OFFICES,
+	OFFICE_KEYS,
+	DEFAULT_OFFICE,
+	getOffice,
+	routeComplaint,
+	escalationTarget,
+};
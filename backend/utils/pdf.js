@@ -0,0 +1,127 @@
+/** @format */
+
+// Minimal PDF writer for printable reports: text and simple tables on A4
+// pages in the standard Helvetica fonts, so nothing has to be installed or
+// fetched to produce a file.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_GAP = 1.4;
+
+// Standard fonts only cover WinAnsi; anything else is printed as "?"
+const escapeText = (text) =>
+	String(text ?? "")
+		.replace(/[–—]/g, "-")
+		.replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+		.replace(/[\\()]/g, "\\$&");
+
+// Rough Helvetica width, good enough to keep table cells apart
+const approxWidth = (text, size) => String(text).length * size * 0.52;
+
+const fitText = (text, width, size) => {
+	const value = String(text ?? "");
+	if (approxWidth(value, size) <= width) return value;
+	const chars = Math.max(1, Math.floor(width / (size * 0.52)) - 1);
+	return `${value.slice(0, chars)}.`;
+};
+
+// Lay out blocks into pages of content stream operators. Blocks are
+//   { type: "heading" | "text", text, size? }
+//   { type: "table", columns: [{ header, width }], rows: [[...cells]], size? }
+//   { type: "space", height }
+const layout = (blocks) => {
+	const pages = [];
+	let ops = [];
+	let y = PAGE_HEIGHT - MARGIN;
+
+	const newPage = () => {
+		if (ops.length > 0) pages.push(ops);
+		ops = [];
+		y = PAGE_HEIGHT - MARGIN;
+	};
+	const ensureRoom = (height) => {
+		if (y - height < MARGIN) newPage();
+	};
+	const write = (text, x, size, bold) => {
+		ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+	};
+
+	const writeRow = (columns, cells, size, bold) => {
+		const height = size * LINE_GAP;
+		ensureRoom(height);
+		y -= height;
+		let x = MARGIN;
+		columns.forEach((column, i) => {
+			write(fitText(cells[i], column.width - 4, size), x, size, bold);
+			x += column.width;
+		});
+	};
+
+	blocks.forEach((block) => {
+		const size = block.size || (block.type === "heading" ? 16 : 10);
+		if (block.type === "space") {
+			y -= block.height || size;
+		} else if (block.type === "table") {
+			const headers = block.columns.map((column) => column.header);
+			writeRow(block.columns, headers, size, true);
+			block.rows.forEach((row) => {
+				// Repeat the header at the top of continued pages
+				if (y - size * LINE_GAP < MARGIN) {
+					newPage();
+					writeRow(block.columns, headers, size, true);
+				}
+				writeRow(block.columns, row, size, false);
+			});
+		} else {
+			ensureRoom(size * LINE_GAP);
+			y -= size * LINE_GAP;
+			write(block.text, MARGIN, size, block.type === "heading");
+		}
+	});
+	pages.push(ops);
+	return pages;
+};
+
+// Render blocks (see layout) into a PDF file
+const renderPdf = (blocks) => {
+	const pages = layout(blocks);
+	const objects = [];
+	const add = (body) => {
+		objects.push(body);
+		return objects.length;
+	};
+
+	const catalog = add(null);
+	const pageTree = add(null);
+	const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+	const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+	const pageIds = pages.map((ops) => {
+		const stream = ops.join("\n");
+		const content = add(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+		return add(
+			`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+				`/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`
+		);
+	});
+
+	objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+	objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+	let output = "%PDF-1.4\n";
+	const offsets = objects.map((body, i) => {
+		const offset = Buffer.byteLength(output, "latin1");
+		output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+		return offset;
+	});
+
+	const xref = Buffer.byteLength(output, "latin1");
+	output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+	output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+	output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+	return Buffer.from(output, "latin1");
+};
+
+module.exports = { renderPdf };
@@ -0,0 +1,178 @@
+/** @format */
+
+// Every permission the API checks, as "<resource>:<action>". Roles may also
+// hold "<resource>:*" or "*".
+const PERMISSIONS = {
+	"users:read": "View user accounts",
+	"users:manage": "Update user accounts",
+	"users:delete": "Delete user accounts",
+	"users:stats": "View user statistics",
+	"roles:manage": "Create roles and assign them to users",
+	"complaints:read": "View complaints submitted by others",
+	"complaints:respond": "Respond to complaints",
+	"complaints:update_status": "Change complaint status",
+	"complaints:assign": "Assign complaints to officers",
+	"complaints:stats": "View complaint statistics",
+	"complaints:reports": "Export complaint reports (CSV/PDF)",
+	"complaints:sla": "Configure complaint SLA targets",
+	"complaints:delete": "Delete complaints",
+	"complaints:merge": "Merge duplicate complaints into one case",
+	"complaints:unseal": "Reveal the submitter of an anonymous complaint (audited)",
+	"clubs:manage": "Create and update clubs",
+	"clubs:delete": "Delete clubs",
+	"clubs:approve_members": "Approve or reject club join requests",
+	"clubs:stats": "View club statistics",
+	"elections:read": "View elections that are not public",
+	"elections:manage": "Create and update elections",
+	"elections:delete": "Delete elections",
+	"elections:announce": "Announce election results",
+	"elections:nominations": "Approve or reject candidate nominations",
+	"elections:stats": "View election statistics",
+	"elections:moderate": "Hide or restore questions on election Q&A boards",
+	"elections:kiosk": "Run a polling-station kiosk: check voters in and hand them ballots",
+	"posts:manage": "Create, update and view unpublished posts",
+	"posts:delete": "Delete posts",
+	"posts:stats": "View post statistics",
+	"contact:read": "View contact messages",
+	"contact:respond": "Reply to, assign and update contact messages",
+	"contact:delete": "Delete contact messages",
+	"contact:stats": "View contact statistics",
+};
+
+// Permissions that wildcards never cover; a role must list them by name
+const EXPLICIT_PERMISSIONS = ["complaints:unseal"];
+
+const isValidPermission = (permission) =>
+	permission === "*" ||
+	Object.prototype.hasOwnProperty.call(PERMISSIONS, permission) ||
+	(permission.endsWith(":*") &&
+		Object.keys(PERMISSIONS).some((key) =>
+			key.startsWith(permission.slice(0, -1))
+		));
+
+// Does a single granted permission (possibly a wildcard) cover the requested one
+const permissionMatches = (granted, requested) => {
+	if (granted === requested) return true;
+	if (EXPLICIT_PERMISSIONS.includes(requested)) return false;
+	if (granted === "*") return true;
+	if (granted.endsWith(":*")) {
+		return requested.startsWith(granted.slice(0, -1));
+	}
+	return false;
+};
+
+const isRestricted = (role) =>
+	Array.isArray(role.branches) && role.branches.length > 0;
+
+// Does a role grant a permission, optionally for a specific complaint given as
+// { branch, office }. A branch-restricted role still covers complaints sitting
+// in its own office's queue.
+const roleGrants = (role, permission, scope) => {
+	if (!role || !Array.isArray(role.permissions)) return false;
+	if (!role.permissions.some((granted) => permissionMatches(granted, permission))) {
+		return false;
+	}
+	if (!scope || !isRestricted(role)) return true;
+	return (
+		role.branches.includes(scope.branch) ||
+		(!!role.office && role.office === scope.office)
+	);
+};
+
+// Built-in roles, mirroring the union offices in src/data/adminCredentials.js
+const DEFAULT_ROLES = [
+	{
+		name: "system_admin",
+		displayName: "System Administrator",
+		permissions: ["*"],
+	},
+	{
+		name: "president",
+		office: "president",
+		displayName: "President",
+		permissions: ["*"],
+	},
+	{
+		name: "student_din",
+		office: "student_din",
+		displayName: "Student Din",
+		description: "Mediation, oversight and reports",
+		permissions: [
+			"complaints:*",
+			"contact:read",
+			"contact:respond",
+			"contact:stats",
+			"users:read",
+			"users:stats",
+			"clubs:stats",
+			"elections:stats",
+			"posts:stats",
+		],
+	},
+	{
+		name: "academic_affairs",
+		office: "academic_affairs",
+		displayName: "Academic Affairs",
+		description: "Academic complaints and student records",
+		permissions: [
+			"complaints:read",
+			"complaints:respond",
+			"complaints:update_status",
+			"users:read",
+		],
+		branches: ["academic"],
+	},
+	{
+		name: "clubs_associations",
+		office: "clubs_associations",
+		displayName: "Clubs & Associations",
+		description: "Club approval and event management",
+		permissions: [
+			"clubs:manage",
+			"clubs:approve_members",
+			"clubs:stats",
+			"posts:manage",
+		],
+	},
+	{
+		name: "dining_services",
+		office: "dining_services",
+		displayName: "Dining Services",
+		description: "Dining management and complaint resolution",
+		permissions: [
+			"complaints:read",
+			"complaints:respond",
+			"complaints:update_status",
+		],
+		branches: ["dining"],
+	},
+	{
+		name: "sports_culture",
+		office: "sports_culture",
+		displayName: "Sports & Culture",
+		description: "Sports and cultural events",
+		permissions: ["posts:manage", "clubs:stats"],
+	},
+	{
+		name: "polling_officer",
+		displayName: "Polling Officer",
+		description: "Runs a polling-station kiosk; nothing else",
+		permissions: ["elections:read", "elections:kiosk"],
+	},
+	{
+		name: "ombudsperson",
+		displayName: "Ombudsperson",
+		description: "Confidential complaint oversight; may unseal anonymous submitters",
+		permissions: ["complaints:read", "complaints:unseal"],
+	},
+];
+
+module.exports = {
+	PERMISSIONS,
+	EXPLICIT_PERMISSIONS,
+	DEFAULT_ROLES,
+	isValidPermission,
+	permissionMatches,
+	isRestricted,
+	roleGrants,
+};
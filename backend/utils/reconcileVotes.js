@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const Ballot = require('../models/Ballot');
+require('dotenv').config();
+
+// Compare an election's voter records (voters[] and totalVotes) with its
+// stored ballots, and check every ballot against the contests. Candidates
+// have no running counts to compare: results are always counted from the
+// ballots.
+const reconcileElection = (election, ballots) => {
+  const discrepancies = [];
+
+  ballots.forEach(ballot => {
+    ballot.selections.forEach(selection => {
+      const contest = election.contests.id(selection.contest);
+      if (!contest) {
+        discrepancies.push(`Ballot ${ballot.receipt} has a selection for unknown contest ${selection.contest}`);
+        return;
+      }
+      selection.choices.forEach(id => {
+        if (!contest.candidates.id(id)) {
+          discrepancies.push(`Ballot ${ballot.receipt} chooses ${id}, who is not a candidate for ${contest.title}`);
+        }
+      });
+    });
+  });
+
+  if (election.voters.length !== ballots.length) {
+    discrepancies.push(`${election.voters.length} voter(s) recorded but ${ballots.length} ballot(s) stored`);
+  }
+  if (election.totalVotes !== ballots.length) {
+    discrepancies.push(`totalVotes is ${election.totalVotes} but ${ballots.length} ballot(s) are stored`);
+  }
+
+  return {
+    election: election.id,
+    title: election.title,
+    voters: election.voters.length,
+    ballots: ballots.length,
+    totalVotes: election.totalVotes,
+    discrepancies
+  };
+};
+
+// Reconcile the given elections (all of them if none are given). With `fix`,
+// reset totalVotes to the ballot count for elections whose polls have closed.
+// A voter without a ballot, or a ballot without a voter, can't be fixed here
+// and is only reported.
+const reconcileVotes = async (electionIds = [], { fix = false } = {}) => {
+  const query = electionIds.length > 0 ? { _id: { $in: electionIds } } : {};
+  const elections = await Election.find(query);
+  const reports = [];
+
+  for (const election of elections) {
+    const ballots = await Ballot.find({ election: election._id }).select('receipt selections').lean();
+    const report = reconcileElection(election, ballots);
+
+    if (fix && report.totalVotes !== report.ballots) {
+      if (election.endDate > new Date()) {
+        report.fixSkipped = 'Polls are still open';
+      } else {
+        await Election.updateOne({ _id: election._id }, { $set: { totalVotes: report.ballots } });
+        report.fixed = true;
+      }
+    }
+
+    reports.push(report);
+  }
+
+  return reports;
+};
+
+// Run from the command line: node utils/reconcileVotes.js [electionId ...] [--fix]
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_union_db');
+
+      const reports = await reconcileVotes(
+        args.filter(arg => arg !== '--fix'),
+        { fix: args.includes('--fix') }
+      );
+
+      reports.forEach(report => {
+        const status = report.discrepancies.length === 0 ? '✅' : '❌';
+        console.log(`${status} ${report.title} (${report.election}): ${report.ballots} ballot(s), ${report.voters} voter(s), totalVotes ${report.totalVotes}`);
+        report.discrepancies.forEach(discrepancy => console.log(`   - ${discrepancy}`));
+        if (report.fixed) console.log('   totalVotes reset from the ballots');
+        if (report.fixSkipped) console.log(`   Not fixed: ${report.fixSkipped}`);
+      });
+
+      const failing = reports.filter(report => report.discrepancies.length > 0).length;
+      console.log(`Reconciled ${reports.length} election(s), ${failing} with discrepancies`);
+      process.exit(failing > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('Error reconciling votes:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { reconcileElection, reconcileVotes };
@@ -1,11 +1,72 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const Role = require('../models/Role');
 const Club = require('../models/Club');
 const Post = require('../models/Post');
 const Election = require('../models/Election');
 const Complaint = require('../models/Complaint');
+const { isDevAuthEnabled } = require('./devAuth');
 require('dotenv').config();
 
+// Fixture users for local development. The dev auth provider
+// (routes/devAuth.js) can only sign in as one of these. Their passwords are
+// public, so they are only created while dev auth is enabled.
+const fixtureUsers = {
+  student: {
+    name: 'Sample Student',
+    username: 'dbu00000001',
+    email: 'student@dbu.edu.et',
+    password: 'Student123#',
+    role: 'student',
+    isAdmin: false,
+    department: 'Computer Science',
+    year: '2nd Year'
+  },
+  faculty: {
+    name: 'Sample Faculty',
+    username: 'dbu00000002',
+    email: 'faculty@dbu.edu.et',
+    password: 'Faculty123#',
+    role: 'faculty',
+    isAdmin: false,
+    department: 'Engineering',
+    year: '5th Year'
+  },
+  admin: {
+    name: 'Sample Admin',
+    username: 'dbu00000003',
+    email: 'devadmin@dbu.edu.et',
+    password: 'Admin123#',
+    role: 'admin',
+    isAdmin: true,
+    defaultRole: 'system_admin',
+    department: 'Administration',
+    year: '5th Year'
+  }
+};
+
+// Create any fixture users that don't exist yet, only where dev auth is
+// enabled (never in production)
+const seedFixtureUsers = async () => {
+  if (!isDevAuthEnabled()) {
+    console.log('Dev auth is disabled; fixture users not seeded');
+    return;
+  }
+
+  for (const { defaultRole, ...userData } of Object.values(fixtureUsers)) {
+    const existingUser = await User.findOne({ username: userData.username });
+    if (!existingUser) {
+      const role = defaultRole && await Role.findOne({ name: defaultRole });
+      await User.create({
+        ...userData,
+        studentId: userData.username,
+        roles: role ? [role._id] : []
+      });
+      console.log(`Fixture user created: ${userData.username}`);
+    }
+  }
+};
+
 const seedData = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/student_union_db');
@@ -18,6 +79,9 @@ const seedData = async () => {
     // await Election.deleteMany({});
     // await Complaint.deleteMany({});
 
+    await Role.ensureDefaults();
+    await seedFixtureUsers();
+
     // Get admin users
     const president = await User.findOne({ email: 'president@dbu.edu.et' });
     const academicAdmin = await User.findOne({ email: 'academic@dbu.edu.et' });
@@ -145,30 +209,32 @@ const seedData = async () => {
         electionType: 'president',
         eligibleVoters: 12547,
         createdBy: president?._id || new mongoose.Types.ObjectId(),
-        candidates: [
-          {
-            name: 'Hewan Tadesse',
-            studentId: 'DBU-2021-001',
-            department: 'Computer Science',
-            year: '4th Year',
-            position: 'President',
-            profileImage: 'https://images.pexels.com/photos/3763188/pexels-photo-3763188.jpeg?auto=compress&cs=tinysrgb&w=400',
-            platform: ['Student Welfare', 'Academic Excellence', 'Campus Infrastructure'],
-            biography: 'Experienced student leader with a passion for improving student life and academic standards.',
-            votes: 0
-          },
-          {
-            name: 'Dawit Mekonnen',
-            studentId: 'DBU-2021-002',
-            department: 'Engineering',
-            year: '4th Year',
-            position: 'President',
-            profileImage: 'https://images.pexels.com/photos/2182970/pexels-photo-2182970.jpeg?auto=compress&cs=tinysrgb&w=400',
-            platform: ['Innovation Hub', 'Student Rights', 'Environmental Sustainability'],
-            biography: 'Innovative thinker focused on bringing modern solutions to traditional student challenges.',
-            votes: 0
-          }
-        ]
+        contests: [{
+          title: 'President',
+          seats: 1,
+          candidates: [
+            {
+              name: 'Hewan Tadesse',
+              studentId: 'DBU-2021-001',
+              department: 'Computer Science',
+              year: '4th Year',
+              position: 'President',
+              profileImage: 'https://images.pexels.com/photos/3763188/pexels-photo-3763188.jpeg?auto=compress&cs=tinysrgb&w=400',
+              platform: ['Student Welfare', 'Academic Excellence', 'Campus Infrastructure'],
+              biography: 'Experienced student leader with a passion for improving student life and academic standards.'
+            },
+            {
+              name: 'Dawit Mekonnen',
+              studentId: 'DBU-2021-002',
+              department: 'Engineering',
+              year: '4th Year',
+              position: 'President',
+              profileImage: 'https://images.pexels.com/photos/2182970/pexels-photo-2182970.jpeg?auto=compress&cs=tinysrgb&w=400',
+              platform: ['Innovation Hub', 'Student Rights', 'Environmental Sustainability'],
+              biography: 'Innovative thinker focused on bringing modern solutions to traditional student challenges.'
+            }
+          ]
+        }]
       }
     ];
 
@@ -181,7 +247,7 @@ const seedData = async () => {
     }
 
     // Seed Sample Complaints
-    const sampleStudent = await User.findOne({ email: 'student@dbu.edu.et' });
+    const sampleStudent = await User.findOne({ username: fixtureUsers.student.username });
     
     if (sampleStudent) {
       const complaints = [
@@ -228,4 +294,4 @@ if (require.main === module) {
   seedData();
 }
 
-module.exports = { seedData };
\ No newline at end of file
+module.exports = { seedData, seedFixtureUsers, fixtureUsers };
\ No newline at end of file
@@ -0,0 +1,93 @@
+/** @format */
+
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const generateToken = require("./generateToken");
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiry = () =>
+	new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session for a user and return its token pair
+const issueSession = async (user, req) => {
+	const refreshToken = newRefreshToken();
+
+	const session = await Session.create({
+		user: user._id,
+		refreshTokenHash: hashToken(refreshToken),
+		expiresAt: refreshExpiry(),
+		userAgent: req.get("user-agent"),
+		ipAddress: req.ip,
+	});
+
+	return {
+		token: generateToken(user._id, session._id),
+		refreshToken,
+		session,
+	};
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is unknown, expired or revoked. Replaying an already rotated token revokes
+// the session it belonged to.
+const rotateSession = async (refreshToken, req) => {
+	const tokenHash = hashToken(refreshToken);
+
+	const session = await Session.findOne({ refreshTokenHash: tokenHash });
+	if (!session) {
+		const reused = await Session.findOne({ previousTokenHash: tokenHash });
+		if (reused && !reused.revokedAt) {
+			await reused.revoke("token_reuse");
+		}
+		return null;
+	}
+
+	if (!session.isActive) return null;
+
+	const nextToken = newRefreshToken();
+
+	// Conditional update so two concurrent refreshes cannot both win
+	const rotated = await Session.findOneAndUpdate(
+		{ _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+		{
+			$set: {
+				refreshTokenHash: hashToken(nextToken),
+				previousTokenHash: tokenHash,
+				expiresAt: refreshExpiry(),
+				lastUsedAt: new Date(),
+				ipAddress: req.ip,
+			},
+		},
+		{ new: true }
+	);
+	if (!rotated) return null;
+
+	return {
+		token: generateToken(rotated.user, rotated._id),
+		refreshToken: nextToken,
+		session: rotated,
+	};
+};
+
+// Check the session an access token was issued for
+const isSessionActive = async (sessionId) => {
+	if (!sessionId) return false;
+
+	const session = await Session.findById(sessionId).select(
+		"revokedAt expiresAt"
+	);
+	return !!session && session.isActive;
+};
+
+module.exports = {
+	issueSession,
+	rotateSession,
+	isSessionActive,
+	hashToken,
+};
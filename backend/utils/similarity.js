@@ -0,0 +1,36 @@
+/** @format */
+
+// Words too common in complaints to tell two reports apart
+const STOP_WORDS = new Set([
+	"a", "an", "and", "are", "at", "be", "been", "but", "by", "for", "from",
+	"has", "have", "in", "is", "it", "its", "of", "on", "or", "our", "that",
+	"the", "there", "this", "to", "was", "we", "were", "with", "no", "not",
+	"please", "since", "very", "again", "still", "today", "complaint",
+]);
+
+const tokenize = (text) =>
+	new Set(
+		String(text || "")
+			.toLowerCase()
+			.replace(/[^a-z0-9ሀ-፿\s]/g, " ")
+			.split(/\s+/)
+			.filter((word) => (word.length > 1 || /\d/.test(word)) && !STOP_WORDS.has(word))
+	);
+
+// Overlap of two token sets, 0..1
+const jaccard = (a, b) => {
+	if (a.size === 0 || b.size === 0) return 0;
+	let shared = 0;
+	for (const token of a) {
+		if (b.has(token)) shared += 1;
+	}
+	return shared / (a.size + b.size - shared);
+};
+
+// Similarity of two complaints; titles weigh more than descriptions since
+// they are short and to the point ("water outage in block 7")
+const complaintSimilarity = (a, b) =>
+	0.6 * jaccard(tokenize(a.title), tokenize(b.title)) +
+	0.4 * jaccard(tokenize(a.description), tokenize(b.description));
+
+module.exports = { tokenize, jaccard, complaintSimilarity };
@@ -0,0 +1,41 @@
+/** @format */
+
+const HOUR = 60 * 60 * 1000;
+
+// Policies are looked up by (category, priority); category "*" is the
+// fallback for categories without a policy of their own.
+const ANY_CATEGORY = "*";
+
+const DEFAULT_SLA_POLICIES = [
+	{ category: ANY_CATEGORY, priority: "high", firstResponseHours: 4, resolutionHours: 48 },
+	{ category: ANY_CATEGORY, priority: "medium", firstResponseHours: 24, resolutionHours: 120 },
+	{ category: ANY_CATEGORY, priority: "low", firstResponseHours: 72, resolutionHours: 240 },
+	{ category: "dining", priority: "high", firstResponseHours: 2, resolutionHours: 24 },
+	{ category: "disciplinary", priority: "high", firstResponseHours: 8, resolutionHours: 72 },
+];
+
+const OPEN_STATUSES = ["submitted", "under_review"];
+
+// How long after resolution the submitter may reopen a complaint
+const REOPEN_WINDOW_DAYS = parseInt(process.env.COMPLAINT_REOPEN_DAYS) || 14;
+
+// Urgent complaints are held to the high priority targets
+const effectivePriority = (complaint) =>
+	complaint.isUrgent ? "high" : complaint.priority || "medium";
+
+const computeDueDates = (startedAt, policy) => {
+	const start = new Date(startedAt).getTime();
+	return {
+		firstResponseDueAt: new Date(start + policy.firstResponseHours * HOUR),
+		resolutionDueAt: new Date(start + policy.resolutionHours * HOUR),
+	};
+};
+
+module.exports = {
+	ANY_CATEGORY,
+	DEFAULT_SLA_POLICIES,
+	OPEN_STATUSES,
+	REOPEN_WINDOW_DAYS,
+	effectivePriority,
+	computeDueDates,
+};
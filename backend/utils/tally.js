@@ -0,0 +1,307 @@
+/** @format */
+
+const crypto = require("crypto");
+
+// Ballot types an election can use:
+//   plurality      choose up to `seats` candidates, most votes win
+//   approval       approve any number of candidates, most approvals win
+//   ranked_choice  rank candidates, instant runoff for a single seat
+//   stv            rank candidates, single transferable vote for several seats
+const BALLOT_TYPES = ["plurality", "approval", "ranked_choice", "stv"];
+
+const RANKED_BALLOT_TYPES = ["ranked_choice", "stv"];
+
+// How ties that the count itself cannot separate are decided:
+//   lot           a draw that anyone can repeat: candidates ordered by the
+//                 SHA-256 of the seed (election id and closing ballot digest)
+//                 and their id
+//   ballot_order  the candidate listed first on the ballot wins the tie
+const TIE_BREAK_POLICIES = ["lot", "ballot_order"];
+
+// Why a ballot's choices are not valid for the election, or null if they are.
+// Choices are candidate ids, in order of preference for ranked ballots.
+const ballotError = (ballotType, seats, candidateIds, choices) => {
+	if (!Array.isArray(choices) || choices.length === 0) {
+		return "Please choose at least one candidate";
+	}
+	const ids = choices.map(String);
+	if (new Set(ids).size !== ids.length) {
+		return RANKED_BALLOT_TYPES.includes(ballotType)
+			? "Each candidate can only be ranked once"
+			: "Each candidate can only be chosen once";
+	}
+	if (ids.some((id) => !candidateIds.includes(id))) {
+		return "Invalid candidate";
+	}
+	if (ballotType === "plurality" && ids.length > seats) {
+		return seats === 1 ? "Please choose one candidate" : `Please choose at most ${seats} candidates`;
+	}
+	return null;
+};
+
+const lotKey = (seed, id) => crypto.createHash("sha256").update(`${seed}:${id}`).digest("hex");
+
+// Tied candidates ordered by the tie-break policy, the winner of the tie first
+const breakTie = (tied, candidateIds, { policy = "lot", seed = "" } = {}) =>
+	policy === "ballot_order"
+		? [...tied].sort((a, b) => candidateIds.indexOf(a) - candidateIds.indexOf(b))
+		: [...tied].sort((a, b) => (lotKey(seed, a) < lotKey(seed, b) ? -1 : 1));
+
+// Transferred STV votes are fractional; keep them comparable
+const roundVotes = (votes) => Math.round(votes * 1e6) / 1e6;
+
+const talliesOf = (counts) =>
+	[...counts.entries()]
+		.map(([candidate, votes]) => ({ candidate, votes: roundVotes(votes) }))
+		.sort((a, b) => b.votes - a.votes);
+
+// Plurality and approval: a single count of every mark on every ballot. A tie
+// for the last seat is settled by the tie-break policy and reported.
+const countMarks = (candidateIds, ballots, seats, tieBreak) => {
+	const counts = new Map(candidateIds.map((id) => [id, 0]));
+	ballots.forEach((choices) => choices.forEach((id) => counts.set(id, counts.get(id) + 1)));
+
+	const ranked = [...candidateIds].sort((a, b) => counts.get(b) - counts.get(a));
+	let winners = ballots.length > 0 ? ranked.slice(0, seats) : [];
+	let tied = [];
+	const ties = [];
+
+	const cutoff = counts.get(winners[winners.length - 1]);
+	if (winners.length > 0 && ranked.length > seats && counts.get(ranked[seats]) === cutoff) {
+		tied = ranked.filter((id) => counts.get(id) === cutoff);
+		const ahead = ranked.filter((id) => counts.get(id) > cutoff);
+		const drawn = breakTie(tied, candidateIds, tieBreak).slice(0, seats - ahead.length);
+		winners = [...ahead, ...drawn];
+		ties.push({
+			round: 1,
+			kind: "seat",
+			candidates: tied,
+			seats: drawn.length,
+			resolvedBy: tieBreak.policy,
+			winners: drawn,
+		});
+	}
+
+	return {
+		rounds: [{ round: 1, tallies: talliesOf(counts), elected: winners, eliminated: [], exhausted: 0 }],
+		winners,
+		tied,
+		ties,
+	};
+};
+
+// Count each ballot for its highest ranked continuing candidate
+const countPreferences = (ballots, continuing) => {
+	const counts = new Map(continuing.map((id) => [id, 0]));
+	let exhausted = 0;
+	ballots.forEach((ballot) => {
+		const choice = ballot.choices.find((id) => counts.has(id));
+		if (choice) {
+			counts.set(choice, counts.get(choice) + ballot.weight);
+		} else {
+			exhausted += ballot.weight;
+		}
+	});
+	counts.forEach((votes, id) => counts.set(id, roundVotes(votes)));
+	return { counts, exhausted: roundVotes(exhausted) };
+};
+
+// Candidate to eliminate: the lowest count, ties broken by the most recent
+// earlier round in which the tied candidates differed, then by the tie-break
+// policy (the loser of the tie goes). Returns the tie, if there was one.
+const lowestCandidate = (counts, history, candidateIds, tieBreak) => {
+	const min = Math.min(...counts.values());
+	const lowest = [...counts.keys()].filter((id) => counts.get(id) === min);
+	if (lowest.length === 1) return { candidate: lowest[0], tie: null };
+
+	let tied = lowest;
+	for (let i = history.length - 1; i >= 0 && tied.length > 1; i--) {
+		const least = Math.min(...tied.map((id) => history[i].get(id) ?? 0));
+		tied = tied.filter((id) => (history[i].get(id) ?? 0) === least);
+	}
+	if (tied.length === 1) {
+		return {
+			candidate: tied[0],
+			tie: { kind: "elimination", candidates: lowest, resolvedBy: "earlier_rounds" },
+		};
+	}
+
+	const order = breakTie(tied, candidateIds, tieBreak);
+	return {
+		candidate: order[order.length - 1],
+		tie: { kind: "elimination", candidates: lowest, resolvedBy: tieBreak.policy },
+	};
+};
+
+// Instant runoff and STV. Each round counts ballots for their highest
+// continuing preference; candidates reaching the quota are elected and their
+// surplus moves on at a reduced weight (Gregory method), otherwise the
+// lowest candidate is eliminated.
+const runoff = (candidateIds, ballots, seats, quotaFor, tieBreak) => {
+	const weighted = ballots.map((choices) => ({ choices, weight: 1 }));
+	const elected = [];
+	const eliminated = new Set();
+	const history = [];
+	const rounds = [];
+	const ties = [];
+
+	while (elected.length < seats) {
+		const continuing = candidateIds.filter((id) => !elected.includes(id) && !eliminated.has(id));
+		if (continuing.length === 0) break;
+
+		const { counts, exhausted } = countPreferences(weighted, continuing);
+		const active = [...counts.values()].reduce((sum, votes) => sum + votes, 0);
+		const quota = quotaFor(active);
+		const round = {
+			round: rounds.length + 1,
+			quota: roundVotes(quota),
+			tallies: talliesOf(counts),
+			elected: [],
+			eliminated: [],
+			exhausted,
+		};
+		rounds.push(round);
+
+		// Every remaining seat can be filled by the candidates still in the count
+		if (continuing.length <= seats - elected.length) {
+			round.elected = talliesOf(counts).map((tally) => tally.candidate);
+			elected.push(...round.elected);
+			break;
+		}
+
+		let reached = round.tallies
+			.filter((tally) => tally.votes >= quota && tally.votes > 0)
+			.map((tally) => tally.candidate);
+		const open = seats - elected.length;
+		if (reached.length > open) {
+			// More candidates reached the quota than there are seats; a tie at
+			// the boundary goes to the tie-break policy
+			const cutoff = counts.get(reached[open - 1]);
+			const ahead = reached.filter((id) => counts.get(id) > cutoff);
+			const level = reached.filter((id) => counts.get(id) === cutoff);
+			if (ahead.length + level.length > open) {
+				const drawn = breakTie(level, candidateIds, tieBreak).slice(0, open - ahead.length);
+				ties.push({
+					round: round.round,
+					kind: "seat",
+					candidates: level,
+					seats: drawn.length,
+					resolvedBy: tieBreak.policy,
+					winners: drawn,
+				});
+				reached = [...ahead, ...drawn];
+			} else {
+				reached = reached.slice(0, open);
+			}
+		}
+
+		if (reached.length > 0) {
+			reached.forEach((id) => {
+				const votes = counts.get(id);
+				const factor = (votes - quota) / votes;
+				weighted.forEach((ballot) => {
+					if (ballot.choices.find((choice) => counts.has(choice)) === id) {
+						ballot.weight *= factor;
+					}
+				});
+			});
+			round.elected = reached;
+			elected.push(...reached);
+		} else {
+			const { candidate, tie } = lowestCandidate(counts, history, candidateIds, tieBreak);
+			round.eliminated = [candidate];
+			if (tie) {
+				round.tieBroken = true;
+				ties.push({ round: round.round, ...tie, eliminated: candidate });
+			}
+			eliminated.add(candidate);
+		}
+		history.push(counts);
+	}
+
+	return { rounds, winners: ballots.length > 0 ? elected : [], tied: [], ties };
+};
+
+const share = (votes, total) => (total > 0 ? Math.round((votes / total) * 10000) / 100 : 0);
+
+// Each candidate's first-round and final votes with their share of the
+// ballots in that round, and the margin between the last elected candidate
+// and the strongest one left out in the deciding round
+const summarize = (candidateIds, rounds, winners) => {
+	const active = (round) => round.tallies.reduce((sum, tally) => sum + tally.votes, 0);
+	const first = rounds[0];
+
+	const candidates = candidateIds.map((id) => {
+		const last = [...rounds].reverse().find((round) => round.tallies.some((t) => t.candidate === id));
+		const votesIn = (round) => round.tallies.find((t) => t.candidate === id).votes;
+		return {
+			candidate: id,
+			votes: votesIn(first),
+			share: share(votesIn(first), active(first)),
+			finalVotes: votesIn(last),
+			finalShare: share(votesIn(last), active(last)),
+			lastRound: last.round,
+			elected: winners.includes(id),
+		};
+	});
+
+	let margin = null;
+	const deciding = [...rounds].reverse().find(
+		(round) =>
+			round.tallies.some((t) => winners.includes(t.candidate)) &&
+			round.tallies.some((t) => !winners.includes(t.candidate))
+	);
+	if (deciding) {
+		const weakestWinner = [...deciding.tallies].reverse().find((t) => winners.includes(t.candidate));
+		const runnerUp = deciding.tallies.find((t) => !winners.includes(t.candidate));
+		margin = {
+			round: deciding.round,
+			winner: weakestWinner.candidate,
+			runnerUp: runnerUp.candidate,
+			votes: roundVotes(weakestWinner.votes - runnerUp.votes),
+			share: share(weakestWinner.votes - runnerUp.votes, active(deciding)),
+		};
+	}
+
+	return { candidates, margin };
+};
+
+// Run the count for a ballot type. `ballots` are arrays of candidate id
+// strings; the result lists every round so it can be shown step by step, every
+// tie and how it was settled (`tieBreak`: { policy, seed }), vote shares and
+// the winning margin.
+const tally = ({ ballotType, seats = 1, candidateIds, ballots, tieBreak = {} }) => {
+	const ids = candidateIds.map(String);
+	const choices = ballots.map((ballot) => ballot.map(String).filter((id) => ids.includes(id)));
+	const seatCount = Math.min(seats, ids.length);
+	const policy = { policy: tieBreak.policy || "lot", seed: tieBreak.seed || "" };
+
+	let result;
+	if (ballotType === "ranked_choice") {
+		// Majority of the ballots still in the count
+		result = runoff(ids, choices, 1, (active) => Math.floor(active / 2) + 1, policy);
+	} else if (ballotType === "stv") {
+		// Droop quota over all valid ballots
+		const quota = Math.floor(choices.length / (seatCount + 1)) + 1;
+		result = runoff(ids, choices, seatCount, () => quota, policy);
+	} else {
+		result = countMarks(ids, choices, seatCount, policy);
+	}
+
+	return {
+		ballotType,
+		seats: seatCount,
+		totalBallots: choices.length,
+		tieBreakPolicy: policy.policy,
+		...result,
+		...(result.rounds.length > 0 ? summarize(ids, result.rounds, result.winners) : { candidates: [], margin: null }),
+	};
+};
+
+module.exports = {
+	BALLOT_TYPES,
+	RANKED_BALLOT_TYPES,
+	TIE_BREAK_POLICIES,
+	ballotError,
+	tally,
+};
@@ -0,0 +1,86 @@
+/** @format */
+
+const User = require("../models/User");
+const { ELIGIBLE_COLLATION, eligibleVoterFilter } = require("./eligibility");
+
+// Groups with fewer eligible voters than this are reported together as
+// "Other", so a breakdown can't tell whether one particular student voted
+const MIN_GROUP_SIZE = 5;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Users matching the query, counted by department and by academic year
+const countByGroup = async (match) => {
+	const [counts] = await User.aggregate([
+		{ $match: match },
+		{
+			$facet: {
+				department: [
+					{
+						$group: {
+							_id: { $toLower: { $trim: { input: "$department" } } },
+							name: { $first: "$department" },
+							count: { $sum: 1 },
+						},
+					},
+				],
+				year: [{ $group: { _id: "$year", name: { $first: "$year" }, count: { $sum: 1 } } }],
+			},
+		},
+	]).collation(ELIGIBLE_COLLATION);
+	return counts;
+};
+
+const breakdown = (eligible, voted) => {
+	const groups = new Map();
+	eligible.forEach(({ _id, name, count }) => groups.set(_id, { name, eligible: count, voted: 0 }));
+	voted.forEach(({ _id, name, count }) => {
+		const group = groups.get(_id) || { name, eligible: 0, voted: 0 };
+		group.voted = count;
+		groups.set(_id, group);
+	});
+
+	const shown = [];
+	const other = { name: "Other", eligible: 0, voted: 0, combined: true };
+	groups.forEach((group) => {
+		if (group.eligible >= MIN_GROUP_SIZE) {
+			shown.push(group);
+		} else {
+			other.eligible += group.eligible;
+			other.voted += group.voted;
+		}
+	});
+	shown.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+	if (other.eligible > 0 || other.voted > 0) shown.push(other);
+
+	return shown.map((group) =>
+		group.eligible < MIN_GROUP_SIZE
+			? // Even together the small groups are too few to show who voted
+			  { ...group, voted: null, turnoutPercentage: null }
+			: { ...group, turnoutPercentage: percent(group.voted, group.eligible) }
+	);
+};
+
+// Overall turnout; only counts, so it can be shown while the polls are open
+const turnoutSummary = (election) => ({
+	totalVotes: election.totalVotes,
+	eligibleVoters: election.eligibleVoters,
+	turnoutPercentage: percent(election.totalVotes, election.eligibleVoters),
+});
+
+// Turnout by department and by academic year. It is worked out from who voted
+// (voters[]) and never from the ballots, which can't be linked to voters.
+// Eligible voters are counted against the rules and accounts as they are now.
+// The election must be loaded with +eligibility.roll.
+const turnoutBreakdown = async (election) => {
+	const [eligible, voted] = await Promise.all([
+		eligibleVoterFilter(election.eligibility).then(countByGroup),
+		countByGroup({ _id: { $in: election.voters.map((voter) => voter.user) } }),
+	]);
+	return {
+		byDepartment: breakdown(eligible.department, voted.department),
+		byYear: breakdown(eligible.year, voted.year),
+	};
+};
+
+module.exports = { MIN_GROUP_SIZE, turnoutSummary, turnoutBreakdown };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Ballot = require('../models/Ballot');
+const ElectionAuditEntry = require('../models/ElectionAuditEntry');
+const { tally } = require('./tally');
+const { canonicalJson, hashOf } = require('./canonicalJson');
+const { EXPORT_FORMAT } = require('./electionAudit');
+
+// Count the bundle's ballots again, the way Election.getResults does
+const recount = (election, ballots) => election.contests.map(contest => {
+  const choices = ballots
+    .map(ballot => ballot.selections.find(selection => String(selection.contest) === contest.id))
+    .filter(selection => selection && selection.choices.length > 0)
+    .map(selection => selection.choices.map(String));
+
+  return {
+    contest: contest.id,
+    title: contest.title,
+    ...tally({
+      ballotType: election.ballotType,
+      seats: contest.seats,
+      candidateIds: contest.candidates.map(candidate => candidate.id),
+      ballots: choices,
+      tieBreak: { policy: election.tieBreakPolicy, seed: election.tieBreakSeed }
+    })
+  };
+});
+
+// Check an election export (see utils/electionAudit.js) without the database:
+// the manifest signature, the hash of each section, the audit log's chain,
+// the ballot bulletin against the digest recorded at close, and the published
+// count against a recount of the ballots. `publicKey` is the union's
+// published key (PEM); without it the key inside the bundle is trusted.
+// Returns the problems found.
+const verifyElectionExport = (bundle, { publicKey } = {}) => {
+  const problems = [];
+  const { manifest, election, ballots, results, auditLog } = bundle;
+
+  if (!manifest || manifest.format !== EXPORT_FORMAT) {
+    return [`Not an election export (expected format ${EXPORT_FORMAT})`];
+  }
+
+  const key = crypto.createPublicKey(publicKey || manifest.signedWith.publicKey);
+  const signed = crypto.verify(
+    null,
+    Buffer.from(canonicalJson(manifest)),
+    key,
+    Buffer.from(bundle.signature || '', 'base64')
+  );
+  if (!signed) problems.push('The manifest signature does not match');
+
+  Object.entries({ election, ballots, results, auditLog }).forEach(([name, section]) => {
+    if (hashOf(section) !== manifest.sha256[name]) problems.push(`The ${name} section does not match the manifest`);
+  });
+
+  // The audit log
+  problems.push(...ElectionAuditEntry.verifyChain(auditLog));
+  const head = auditLog.length > 0 ? auditLog[auditLog.length - 1].hash : ElectionAuditEntry.GENESIS_HASH;
+  if (head !== manifest.auditHead || auditLog.length !== manifest.auditEntries) {
+    problems.push('The audit log does not end where the manifest says');
+  }
+  const cast = auditLog.filter(entry => entry.type === 'ballot_cast').length;
+  if (cast !== ballots.length) {
+    problems.push(`The audit log records ${cast} ballot(s) cast but the bulletin has ${ballots.length}`);
+  }
+
+  // The ballots
+  const sorted = [...ballots].sort((a, b) => (a.receipt < b.receipt ? -1 : 1));
+  const digest = Ballot.bulletinDigest(sorted);
+  if (digest !== manifest.bulletinDigest) problems.push('The ballots do not match the bulletin digest');
+  // The latest seal: migrateBallots.js seals closed elections again over the
+  // ballots it moved in
+  const closed = auditLog.filter(entry => entry.type === 'closed').pop();
+  if (!closed) {
+    problems.push('The audit log has no record of the polls closing');
+  } else if (closed.data.ballotDigest !== digest) {
+    problems.push('The ballots have changed since the polls closed');
+  }
+
+  // The count
+  recount(election, sorted).forEach(counted => {
+    const published = results.find(result => result.contest === counted.contest);
+    if (!published) {
+      problems.push(`${counted.title}: no published count`);
+    } else if (canonicalJson(published.winners) !== canonicalJson(counted.winners)) {
+      problems.push(`${counted.title}: the ballots elect a different candidate set than published`);
+    } else if (canonicalJson(published.rounds) !== canonicalJson(counted.rounds)) {
+      problems.push(`${counted.title}: the published rounds differ from a recount`);
+    }
+  });
+
+  return problems;
+};
+
+// Run from the command line:
+//   node utils/verifyElectionExport.js <export.json> [--key <public-key.pem>]
+if (require.main === module) {
+  try {
+    const args = process.argv.slice(2);
+    const keyAt = args.indexOf('--key');
+    const publicKey = keyAt >= 0 ? fs.readFileSync(args[keyAt + 1], 'utf8') : undefined;
+    const file = args.find((arg, i) => arg !== '--key' && i !== keyAt + 1);
+    if (!file) {
+      console.error('Usage: node utils/verifyElectionExport.js <export.json> [--key <public-key.pem>]');
+      process.exit(1);
+    }
+
+    const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = verifyElectionExport(bundle, { publicKey });
+
+    if (!publicKey) {
+      console.log('⚠️  Checked against the key in the bundle; pass --key with the union\'s published key to be sure who signed it');
+    }
+    if (problems.length === 0) {
+      console.log(`✅ ${bundle.election.title}: ${bundle.ballots.length} ballot(s), ${bundle.auditLog.length} audit entries, count confirmed`);
+    } else {
+      console.log(`❌ ${bundle.election ? bundle.election.title : file}:`);
+      problems.forEach(problem => console.log(`   - ${problem}`));
+    }
+    process.exit(problems.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error verifying election export:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = { verifyElectionExport };
@@ -0,0 +1,111 @@
+/** @format */
+
+const Election = require("../models/Election");
+const Ballot = require("../models/Ballot");
+const ElectionAuditEntry = require("../models/ElectionAuditEntry");
+const User = require("../models/User");
+const { approvedClubIds, checkEligibility } = require("./eligibility");
+
+// Cast a validated ballot ([{ contest, choices }], blank contests left out) for
+// a user. The voter is claimed with one conditional update that only matches
+// while the polls are open (and the election has not been closed, which
+// freezes its ballots) and the user is not yet in voters[], so a second
+// request for the same user can never get through; the anonymous ballot is
+// stored after that, and the claim is undone if storing it fails. The claim
+// touches nothing that depends on the choices: counts only ever come from the
+// ballots, so the database never shows a voter next to the candidates they
+// marked. The cast goes in the election's audit log, without anything from
+// the ballot; casts at a polling station (`kiosk`: { officer, session }) name
+// the officer and the ballot session.
+// Returns { receipt } or { error: { code, message } }.
+const castVote = async (election, userId, selections, now = new Date(), kiosk = null) => {
+	const claim = await Election.updateOne(
+		{
+			_id: election._id,
+			status: { $ne: "cancelled" },
+			closedAt: null,
+			startDate: { $lte: now },
+			endDate: { $gt: now },
+			"voters.user": { $ne: userId },
+		},
+		{
+			$push: { voters: { user: userId, votedAt: now } },
+			$inc: { totalVotes: 1 },
+		}
+	);
+
+	if (claim.modifiedCount === 0) {
+		const voted = await Election.exists({ _id: election._id, "voters.user": userId });
+		return {
+			error: voted
+				? { code: "ALREADY_VOTED", message: "You have already voted in this election" }
+				: { code: "NOT_OPEN", message: "Election is not currently active" },
+		};
+	}
+
+	let receipt;
+	try {
+		receipt = await Ballot.cast(election._id, selections);
+	} catch (error) {
+		await Election.updateOne(
+			{ _id: election._id, "voters.user": userId },
+			{
+				$pull: { voters: { user: userId } },
+				$inc: { totalVotes: -1 },
+			}
+		);
+		throw error;
+	}
+
+	// The vote stands even if the log can't be written; the export check
+	// reports the missing entry
+	await ElectionAuditEntry.append(election._id, {
+		type: "ballot_cast",
+		actor: kiosk && kiosk.officer,
+		data: kiosk ? { session: kiosk.session } : null,
+		at: now,
+	}).catch((error) => console.error("Election audit error (ballot_cast):", error));
+	return { receipt };
+};
+
+// Why the user can't vote in the election right now, or null if they can.
+// The election must be loaded with +eligibility.roll; its clubs may be
+// populated for the message. Returns { status, code, message }.
+const voterError = async (election, user) => {
+	if (election.status !== "active") {
+		return { status: 400, code: "NOT_OPEN", message: "Election is not currently active" };
+	}
+	const eligibility = checkEligibility(election.eligibility, user, await approvedClubIds(user));
+	if (!eligibility.eligible) {
+		return { status: 403, code: "NOT_ELIGIBLE", message: eligibility.message };
+	}
+	if (election.hasUserVoted(user._id)) {
+		return { status: 400, code: "ALREADY_VOTED", message: "You have already voted in this election" };
+	}
+	return null;
+};
+
+// The vote pipeline, the same online and at polling-station kiosks: check
+// the voter and the ballot ([{ contest, choices }]), then cast it.
+// Returns { receipt } or { error: { status, code, message } }.
+const submitBallot = async (election, user, ballot, kiosk = null) => {
+	const refused = await voterError(election, user);
+	if (refused) return { error: refused };
+
+	const invalid = election.ballotError(ballot);
+	if (invalid) return { error: { status: 400, code: "INVALID_BALLOT", message: invalid } };
+	// Contests left blank are abstentions
+	const selections = ballot.filter((selection) => selection.choices && selection.choices.length > 0);
+
+	// Claims the voter and stores the anonymous ballot; the database refuses
+	// a second vote from the same user even if both requests got this far
+	const { receipt, error } = await castVote(election, user._id, selections, new Date(), kiosk);
+	if (error) return { error: { status: 400, ...error } };
+
+	await User.findByIdAndUpdate(user._id, {
+		$addToSet: { votedElections: election._id },
+	});
+	return { receipt };
+};
+
+module.exports = { castVote, voterError, submitBallot };
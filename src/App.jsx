@@ -10,6 +10,7 @@ import { Home } from "./components/Pages/Home";
 import { About } from "./components/Pages/About";
 import { Clubs } from "./components/Pages/Clubs";
 import { Elections } from "./components/Pages/Elections";
+import { ElectionKiosk } from "./components/Elections/ElectionKiosk";
 import { Services } from "./components/Pages/Services";
 import { Latest } from "./components/Pages/Latest";
 import { Contact } from "./components/Pages/Contact";
@@ -77,6 +78,15 @@ function AppContent() {
             }
           />
 
+          <Route
+            path="/elections/:id/kiosk"
+            element={
+              <ProtectedRoute>
+                <ElectionKiosk />
+              </ProtectedRoute>
+            }
+          />
+
           <Route
             path="/services"
             element={
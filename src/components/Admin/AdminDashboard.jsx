@@ -14,14 +14,35 @@ import {
   Settings,
   UserPlus,
   FileText,
+  Star,
+  X,
 } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
 import { apiService } from "../../services/api";
+import { services } from "../../data/Services";
 import { motion } from "framer-motion";
 import toast from "react-hot-toast";
 
+const complaintCategories = [
+  { value: "academic", label: "Academic Affairs" },
+  { value: "dining", label: "Dining Services" },
+  { value: "housing", label: "Housing" },
+  { value: "facilities", label: "Facilities" },
+  { value: "disciplinary", label: "Disciplinary" },
+  { value: "general", label: "General" },
+];
+
+const emptyReportFilters = {
+  from: "",
+  to: "",
+  branch: "",
+  category: "",
+  status: "",
+  format: "pdf",
+};
+
 export function AdminDashboard() {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [stats, setStats] = useState({
     users: { total: 0, active: 0, admins: 0, students: 0 },
     complaints: { total: 0, pending: 0, resolved: 0, underReview: 0 },
@@ -33,6 +54,9 @@ export function AdminDashboard() {
   const [loading, setLoading] = useState(true);
   const [selectedTimeframe, setSelectedTimeframe] = useState("7d");
   const [recentActivity, setRecentActivity] = useState([]);
+  const [showReportModal, setShowReportModal] = useState(false);
+  const [reportFilters, setReportFilters] = useState(emptyReportFilters);
+  const [exportingReport, setExportingReport] = useState(false);
 
   useEffect(() => {
     fetchDashboardData();
@@ -85,11 +109,44 @@ export function AdminDashboard() {
     }
   };
 
-  const handleExportReport = async () => {
+  const formatRating = (rating) => (rating ? `${rating.toFixed(1)}/5` : "–");
+
+  const getOfficeName = (officeKey) =>
+    services.find((service) => service.officeKey === officeKey)?.nameEn || officeKey;
+
+  const handleExportReport = () => {
+    if (!hasPermission("complaints:reports")) {
+      toast.error("You do not have permission to export complaint reports");
+      return;
+    }
+    setShowReportModal(true);
+  };
+
+  const updateReportFilter = (field, value) =>
+    setReportFilters((filters) => ({ ...filters, [field]: value }));
+
+  const handleDownloadReport = async (e) => {
+    e.preventDefault();
     try {
-      toast.success('Report export started. You will receive it via email.');
+      setExportingReport(true);
+      // Leave out filters that were not set
+      const params = Object.fromEntries(
+        Object.entries(reportFilters).filter(([, value]) => value)
+      );
+      const blob = await apiService.downloadComplaintReport(params);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `complaint-report-${new Date().toISOString().slice(0, 10)}.${reportFilters.format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setShowReportModal(false);
+      toast.success("Complaint report downloaded");
     } catch (error) {
-      toast.error('Failed to export report');
+      console.error('Failed to export report:', error);
+      toast.error(error.message || 'Failed to export report');
+    } finally {
+      setExportingReport(false);
     }
   };
 
@@ -251,6 +308,47 @@ export function AdminDashboard() {
         </motion.div>
       </div>
 
+      {/* Complaint Satisfaction */}
+      {stats.complaints.satisfaction && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.35 }}
+          className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Complaint Satisfaction</h3>
+            <div className="flex items-center text-sm text-gray-600">
+              <Star className="w-4 h-4 mr-1 text-yellow-500 fill-yellow-500" />
+              {formatRating(stats.complaints.satisfaction.averageRating)} from{" "}
+              {stats.complaints.satisfaction.ratings} ratings,{" "}
+              {stats.complaints.satisfaction.reopened} reopened
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {[
+              { title: "By Office", rows: stats.complaints.satisfaction.byOffice, label: getOfficeName },
+              { title: "By Category", rows: stats.complaints.satisfaction.byCategory, label: (key) => key },
+            ].map((group) => (
+              <div key={group.title}>
+                <p className="text-sm font-medium text-gray-600 mb-2">{group.title}</p>
+                {group.rows.length === 0 ? (
+                  <p className="text-sm text-gray-500">No ratings yet</p>
+                ) : (
+                  group.rows.map((row) => (
+                    <div key={row._id} className="flex items-center justify-between py-1">
+                      <span className="text-sm text-gray-900 capitalize">{group.label(row._id)}</span>
+                      <span className="text-sm text-gray-600">
+                        {formatRating(row.averageRating)} ({row.ratings})
+                      </span>
+                    </div>
+                  ))
+                )}
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
       {/* Quick Actions */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -372,6 +470,119 @@ export function AdminDashboard() {
           </div>
         </div>
       </motion.div>
+
+      {/* Complaint Report Export */}
+      {showReportModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-2xl max-w-lg w-full">
+            <form onSubmit={handleDownloadReport} className="p-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-xl font-bold text-gray-900">Export Complaint Report</h2>
+                <button
+                  type="button"
+                  onClick={() => setShowReportModal(false)}
+                  className="text-gray-400 hover:text-gray-600">
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
+              <p className="text-sm text-gray-600">
+                Per-office volumes, median resolution times, SLA breaches and satisfaction scores.
+              </p>
+
+              <div className="grid grid-cols-2 gap-4">
+                <label className="text-sm text-gray-700">
+                  From
+                  <input
+                    type="date"
+                    value={reportFilters.from}
+                    onChange={(e) => updateReportFilter("from", e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  To
+                  <input
+                    type="date"
+                    value={reportFilters.to}
+                    onChange={(e) => updateReportFilter("to", e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Branch
+                  <select
+                    value={reportFilters.branch}
+                    onChange={(e) => updateReportFilter("branch", e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2">
+                    <option value="">All branches</option>
+                    {complaintCategories.map((category) => (
+                      <option key={category.value} value={category.value}>
+                        {category.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  Category
+                  <select
+                    value={reportFilters.category}
+                    onChange={(e) => updateReportFilter("category", e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2">
+                    <option value="">All categories</option>
+                    {complaintCategories.map((category) => (
+                      <option key={category.value} value={category.value}>
+                        {category.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  Status
+                  <select
+                    value={reportFilters.status}
+                    onChange={(e) => updateReportFilter("status", e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2">
+                    <option value="">All statuses</option>
+                    <option value="submitted">Submitted</option>
+                    <option value="under_review">Under Review</option>
+                    <option value="resolved">Resolved</option>
+                    <option value="closed">Closed</option>
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  Format
+                  <select
+                    value={reportFilters.format}
+                    onChange={(e) => updateReportFilter("format", e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2">
+                    <option value="pdf">PDF (printable)</option>
+                    <option value="csv">CSV (spreadsheet)</option>
+                  </select>
+                </label>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setReportFilters(emptyReportFilters)}
+                  className="px-4 py-2 text-gray-600 hover:text-gray-800">
+                  Reset
+                </button>
+                <button
+                  type="submit"
+                  disabled={exportingReport}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center disabled:opacity-50">
+                  <Download className="w-4 h-4 mr-2" />
+                  {exportingReport ? "Generating..." : "Download"}
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,131 @@
+/** @format */
+
+import React from "react";
+import { apiService } from "../../services/api";
+
+const isRankedBallot = (election) =>
+	["ranked_choice", "stv"].includes(election.ballotType);
+
+const ballotInstructions = (election, contest) => {
+	const seats = contest.seats || 1;
+	switch (election.ballotType) {
+		case "approval":
+			return "Select every candidate you approve of.";
+		case "ranked_choice":
+			return "Click candidates in order of preference. Rank as many as you like.";
+		case "stv":
+			return `Click candidates in order of preference. ${seats} seats will be filled.`;
+		default:
+			return seats === 1
+				? "Select one candidate."
+				: `Select up to ${seats} candidates.`;
+	}
+};
+
+// Elections, contests and candidates with a plain `id`
+export const withIds = (items) =>
+	items.map((election) => ({
+		...election,
+		id: election.id || election._id,
+		contests: (election.contests || []).map((contest) => ({
+			...contest,
+			id: contest.id || contest._id,
+			candidates: contest.candidates.map((candidate) => ({
+				...candidate,
+				id: candidate.id || candidate._id,
+			})),
+		})),
+	}));
+
+// Selections for the vote endpoints from a ballot of choices per contest id;
+// contests left blank are left out
+export const ballotSelections = (ballot) =>
+	Object.entries(ballot)
+		.filter(([, choices]) => choices.length > 0)
+		.map(([contest, choices]) => ({ contest, choices }));
+
+// An election's ballot: every contest with its candidates to pick from.
+// `ballot` holds the choices per contest id, in order of preference for
+// ranked ballots; used for online voting and at polling-station kiosks.
+export function BallotForm({ election, ballot, onChange }) {
+	const choicesFor = (contest) => ballot[contest.id] || [];
+
+	// Pick or unpick a candidate; ranked ballots keep the order of picking
+	const toggleChoice = (contest, candidateId) => {
+		const current = choicesFor(contest);
+		let choices;
+		if (current.includes(candidateId)) {
+			choices = current.filter((id) => id !== candidateId);
+		} else if (election.ballotType === "plurality" || !election.ballotType) {
+			if (contest.seats === 1) choices = [candidateId];
+			else choices = current.length < contest.seats ? [...current, candidateId] : current;
+		} else {
+			choices = [...current, candidateId];
+		}
+		onChange({ ...ballot, [contest.id]: choices });
+	};
+
+	return (
+		<div className="space-y-6">
+			{election.contests.map((contest) => (
+				<div key={contest.id}>
+					<h3 className="text-lg font-semibold text-gray-900">
+						{contest.title}
+					</h3>
+					<p className="text-sm text-gray-600 mb-3">
+						{ballotInstructions(election, contest)}
+					</p>
+					<div className="space-y-4">
+						{contest.candidates.map((candidate) => (
+							<div
+								key={candidate.id}
+								onClick={() => toggleChoice(contest, candidate.id)}
+								className={`border rounded-lg p-4 cursor-pointer transition-colors ${
+									choicesFor(contest).includes(candidate.id)
+										? "border-blue-500 bg-blue-50"
+										: "border-gray-200 hover:border-blue-300"
+								}`}>
+								<div className="flex items-start space-x-4">
+									<img
+										src={apiService.assetUrl(candidate.profileImage)}
+										alt={candidate.name}
+										className="w-16 h-16 rounded-full object-cover"
+									/>
+									<div className="flex-1">
+										<h3 className="text-lg font-semibold text-gray-900">
+											{candidate.name} ({candidate.department})
+										</h3>
+										<p className="text-gray-600">{candidate.position} - {candidate.academicYear}</p>
+										<div className="mt-2">
+											<p className="text-sm font-medium text-gray-700 mb-1">
+												Platform:
+											</p>
+											<div className="flex flex-wrap gap-1">
+												{candidate.platform.map((item, index) => (
+													<span
+														key={index}
+														className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">
+														{item}
+													</span>
+												))}
+											</div>
+										</div>
+									</div>
+									<div className="text-right">
+										{choicesFor(contest).includes(candidate.id) && (
+											<span className="inline-flex items-center justify-center w-10 h-10 rounded-full bg-blue-600 text-white font-bold">
+												{isRankedBallot(election)
+													? choicesFor(contest).indexOf(candidate.id) + 1
+													: "✓"}
+											</span>
+										)}
+									</div>
+								</div>
+							</div>
+						))}
+					</div>
+				</div>
+			))}
+		</div>
+	);
+}
\ No newline at end of file
@@ -0,0 +1,257 @@
+/** @format */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { MessageCircle, ThumbsUp, EyeOff, Eye } from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../../contexts/AuthContext";
+import { apiService } from "../../services/api";
+
+// A candidate's part of the election's Q&A board: questions from students,
+// most upvoted first, with the candidate's answers. The candidate answers from
+// their own account; moderators can hide questions, giving a reason.
+export function CandidateQuestions({ election, candidate }) {
+	const { user, hasPermission } = useAuth();
+	const [open, setOpen] = useState(false);
+	const [questions, setQuestions] = useState([]);
+	const [questionsOpen, setQuestionsOpen] = useState(false);
+	const [loading, setLoading] = useState(false);
+	const [newQuestion, setNewQuestion] = useState("");
+	const [answers, setAnswers] = useState({});
+	const [hideReasons, setHideReasons] = useState({});
+
+	const isCandidate = Boolean(user) && candidate.user === user.id;
+	const canModerate = hasPermission("elections:moderate");
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		try {
+			const data = await apiService.getElectionQuestions(election.id, candidate.id);
+			setQuestions(data.questions || []);
+			setQuestionsOpen(data.questionsOpen);
+		} catch (error) {
+			toast.error(error.message || "Failed to load questions");
+		} finally {
+			setLoading(false);
+		}
+	}, [election.id, candidate.id]);
+
+	useEffect(() => {
+		if (open) load();
+	}, [open, load]);
+
+	const ask = async (e) => {
+		e.preventDefault();
+		if (!newQuestion.trim()) {
+			toast.error("Please write your question");
+			return;
+		}
+		try {
+			await apiService.askElectionQuestion(election.id, candidate.id, newQuestion.trim());
+			toast.success("Question posted");
+			setNewQuestion("");
+			await load();
+		} catch (error) {
+			toast.error(error.message || "Failed to post question");
+		}
+	};
+
+	const toggleUpvote = async (question) => {
+		try {
+			const data = await apiService.upvoteElectionQuestion(
+				election.id,
+				question._id,
+				!question.upvotedByMe
+			);
+			setQuestions(
+				questions.map((item) =>
+					item._id === question._id
+						? { ...item, upvoteCount: data.upvoteCount, upvotedByMe: data.upvotedByMe }
+						: item
+				)
+			);
+		} catch (error) {
+			toast.error(error.message || "Failed to update upvote");
+		}
+	};
+
+	const answer = async (question) => {
+		const text = (answers[question._id] ?? question.answer?.text ?? "").trim();
+		if (!text) {
+			toast.error("Please write your answer");
+			return;
+		}
+		try {
+			await apiService.answerElectionQuestion(election.id, question._id, text);
+			toast.success("Answer posted");
+			setAnswers({ ...answers, [question._id]: undefined });
+			await load();
+		} catch (error) {
+			toast.error(error.message || "Failed to post answer");
+		}
+	};
+
+	const moderate = async (question, hidden) => {
+		const reason = (hideReasons[question._id] || "").trim();
+		if (hidden && !reason) {
+			toast.error("Please give a reason for hiding the question");
+			return;
+		}
+		try {
+			const response = await apiService.moderateElectionQuestion(
+				election.id,
+				question._id,
+				hidden,
+				reason
+			);
+			toast.success(response.message);
+			setHideReasons({ ...hideReasons, [question._id]: undefined });
+			await load();
+		} catch (error) {
+			toast.error(error.message || "Failed to moderate question");
+		}
+	};
+
+	return (
+		<div className="mt-3 border-t border-gray-100 pt-3">
+			<button
+				onClick={() => setOpen(!open)}
+				className="text-sm font-medium text-blue-600 hover:text-blue-700">
+				<MessageCircle className="w-4 h-4 inline mr-1" />
+				{open ? "Hide questions" : "Questions & answers"}
+			</button>
+
+			{open && (
+				<div className="mt-3 space-y-3">
+					{loading && questions.length === 0 && (
+						<p className="text-sm text-gray-500">Loading questions...</p>
+					)}
+					{!loading && questions.length === 0 && (
+						<p className="text-sm text-gray-500">No questions yet.</p>
+					)}
+
+					{questions.map((question) => (
+						<div
+							key={question._id}
+							className={`rounded-lg p-3 ${
+								question.status === "hidden" ? "bg-red-50 border border-red-200" : "bg-gray-50"
+							}`}>
+							<div className="flex items-start justify-between gap-3">
+								<div className="flex-1">
+									<p className="text-sm text-gray-900">{question.text}</p>
+									<p className="text-xs text-gray-500 mt-1">
+										{question.askedByMe
+											? "Your question"
+											: question.askedBy
+											? `Asked by ${question.askedBy.name}`
+											: "Asked by a student"}{" "}
+										· {new Date(question.createdAt).toLocaleDateString()}
+									</p>
+								</div>
+								<button
+									onClick={() => toggleUpvote(question)}
+									disabled={!user || !questionsOpen || question.askedByMe || question.status === "hidden"}
+									title={question.upvotedByMe ? "Take back your upvote" : "Upvote"}
+									className={`flex items-center text-sm px-2 py-1 rounded disabled:opacity-50 ${
+										question.upvotedByMe
+											? "bg-blue-100 text-blue-700"
+											: "bg-white text-gray-600 hover:bg-gray-100"
+									}`}>
+									<ThumbsUp className="w-4 h-4 mr-1" />
+									{question.upvoteCount}
+								</button>
+							</div>
+
+							{question.answer?.text && (
+								<div className="mt-2 pl-3 border-l-2 border-blue-300">
+									<p className="text-sm text-gray-800">{question.answer.text}</p>
+									<p className="text-xs text-gray-500 mt-1">
+										{candidate.name}'s answer
+										{question.answer.answeredAt &&
+											` · ${new Date(question.answer.answeredAt).toLocaleDateString()}`}
+									</p>
+								</div>
+							)}
+
+							{isCandidate && questionsOpen && question.status === "visible" && (
+								<div className="mt-2 flex gap-2">
+									<textarea
+										rows={2}
+										value={answers[question._id] ?? question.answer?.text ?? ""}
+										onChange={(e) => setAnswers({ ...answers, [question._id]: e.target.value })}
+										placeholder="Your answer"
+										className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+									/>
+									<button
+										onClick={() => answer(question)}
+										className="self-end bg-blue-600 text-white text-sm py-2 px-3 rounded-lg hover:bg-blue-700 transition-colors">
+										{question.answer?.text ? "Update" : "Answer"}
+									</button>
+								</div>
+							)}
+
+							{canModerate && (
+								<div className="mt-2">
+									{question.status === "hidden" ? (
+										<div className="flex items-center justify-between gap-2">
+											<p className="text-xs text-red-700">
+												Hidden
+												{question.moderation?.moderatedBy &&
+													` by ${question.moderation.moderatedBy.name}`}
+												: {question.moderation?.reason}
+											</p>
+											<button
+												onClick={() => moderate(question, false)}
+												className="text-xs text-gray-700 hover:text-gray-900">
+												<Eye className="w-3 h-3 inline mr-1" />
+												Show again
+											</button>
+										</div>
+									) : (
+										<div className="flex gap-2">
+											<input
+												type="text"
+												value={hideReasons[question._id] || ""}
+												onChange={(e) =>
+													setHideReasons({ ...hideReasons, [question._id]: e.target.value })
+												}
+												placeholder="Reason for hiding"
+												className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded focus:ring-2 focus:ring-red-500 focus:border-transparent"
+											/>
+											<button
+												onClick={() => moderate(question, true)}
+												className="text-xs text-red-600 hover:text-red-700">
+												<EyeOff className="w-3 h-3 inline mr-1" />
+												Hide
+											</button>
+										</div>
+									)}
+								</div>
+							)}
+						</div>
+					))}
+
+					{user && questionsOpen && !isCandidate && (
+						<form onSubmit={ask} className="flex gap-2">
+							<input
+								type="text"
+								value={newQuestion}
+								onChange={(e) => setNewQuestion(e.target.value)}
+								maxLength={500}
+								placeholder={`Ask ${candidate.name} a question`}
+								className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+							/>
+							<button
+								type="submit"
+								className="bg-blue-600 text-white text-sm py-2 px-3 rounded-lg hover:bg-blue-700 transition-colors">
+								Ask
+							</button>
+						</form>
+					)}
+					{!questionsOpen && !loading && (
+						<p className="text-xs text-gray-500">This Q&A board is closed.</p>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
\ No newline at end of file
@@ -0,0 +1,247 @@
+/** @format */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Vote, ShieldCheck, UserCheck, ArrowLeft, Eye } from "lucide-react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import { useAuth } from "../../contexts/AuthContext";
+import { apiService } from "../../services/api";
+import { BallotForm, ballotSelections, withIds } from "./BallotForm";
+
+// How long the receipt stays on screen before the kiosk is ready for the next voter
+const RECEIPT_SECONDS = 60;
+
+// Student ids are "dbu" followed by 8 digits, as on the User model
+const STUDENT_ID = /^dbu\d{8}$/i;
+
+// A polling-station kiosk: the officer checks each voter in by student ID,
+// the voter fills in the ballot, sees their receipt code once, and the kiosk
+// goes back to check-in for the next voter.
+export function ElectionKiosk() {
+	const { id } = useParams();
+	const { hasPermission } = useAuth();
+	const [election, setElection] = useState(null);
+	const [loadError, setLoadError] = useState(null);
+	const [studentId, setStudentId] = useState("");
+	const [session, setSession] = useState(null);
+	const [ballot, setBallot] = useState({});
+	const [receipt, setReceipt] = useState(null);
+	const [showReceipt, setShowReceipt] = useState(false);
+	const [secondsLeft, setSecondsLeft] = useState(RECEIPT_SECONDS);
+	const [busy, setBusy] = useState(false);
+
+	useEffect(() => {
+		apiService
+			.getElectionById(id)
+			.then((response) => setElection(withIds([response.election])[0]))
+			.catch((error) => setLoadError(error.message || "Failed to load election"));
+	}, [id]);
+
+	const reset = useCallback(() => {
+		setStudentId("");
+		setSession(null);
+		setBallot({});
+		setReceipt(null);
+		setShowReceipt(false);
+		setSecondsLeft(RECEIPT_SECONDS);
+	}, []);
+
+	// The receipt clears itself so the next voter never sees it
+	useEffect(() => {
+		if (!receipt) return undefined;
+		if (secondsLeft <= 0) {
+			reset();
+			return undefined;
+		}
+		const timer = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+		return () => clearTimeout(timer);
+	}, [receipt, secondsLeft, reset]);
+
+	// An unused session runs out on the server; go back to check-in with it
+	useEffect(() => {
+		if (!session) return undefined;
+		const timer = setTimeout(() => {
+			toast.error("The ballot session expired; please check the voter in again");
+			reset();
+		}, new Date(session.expiresAt).getTime() - Date.now());
+		return () => clearTimeout(timer);
+	}, [session, reset]);
+
+	const checkIn = async (e) => {
+		e.preventDefault();
+		if (!STUDENT_ID.test(studentId.trim())) {
+			toast.error("Student ID must start with dbu followed by 8 digits");
+			return;
+		}
+
+		setBusy(true);
+		try {
+			const response = await apiService.kioskCheckIn(id, studentId.trim());
+			setSession(response.session);
+			setBallot({});
+		} catch (error) {
+			toast.error(error.message || "Failed to check in voter");
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const castBallot = async () => {
+		const selections = ballotSelections(ballot);
+		if (selections.length === 0) {
+			toast.error("Please choose at least one candidate");
+			return;
+		}
+
+		setBusy(true);
+		try {
+			const response = await apiService.kioskVote(id, session.token, selections);
+			setSession(null);
+			setBallot({});
+			setReceipt(response.receipt.code);
+		} catch (error) {
+			toast.error(error.message || "Failed to cast vote");
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const cancel = async () => {
+		if (!window.confirm("Cancel this voter's ballot? They will need to be checked in again.")) {
+			return;
+		}
+		try {
+			await apiService.kioskCancel(id, session.token);
+			toast.success("Ballot session cancelled");
+		} catch (error) {
+			toast.error(error.message || "Failed to cancel ballot session");
+		}
+		reset();
+	};
+
+	if (!hasPermission("elections:kiosk")) {
+		return (
+			<div className="min-h-screen flex items-center justify-center p-6">
+				<p className="text-gray-600">You don't have permission to run a polling-station kiosk.</p>
+			</div>
+		);
+	}
+
+	if (loadError || !election) {
+		return (
+			<div className="min-h-screen flex items-center justify-center p-6">
+				{loadError ? (
+					<p className="text-red-600">{loadError}</p>
+				) : (
+					<div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+				)}
+			</div>
+		);
+	}
+
+	return (
+		<div className="min-h-screen bg-gray-50 py-8 px-4">
+			<div className="max-w-3xl mx-auto">
+				<div className="flex items-center justify-between mb-6">
+					<div>
+						<p className="text-sm text-gray-500">Polling station</p>
+						<h1 className="text-2xl font-bold text-gray-900">{election.title}</h1>
+					</div>
+					{!session && !receipt && (
+						<Link to="/elections" className="text-sm text-gray-500 hover:text-gray-700">
+							<ArrowLeft className="w-4 h-4 inline mr-1" />
+							Leave kiosk
+						</Link>
+					)}
+				</div>
+
+				{election.status !== "active" && (
+					<div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-6">
+						This election is not open for voting.
+					</div>
+				)}
+
+				{receipt ? (
+					<motion.div
+						initial={{ opacity: 0, scale: 0.95 }}
+						animate={{ opacity: 1, scale: 1 }}
+						className="bg-white rounded-2xl shadow-lg p-8 text-center">
+						<ShieldCheck className="w-12 h-12 text-green-600 mx-auto mb-4" />
+						<h2 className="text-xl font-bold text-gray-900 mb-2">Your vote has been cast</h2>
+						<p className="text-gray-600 mb-4">
+							Your receipt code lets you check later that your ballot was counted. Anyone you show it to
+							can see how you voted, so make sure nobody else is looking. It won't be shown again.
+						</p>
+						{showReceipt ? (
+							<p className="font-mono text-2xl tracking-widest text-gray-900 bg-gray-100 rounded-lg py-4 mb-6">
+								{receipt}
+							</p>
+						) : (
+							<button
+								onClick={() => setShowReceipt(true)}
+								className="w-full text-gray-700 bg-gray-100 rounded-lg py-4 mb-6 hover:bg-gray-200 transition-colors">
+								<Eye className="w-4 h-4 inline mr-2" />
+								Show my receipt code
+							</button>
+						)}
+						<button
+							onClick={reset}
+							className="bg-blue-600 text-white py-2 px-6 rounded-lg font-medium hover:bg-blue-700 transition-colors">
+							Done ({secondsLeft}s)
+						</button>
+					</motion.div>
+				) : session ? (
+					<div className="bg-white rounded-2xl shadow-lg p-6">
+						<div className="flex items-center justify-between mb-6">
+							<div>
+								<p className="text-sm text-gray-500">Ballot for</p>
+								<p className="text-lg font-semibold text-gray-900">{session.voter.name}</p>
+							</div>
+							<button onClick={cancel} className="text-sm text-red-600 hover:text-red-700">
+								Cancel ballot
+							</button>
+						</div>
+
+						<BallotForm election={election} ballot={ballot} onChange={setBallot} />
+
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							disabled={busy}
+							onClick={castBallot}
+							className="w-full mt-6 bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50">
+							<Vote className="w-4 h-4 inline mr-2" />
+							Cast Vote
+						</motion.button>
+					</div>
+				) : (
+					<form onSubmit={checkIn} className="bg-white rounded-2xl shadow-lg p-6">
+						<h2 className="text-lg font-semibold text-gray-900 mb-1">Check in a voter</h2>
+						<p className="text-sm text-gray-600 mb-4">
+							Check the voter's student card, enter their ID, then hand them the kiosk.
+						</p>
+						<div className="flex gap-3">
+							<input
+								type="text"
+								value={studentId}
+								onChange={(e) => setStudentId(e.target.value)}
+								placeholder="dbu12345678"
+								autoFocus
+								autoComplete="off"
+								className="flex-1 px-4 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+							/>
+							<button
+								type="submit"
+								disabled={busy || election.status !== "active"}
+								className="bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50">
+								<UserCheck className="w-4 h-4 inline mr-2" />
+								Check In
+							</button>
+						</div>
+					</form>
+				)}
+			</div>
+		</div>
+	);
+}
\ No newline at end of file
@@ -0,0 +1,398 @@
+/** @format */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Trophy, Download, FileCheck, RefreshCw, Scale } from "lucide-react";
+import { motion } from "framer-motion";
+import { apiService } from "../../services/api";
+
+// How often live turnout is refreshed while the polls are open
+const LIVE_REFRESH_MS = 30000;
+
+const tieBreakLabels = {
+	lot: "drawing lots",
+	ballot_order: "ballot order",
+	earlier_rounds: "earlier rounds",
+};
+
+const clampPercent = (value) => Math.max(0, Math.min(value || 0, 100));
+
+// Turnout as a ring, with the percentage in the middle
+const TurnoutRing = ({ percentage, size = 112 }) => {
+	const stroke = 12;
+	const radius = (size - stroke) / 2;
+	const circumference = 2 * Math.PI * radius;
+	const filled = (clampPercent(percentage) / 100) * circumference;
+
+	return (
+		<div className="relative" style={{ width: size, height: size }}>
+			<svg width={size} height={size} className="-rotate-90">
+				<circle
+					cx={size / 2}
+					cy={size / 2}
+					r={radius}
+					fill="none"
+					stroke="#e5e7eb"
+					strokeWidth={stroke}
+				/>
+				<circle
+					cx={size / 2}
+					cy={size / 2}
+					r={radius}
+					fill="none"
+					stroke="#2563eb"
+					strokeWidth={stroke}
+					strokeLinecap="round"
+					strokeDasharray={`${filled} ${circumference}`}
+				/>
+			</svg>
+			<span className="absolute inset-0 flex items-center justify-center text-lg font-bold text-gray-900">
+				{percentage}%
+			</span>
+		</div>
+	);
+};
+
+// Turnout of each department or year as a bar
+const BreakdownChart = ({ title, groups }) => (
+	<div>
+		<h4 className="text-sm font-semibold text-gray-800 mb-2">{title}</h4>
+		{groups.length === 0 ? (
+			<p className="text-sm text-gray-500">No eligible voters.</p>
+		) : (
+			<div className="space-y-1">
+				{groups.map((group) => (
+					<div
+						key={group.name}
+						className="flex items-center text-sm"
+						title={
+							group.voted === null
+								? `${group.eligible} eligible`
+								: `${group.voted} of ${group.eligible} eligible voted`
+						}>
+						<span className="w-32 truncate text-gray-700">{group.name}</span>
+						<div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+							<div
+								className="h-3 rounded bg-blue-500"
+								style={{ width: `${clampPercent(group.turnoutPercentage)}%` }}
+							/>
+						</div>
+						<span className="w-16 text-right text-gray-900">
+							{group.turnoutPercentage === null ? "–" : `${group.turnoutPercentage}%`}
+						</span>
+					</div>
+				))}
+			</div>
+		)}
+		{groups.some((group) => group.combined) && (
+			<p className="text-xs text-gray-500 mt-1">
+				Groups with fewer than five eligible voters are combined as Other
+				{groups.some((group) => group.voted === null) ? ", and not shown if still that small" : ""}.
+			</p>
+		)}
+	</div>
+);
+
+const TurnoutSection = ({ turnout }) => (
+	<div className="bg-gray-50 rounded-lg p-4 mb-6">
+		<div className="flex items-center space-x-6 mb-4">
+			<TurnoutRing percentage={turnout.turnoutPercentage} />
+			<div>
+				<p className="text-2xl font-bold text-gray-900">
+					{turnout.totalVotes.toLocaleString()}
+				</p>
+				<p className="text-sm text-gray-600">
+					voted of {turnout.eligibleVoters.toLocaleString()} eligible
+				</p>
+			</div>
+		</div>
+		<div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+			<BreakdownChart title="By department" groups={turnout.byDepartment} />
+			<BreakdownChart title="By year" groups={turnout.byYear} />
+		</div>
+	</div>
+);
+
+const tieDescription = (tie, name) => {
+	const names = tie.candidates.map(name).join(", ");
+	const settled = `settled by ${tieBreakLabels[tie.resolvedBy] || tie.resolvedBy}`;
+	return tie.kind === "seat"
+		? `Round ${tie.round}: ${names} tied for ${tie.seats === 1 ? "the last seat" : `the last ${tie.seats} seats`}; ${settled}, ${tie.winners.map(name).join(", ")} elected`
+		: `Round ${tie.round}: ${names} tied for elimination; ${settled}, ${name(tie.eliminated)} eliminated`;
+};
+
+const ContestResult = ({ result, ballotLabel, name, canAnnounce, onAnnounce }) => {
+	const ranked = result.rounds.length > 1 || result.rounds.some((round) => round.quota !== undefined);
+	const byShare = [...result.candidates].sort((a, b) => b.finalShare - a.finalShare);
+
+	return (
+		<div className="border-t pt-4 mt-4 first:border-t-0 first:mt-0">
+			<div className="flex items-center justify-between mb-1">
+				<h3 className="text-lg font-semibold text-gray-900">{result.title}</h3>
+				{canAnnounce && !result.resultsPublished && (
+					<button
+						onClick={() => onAnnounce(result.contest)}
+						className="bg-yellow-600 text-white py-1 px-3 rounded text-sm hover:bg-yellow-700 transition-colors">
+						Announce
+					</button>
+				)}
+			</div>
+			<p className="text-sm text-gray-600 mb-4">
+				{ballotLabel} · {result.turnout.toLocaleString()} ballots ({result.turnoutPercentage}%
+				turnout) · {result.seats} {result.seats === 1 ? "seat" : "seats"}
+			</p>
+
+			<div className="bg-green-50 rounded-lg p-4 mb-4">
+				<h3 className="font-semibold text-green-800 flex items-center mb-2">
+					<Trophy className="w-4 h-4 mr-2" />
+					Elected
+				</h3>
+				{result.winners.length === 0 ? (
+					<p className="text-sm text-gray-600">No ballots were cast.</p>
+				) : (
+					<ul className="text-green-900">
+						{result.winners.map((id) => (
+							<li key={id}>{name(id)}</li>
+						))}
+					</ul>
+				)}
+				{result.margin && (
+					<p className="text-sm text-green-800 mt-2">
+						{result.margin.votes === 0
+							? `Level with ${name(result.margin.runnerUp)}`
+							: `Margin of ${result.margin.votes.toLocaleString()} ${
+									result.margin.votes === 1 ? "vote" : "votes"
+							  } (${result.margin.share} points) over ${name(result.margin.runnerUp)}`}
+						{result.rounds.length > 1 && ` in round ${result.margin.round}`}
+					</p>
+				)}
+			</div>
+
+			{result.ties.length > 0 && (
+				<div className="bg-yellow-50 rounded-lg p-4 mb-4">
+					<h4 className="font-semibold text-yellow-800 flex items-center mb-2">
+						<Scale className="w-4 h-4 mr-2" />
+						{result.ties.length === 1 ? "Tie" : "Ties"}
+					</h4>
+					<ul className="text-sm text-yellow-900 space-y-1">
+						{result.ties.map((tie, index) => (
+							<li key={index}>{tieDescription(tie, name)}</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{/* Vote shares */}
+			{result.totalBallots > 0 && (
+				<div className="mb-4">
+					<h4 className="text-sm font-semibold text-gray-800 mb-2">
+						{ranked ? "Final share" : "Vote share"}
+					</h4>
+					<div className="space-y-1">
+						{byShare.map((entry) => (
+							<div key={entry.candidate} className="flex items-center text-sm">
+								<span className="w-40 truncate text-gray-700">{name(entry.candidate)}</span>
+								<div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+									<div
+										className={`h-3 rounded ${entry.elected ? "bg-green-500" : "bg-blue-500"}`}
+										style={{ width: `${clampPercent(entry.finalShare)}%` }}
+									/>
+								</div>
+								<span className="w-28 text-right text-gray-900">
+									{entry.finalVotes} ({entry.finalShare}%)
+								</span>
+							</div>
+						))}
+					</div>
+					{ranked && (
+						<p className="text-xs text-gray-500 mt-1">
+							Share of the ballots still in the count in the last round each candidate
+							was in. First preferences:{" "}
+							{result.candidates
+								.map((entry) => `${name(entry.candidate)} ${entry.share}%`)
+								.join(", ")}
+						</p>
+					)}
+				</div>
+			)}
+
+			{/* Round by round, for counts that took more than one */}
+			{result.rounds.length > 1 &&
+				result.rounds.map((round) => (
+					<div key={round.round} className="mb-4">
+						<h4 className="text-sm font-semibold text-gray-800 mb-2">
+							Round {round.round}
+							{round.quota !== undefined && (
+								<span className="font-normal text-gray-500"> · quota {round.quota}</span>
+							)}
+						</h4>
+						<div className="space-y-1">
+							{round.tallies.map((entry) => (
+								<div key={entry.candidate} className="flex items-center text-sm">
+									<span className="w-40 truncate text-gray-700">{name(entry.candidate)}</span>
+									<div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+										<div
+											className={`h-3 rounded ${
+												round.elected.includes(entry.candidate)
+													? "bg-green-500"
+													: round.eliminated.includes(entry.candidate)
+													? "bg-red-400"
+													: "bg-blue-500"
+											}`}
+											style={{
+												width: `${
+													result.totalBallots ? (entry.votes / result.totalBallots) * 100 : 0
+												}%`,
+											}}
+										/>
+									</div>
+									<span className="w-16 text-right text-gray-900">{entry.votes}</span>
+								</div>
+							))}
+						</div>
+						{(round.eliminated.length > 0 || round.exhausted > 0) && (
+							<p className="text-xs text-gray-500 mt-1">
+								{round.eliminated.length > 0 &&
+									`Eliminated: ${round.eliminated.map(name).join(", ")}${
+										round.tieBroken ? " (tie broken)" : ""
+									}. `}
+								{round.exhausted > 0 && `Exhausted ballots: ${round.exhausted}`}
+							</p>
+						)}
+					</div>
+				))}
+		</div>
+	);
+};
+
+// Results of an election with charts: live turnout while the polls are open,
+// the count of each contest once they close
+export function ElectionResults({
+	election,
+	ballotLabel,
+	canAnnounce,
+	onAnnounce,
+	onDownloadBulletin,
+	onDownloadExport,
+	onClose,
+}) {
+	const live = election.status === "active";
+	const [data, setData] = useState(null);
+	const [error, setError] = useState(null);
+
+	const load = useCallback(async () => {
+		try {
+			setData(
+				live
+					? await apiService.getElectionTurnout(election.id)
+					: await apiService.getElectionResults(election.id)
+			);
+			setError(null);
+		} catch (err) {
+			console.error("Failed to fetch results:", err);
+			setError(err.message || "Failed to load results");
+		}
+	}, [election.id, live]);
+
+	useEffect(() => {
+		load();
+		if (!live) return undefined;
+		const timer = setInterval(load, LIVE_REFRESH_MS);
+		return () => clearInterval(timer);
+	}, [load, live]);
+
+	const name = (candidateId) =>
+		election.contests
+			.flatMap((contest) => contest.candidates)
+			.find((candidate) => candidate.id === candidateId)?.name || "Unknown candidate";
+
+	const announce = async (contestId) => {
+		await onAnnounce(election.id, contestId);
+		await load();
+	};
+
+	const turnout = data && (live ? data : { ...data, ...data.turnout });
+
+	return (
+		<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+			<motion.div
+				initial={{ opacity: 0, scale: 0.95 }}
+				animate={{ opacity: 1, scale: 1 }}
+				className="bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+				<div className="p-6">
+					<div className="flex items-center justify-between mb-2">
+						<h2 className="text-xl font-bold text-gray-900">
+							{live ? "Turnout" : "Results"}: {election.title}
+						</h2>
+						<button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+							✕
+						</button>
+					</div>
+
+					{error && <p className="text-sm text-red-700 bg-red-50 rounded-lg px-3 py-2 mb-4">{error}</p>}
+					{!data && !error && <p className="text-sm text-gray-600">Loading…</p>}
+
+					{data && live && (
+						<p className="text-sm text-gray-600 mb-4 flex items-center">
+							Voting is open, so only turnout is shown. Updated{" "}
+							{new Date(data.asOf).toLocaleTimeString()}
+							<button
+								onClick={load}
+								title="Refresh"
+								className="ml-2 text-blue-600 hover:text-blue-800">
+								<RefreshCw className="w-4 h-4" />
+							</button>
+						</p>
+					)}
+
+					{data && !live && (onDownloadBulletin || onDownloadExport) && (
+						<div className="flex flex-wrap gap-4 mb-4">
+							{onDownloadBulletin && (
+								<button
+									onClick={onDownloadBulletin}
+									className="text-sm text-blue-600 hover:text-blue-800 inline-flex items-center">
+									<Download className="w-4 h-4 mr-1" />
+									Download ballot bulletin
+								</button>
+							)}
+							{onDownloadExport && (
+								<button
+									onClick={onDownloadExport}
+									title="Ballots, results and the audit log with a signed manifest"
+									className="text-sm text-blue-600 hover:text-blue-800 inline-flex items-center">
+									<FileCheck className="w-4 h-4 mr-1" />
+									Download audit export
+								</button>
+							)}
+						</div>
+					)}
+
+					{turnout && <TurnoutSection turnout={turnout} />}
+
+					{data && !live && (
+						<>
+							{data.results.length === 0 && (
+								<p className="text-sm text-gray-600">No results have been announced yet.</p>
+							)}
+							{data.results.some((result) => result.ties.length > 0) && (
+								<p className="text-xs text-gray-500 mb-2">
+									Ties the count can't separate are settled by{" "}
+									{tieBreakLabels[data.tieBreakPolicy] || data.tieBreakPolicy}.
+								</p>
+							)}
+							{data.results.map((result) => (
+								<ContestResult
+									key={result.contest}
+									result={result}
+									ballotLabel={ballotLabel}
+									name={name}
+									canAnnounce={canAnnounce}
+									onAnnounce={announce}
+								/>
+							))}
+						</>
+					)}
+				</div>
+			</motion.div>
+		</div>
+	);
+}
\ No newline at end of file
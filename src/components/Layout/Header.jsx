@@ -2,13 +2,13 @@
 
 import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
-import { Menu, X, User, LogOut } from "lucide-react";
+import { Menu, X, User, LogOut, MonitorX } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
 import "../../app.css";
 
 export function Header() {
 	const [isMenuOpen, setIsMenuOpen] = useState(false);
-	const { user, logout } = useAuth();
+	const { user, logout, logoutAllDevices } = useAuth();
 	const navigate = useNavigate();
 
 	const handleLogout = () => {
@@ -16,6 +16,11 @@ export function Header() {
 		navigate("/");
 	};
 
+	const handleLogoutAll = () => {
+		logoutAllDevices();
+		navigate("/");
+	};
+
 	const navigation = [
 		{ name: "Home", href: "/" },
 		{ name: "About", href: "/about" },
@@ -129,6 +134,12 @@ export function Header() {
 									<LogOut className="w-5 h-5" />
 									<span className="hidden sm:inline">Logout</span>
 								</button>
+								<button
+									onClick={handleLogoutAll}
+									title="Log out of all devices"
+									className="flex items-center text-gray-500 hover:text-red-600">
+									<MonitorX className="w-5 h-5" />
+								</button>
 							</div>
 						) : (
 							<Link
@@ -1,8 +1,16 @@
 import React from "react";
+import { useLocation } from "react-router-dom";
 import { Header } from "./Header";
 import { Footer } from "./Footer";
 
 export function Layout({ children }) {
+  const location = useLocation();
+
+  // Polling-station kiosks are handed to voters, so they get no site navigation
+  if (location.pathname.endsWith("/kiosk")) {
+    return <div className="min-h-screen bg-gray-50">{children}</div>;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       <Header />
@@ -12,15 +12,28 @@ import {
 	Filter,
 	Search,
 	Upload,
+	Inbox,
+	ArrowRightLeft,
+	Paperclip,
+	Lock,
+	Star,
+	RotateCcw,
+	EyeOff,
+	KeyRound,
+	ThumbsUp,
+	Users,
+	GitMerge,
+	History,
 } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
-import { generateCaseId } from "../../data/mockData";
 import { apiService } from "../../services/api";
+import { services } from "../../data/Services";
 import { motion } from "framer-motion";
 import toast from "react-hot-toast";
 
 export function Complaints() {
-	const { user } = useAuth();
+	const { user, hasPermission } = useAuth();
+	const isOfficer = (user?.offices || []).length > 0;
 
 	const [selectedTab, setSelectedTab] = useState("all");
 	const [showNewComplaint, setShowNewComplaint] = useState(false);
@@ -31,15 +44,38 @@ export function Complaints() {
 	const [complaints, setComplaints] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [showDocumentUpload, setShowDocumentUpload] = useState(false);
-	const [documentFile, setDocumentFile] = useState(null);
+	const [documentFiles, setDocumentFiles] = useState([]);
+	const [uploadTarget, setUploadTarget] = useState(null);
+	const [isInternalNote, setIsInternalNote] = useState(false);
+	const [surveyRating, setSurveyRating] = useState(0);
+	const [surveyFeedback, setSurveyFeedback] = useState("");
+	const [reopenReason, setReopenReason] = useState("");
+	const [inboxComplaints, setInboxComplaints] = useState([]);
+	const [inboxPage, setInboxPage] = useState(1);
+	const [inboxPages, setInboxPages] = useState(1);
+	// Office picked for transfer, by complaint id
+	const [transferOffices, setTransferOffices] = useState({});
 
 	const [newComplaintForm, setNewComplaintForm] = useState({
 		title: "",
 		description: "",
 		category: "",
 		priority: "medium",
+		anonymous: false,
 		evidence: [],
 	});
+	// Case ID + follow-up code of a just-submitted anonymous complaint
+	const [followUpInfo, setFollowUpInfo] = useState(null);
+	const [showTrackCase, setShowTrackCase] = useState(false);
+	const [trackForm, setTrackForm] = useState({ caseId: "", followUpCode: "" });
+	const [trackedCase, setTrackedCase] = useState(null);
+	const [unsealReason, setUnsealReason] = useState("");
+	const [unsealedSubmitters, setUnsealedSubmitters] = useState({});
+	// Open cases the server thinks match the complaint being submitted
+	const [duplicateSuggestions, setDuplicateSuggestions] = useState([]);
+	const [mergeCaseIds, setMergeCaseIds] = useState("");
+	const [timeline, setTimeline] = useState([]);
+	const [resolutionSummary, setResolutionSummary] = useState("");
 
 	const complaintCategories = [
 		{ value: "academic", label: "Academic Affairs" },
@@ -54,12 +90,29 @@ export function Complaints() {
 		fetchComplaints();
 	}, []);
 
+	useEffect(() => {
+		if (selectedTab === "office") {
+			fetchInbox();
+		}
+	}, [selectedTab, inboxPage]);
+
+	useEffect(() => {
+		setTimeline([]);
+		if (selectedComplaint) {
+			fetchTimeline(selectedComplaint);
+		}
+	}, [selectedComplaint]);
+
+	// API documents carry _id; the list below keys on id
+	const withIds = (items) =>
+		items.map((complaint) => ({ ...complaint, id: complaint.id || complaint._id }));
+
 	const fetchComplaints = async () => {
 		try {
 			setLoading(true);
 			const data = await apiService.getComplaints();
 			// Ensure data is an array
-			setComplaints(Array.isArray(data) ? data : []);
+			setComplaints(Array.isArray(data) ? withIds(data) : []);
 		} catch (error) {
 			console.error("Failed to fetch complaints:", error);
 			toast.error("Failed to load complaints");
@@ -70,21 +123,133 @@ export function Complaints() {
 		}
 	};
 
-	const filteredComplaints = complaints.filter((complaint) => {
+	const fetchInbox = async () => {
+		try {
+			setLoading(true);
+			const data = await apiService.getComplaintInbox({ page: inboxPage });
+			setInboxComplaints(withIds(data.complaints || []));
+			setInboxPages(data.pages || 1);
+			// The last page can empty out when complaints leave the queue
+			if (inboxPage > 1 && inboxPage > data.pages) {
+				setInboxPage(Math.max(1, data.pages));
+			}
+		} catch (error) {
+			console.error("Failed to fetch office inbox:", error);
+			toast.error("Failed to load office inbox");
+			setInboxComplaints([]);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const fetchTimeline = async (complaintId) => {
+		try {
+			const data = await apiService.getComplaintTimeline(complaintId);
+			setTimeline(data.timeline || []);
+		} catch (error) {
+			console.error("Failed to fetch complaint timeline:", error);
+			setTimeline([]);
+		}
+	};
+
+	const refreshComplaints = async () => {
+		await fetchComplaints();
+		if (selectedTab === "office") {
+			await fetchInbox();
+		}
+		if (selectedComplaint) {
+			await fetchTimeline(selectedComplaint);
+		}
+	};
+
+	const fieldLabels = {
+		status: "Status",
+		priority: "Priority",
+		assignedTo: "Assignee",
+		branch: "Branch",
+		tags: "Tags",
+		office: "Office",
+	};
+
+	const formatChangeValue = (field, value) => {
+		if (value == null || (Array.isArray(value) && value.length === 0)) {
+			return "none";
+		}
+		if (field === "office") return getOfficeName(value);
+		if (field === "tags") return value.join(", ");
+		return String(value).replace("_", " ");
+	};
+
+	const handleCloseComplaint = async (complaintId) => {
+		if (!resolutionSummary.trim()) {
+			toast.error("A resolution summary is required to close a complaint");
+			return;
+		}
+
+		try {
+			await apiService.updateComplaintStatus(complaintId, "closed", {
+				resolutionSummary,
+			});
+			await refreshComplaints();
+			toast.success("Complaint closed");
+			setResolutionSummary("");
+		} catch (error) {
+			console.error("Failed to close complaint:", error);
+			toast.error(error.message || "Failed to close complaint");
+		}
+	};
+
+	const getOfficeName = (officeKey) =>
+		services.find((service) => service.officeKey === officeKey)?.nameEn ||
+		officeKey;
+
+	// Overdue against the next open SLA deadline
+	const isOverdue = (complaint) => {
+		if (!complaint.sla || !["submitted", "under_review"].includes(complaint.status)) {
+			return false;
+		}
+		const dueAt = complaint.sla.firstRespondedAt
+			? complaint.sla.resolutionDueAt
+			: complaint.sla.firstResponseDueAt;
+		return !!dueAt && new Date(dueAt) < new Date();
+	};
+
+	const isSubmitter = (complaint) =>
+		(complaint.submittedBy?._id || complaint.submittedBy) === user?.id;
+
+	const sourceComplaints =
+		selectedTab === "office" ? inboxComplaints : complaints;
+
+	const filteredComplaints = sourceComplaints.filter((complaint) => {
 		const matchesSearch =
 			complaint.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-			complaint.description.toLowerCase().includes(searchTerm.toLowerCase());
+			(complaint.description || "").toLowerCase().includes(searchTerm.toLowerCase()) ||
+			(complaint.caseId || "").toLowerCase().includes(searchTerm.toLowerCase());
 		const matchesStatus =
 			statusFilter === "all" || complaint.status === statusFilter;
 		const matchesTab =
 			selectedTab === "all" ||
-			(selectedTab === "my" && complaint.submittedBy === user?.id) ||
+			selectedTab === "office" ||
+			(selectedTab === "my" && isSubmitter(complaint)) ||
 			(selectedTab === "pending" && complaint.status === "submitted");
 		return matchesSearch && matchesStatus && matchesTab;
 	});
 
-	const handleSubmitComplaint = async (e) => {
-		e.preventDefault();
+	const resetNewComplaint = () => {
+		setShowNewComplaint(false);
+		setDuplicateSuggestions([]);
+		setNewComplaintForm({
+			title: "",
+			description: "",
+			category: "",
+			priority: "medium",
+			anonymous: false,
+			evidence: [],
+		});
+	};
+
+	const handleSubmitComplaint = async (e, skipDuplicateCheck = false) => {
+		e?.preventDefault();
 		if (!newComplaintForm.title || !newComplaintForm.description) {
 			toast.error("Please fill all required fields");
 			return;
@@ -94,25 +259,120 @@ export function Complaints() {
 			const complaintData = {
 				...newComplaintForm,
 				branch: newComplaintForm.category,
+				skipDuplicateCheck,
 			};
 
-			await apiService.createComplaint(complaintData);
+			const response = await apiService.createComplaint(complaintData);
 			await fetchComplaints(); // Refresh the complaints list
 			toast.success("Complaint submitted successfully!");
+			if (response.followUpCode) {
+				setFollowUpInfo({
+					caseId: response.complaint.caseId,
+					followUpCode: response.followUpCode,
+				});
+			}
 		} catch (error) {
+			if (error.status === 409 && error.data?.duplicates) {
+				setDuplicateSuggestions(error.data.duplicates);
+				return;
+			}
 			console.error('Failed to submit complaint:', error);
 			toast.error("Failed to submit complaint");
 			return;
 		}
 
-		setShowNewComplaint(false);
-		setNewComplaintForm({
-			title: "",
-			description: "",
-			category: "",
-			priority: "medium",
-			evidence: [],
-		});
+		resetNewComplaint();
+	};
+
+	const handleSupport = async (complaintId) => {
+		try {
+			const response = await apiService.supportComplaint(complaintId);
+			await fetchComplaints();
+			toast.success(`Added to ${response.caseId}`);
+			resetNewComplaint();
+		} catch (error) {
+			console.error("Failed to support complaint:", error);
+			toast.error(error.message || "Failed to support complaint");
+		}
+	};
+
+	const handleSuggestDuplicates = async (complaintId) => {
+		try {
+			const response = await apiService.getComplaintDuplicates(complaintId);
+			if (response.duplicates.length === 0) {
+				toast("No likely duplicates found");
+				return;
+			}
+			setMergeCaseIds(response.duplicates.map((d) => d.caseId).join(", "));
+		} catch (error) {
+			console.error("Failed to fetch duplicates:", error);
+			toast.error(error.message || "Failed to fetch duplicates");
+		}
+	};
+
+	const handleMerge = async (complaintId) => {
+		const caseIds = mergeCaseIds
+			.split(",")
+			.map((caseId) => caseId.trim())
+			.filter(Boolean);
+		if (caseIds.length === 0) {
+			toast.error("Enter the case IDs to merge");
+			return;
+		}
+
+		try {
+			const response = await apiService.mergeComplaints(complaintId, caseIds);
+			await refreshComplaints();
+			toast.success(response.message);
+			setMergeCaseIds("");
+		} catch (error) {
+			console.error("Failed to merge complaints:", error);
+			toast.error(error.message || "Failed to merge complaints");
+		}
+	};
+
+	const handleTrackCase = async (e) => {
+		e.preventDefault();
+		try {
+			const response = await apiService.trackComplaint(
+				trackForm.caseId,
+				trackForm.followUpCode
+			);
+			setTrackedCase(response.complaint);
+		} catch (error) {
+			console.error("Failed to track complaint:", error);
+			setTrackedCase(null);
+			toast.error(error.message || "Failed to track complaint");
+		}
+	};
+
+	const closeTrackCase = () => {
+		setShowTrackCase(false);
+		setTrackedCase(null);
+		setTrackForm({ caseId: "", followUpCode: "" });
+	};
+
+	const handleUnseal = async (complaintId) => {
+		if (!unsealReason.trim()) {
+			toast.error("A reason is required to unseal a submitter");
+			return;
+		}
+
+		try {
+			const response = await apiService.unsealComplaint(
+				complaintId,
+				unsealReason
+			);
+			setUnsealedSubmitters({
+				...unsealedSubmitters,
+				[complaintId]: response.submitter,
+			});
+			setUnsealReason("");
+			toast.success(response.message);
+		} catch (error) {
+			console.error("Failed to unseal complaint:", error);
+			toast.error(error.message || "Failed to unseal complaint");
+		}
 	};
 
 	const handleSendResponse = (complaintId) => {
@@ -121,11 +381,13 @@ export function Complaints() {
 		const sendResponse = async () => {
 			try {
 				await apiService.addComplaintResponse(complaintId, {
-					message: responseMessage
+					message: responseMessage,
+					internal: isInternalNote,
 				});
-				await fetchComplaints();
-				toast.success("Response sent");
+				await refreshComplaints();
+				toast.success(isInternalNote ? "Internal note added" : "Response sent");
 				setResponseMessage("");
+				setIsInternalNote(false);
 			} catch (error) {
 				console.error('Failed to send response:', error);
 				toast.error("Failed to send response");
@@ -135,45 +397,149 @@ export function Complaints() {
 		sendResponse();
 	};
 
-	const handleDocumentUpload = (e) => {
-		e.preventDefault();
-		if (!documentFile) {
-			toast.error("Please select a document to upload");
+	const handleTransfer = async (complaintId) => {
+		const transferOffice = transferOffices[complaintId];
+		if (!transferOffice) {
+			toast.error("Please select an office");
 			return;
 		}
 
-		if (
-			!user?.isAdmin ||
-			(user?.role !== "president" && user?.role !== "student_din")
-		) {
-			toast.error("Only branch admins can upload documents");
+		try {
+			const response = await apiService.transferComplaint(
+				complaintId,
+				transferOffice
+			);
+			await refreshComplaints();
+			toast.success(response.message || "Complaint transferred");
+			setTransferOffices({ ...transferOffices, [complaintId]: "" });
+		} catch (error) {
+			console.error("Failed to transfer complaint:", error);
+			toast.error(error.message || "Failed to transfer complaint");
+		}
+	};
+
+	// Evidence is shared only between the submitter and the assigned officer
+	const canAccessEvidence = (complaint) =>
+		[complaint.submittedBy, complaint.assignedTo].some(
+			(person) => person && (person._id || person) === user?.id
+		);
+
+	const awaitingRating = (complaint) =>
+		isSubmitter(complaint) &&
+		["resolved", "closed"].includes(complaint.status) &&
+		!complaint.ratedAt;
+
+	// Next statuses the server allows this user to move the complaint to
+	const canMoveTo = (complaint, status) =>
+		(complaint.allowedTransitions || []).includes(status);
+
+	const canReopen = (complaint) =>
+		complaint.status === "resolved" && canMoveTo(complaint, "under_review");
+
+	const handleSubmitSurvey = async (complaintId) => {
+		if (!surveyRating) {
+			toast.error("Please choose a rating");
 			return;
 		}
 
-		// Simulate document upload
-		toast.success("Document uploaded successfully to Student Din/President");
-		setDocumentFile(null);
-		setShowDocumentUpload(false);
+		try {
+			const response = await apiService.submitComplaintFeedback(
+				complaintId,
+				surveyRating,
+				surveyFeedback
+			);
+			await refreshComplaints();
+			toast.success(response.message || "Thank you for your feedback");
+			setSurveyRating(0);
+			setSurveyFeedback("");
+		} catch (error) {
+			console.error("Failed to submit feedback:", error);
+			toast.error(error.message || "Failed to submit feedback");
+		}
 	};
 
-	const resolveComplaint = (complaintId) => {
-		if (!user?.isAdmin || user?.role !== "admin") {
-			toast.error("Only admins can resolve complaints");
+	const handleReopen = async (complaintId) => {
+		if (!reopenReason.trim()) {
+			toast.error("Please tell us why the complaint is not resolved");
 			return;
 		}
 
-		const updateStatus = async () => {
-			try {
-				await apiService.updateComplaintStatus(complaintId, "resolved");
-				await fetchComplaints();
-				toast.success("Complaint resolved successfully");
-			} catch (error) {
-				console.error('Failed to resolve complaint:', error);
-				toast.error("Failed to resolve complaint");
-			}
-		};
+		try {
+			const response = await apiService.reopenComplaint(
+				complaintId,
+				reopenReason
+			);
+			await refreshComplaints();
+			toast.success(response.message || "Complaint reopened");
+			setReopenReason("");
+		} catch (error) {
+			console.error("Failed to reopen complaint:", error);
+			toast.error(error.message || "Failed to reopen complaint");
+		}
+	};
+
+	const responseStyle = (response) =>
+		response.visibility === "internal"
+			? "bg-yellow-50 border border-yellow-200"
+			: response.isOfficial
+			? "bg-blue-50"
+			: "bg-gray-50";
+
+	const openDocumentUpload = (complaintId) => {
+		setUploadTarget(complaintId);
+		setDocumentFiles([]);
+		setShowDocumentUpload(true);
+	};
+
+	const handleDocumentUpload = async (e) => {
+		e.preventDefault();
+		if (documentFiles.length === 0) {
+			toast.error("Please select a document to upload");
+			return;
+		}
+
+		try {
+			const response = await apiService.uploadComplaintEvidence(
+				uploadTarget,
+				documentFiles
+			);
+			await refreshComplaints();
+			toast.success(response.message || "Evidence uploaded successfully");
+			setDocumentFiles([]);
+			setShowDocumentUpload(false);
+		} catch (error) {
+			console.error("Failed to upload evidence:", error);
+			toast.error(error.message || "Failed to upload evidence");
+		}
+	};
 
-		updateStatus();
+	const handleEvidenceDownload = async (complaintId, file) => {
+		try {
+			const blob = await apiService.downloadComplaintEvidence(
+				complaintId,
+				file._id
+			);
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement("a");
+			link.href = url;
+			link.download = file.originalName;
+			link.click();
+			URL.revokeObjectURL(url);
+		} catch (error) {
+			console.error("Failed to download evidence:", error);
+			toast.error(error.message || "Failed to download evidence");
+		}
+	};
+
+	const changeStatus = async (complaintId, status, successMessage) => {
+		try {
+			await apiService.updateComplaintStatus(complaintId, status);
+			await refreshComplaints();
+			toast.success(successMessage);
+		} catch (error) {
+			console.error("Failed to update complaint status:", error);
+			toast.error(error.message || "Failed to update complaint status");
+		}
 	};
 
 	const getStatusIcon = (status) => {
@@ -250,16 +616,14 @@ export function Complaints() {
 						</p>
 					</div>
 					<div className="flex space-x-4">
-						{user?.isAdmin && (
-							<motion.button
-								whileHover={{ scale: 1.02 }}
-								whileTap={{ scale: 0.98 }}
-								onClick={() => setShowDocumentUpload(true)}
-								className="px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 transition-colors">
-								<Upload className="w-4 h-4 inline mr-2" />
-								Upload Document
-							</motion.button>
-						)}
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={() => setShowTrackCase(true)}
+							className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors">
+							<KeyRound className="w-4 h-4 inline mr-2" />
+							Track Anonymous Case
+						</motion.button>
 						<motion.button
 							whileHover={{ scale: 1.02 }}
 							whileTap={{ scale: 0.98 }}
@@ -300,7 +664,7 @@ export function Complaints() {
 					</div>
 
 					<div className="flex gap-2">
-						{["all", "my", "pending"].map((tab) => (
+						{["all", "my", "pending", ...(isOfficer ? ["office"] : [])].map((tab) => (
 							<button
 								key={tab}
 								onClick={() => setSelectedTab(tab)}
@@ -313,6 +677,8 @@ export function Complaints() {
 									? "All"
 									: tab === "my"
 									? "My Complaints"
+									: tab === "office"
+									? "My Office"
 									: "Pending"}
 							</button>
 						))}
@@ -333,10 +699,15 @@ export function Complaints() {
 								className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
 								<div className="flex justify-between">
 									<div>
+										<p className="text-xs font-mono text-gray-500">
+											{complaint.caseId}
+										</p>
 										<h3 className="text-lg font-semibold text-gray-900">
 											{complaint.title}
 										</h3>
-										<p className="text-gray-600">{complaint.description}</p>
+										{complaint.description && (
+											<p className="text-gray-600">{complaint.description}</p>
+										)}
 										<div className="flex gap-2 mt-2 text-sm">
 											<span
 												className={`px-2 py-1 rounded-full flex items-center ${getStatusColor(
@@ -353,15 +724,76 @@ export function Complaints() {
 												)}`}>
 												{complaint.priority} priority
 											</span>
+											{complaint.office && (
+												<span className="px-2 py-1 rounded-full bg-indigo-100 text-indigo-800 flex items-center">
+													<Inbox className="w-4 h-4 mr-1" />
+													{getOfficeName(complaint.office)}
+												</span>
+											)}
+											{complaint.watcherCount > 0 && (
+												<span className="px-2 py-1 rounded-full bg-teal-100 text-teal-800 flex items-center">
+													<Users className="w-4 h-4 mr-1" />+{complaint.watcherCount}{" "}
+													affected
+												</span>
+											)}
+											{complaint.isWatching && (
+												<span className="px-2 py-1 rounded-full bg-teal-100 text-teal-800">
+													Following
+												</span>
+											)}
+											{complaint.mergedInto && (
+												<span className="px-2 py-1 rounded-full bg-gray-100 text-gray-800 flex items-center">
+													<GitMerge className="w-4 h-4 mr-1" />
+													Merged
+												</span>
+											)}
+											{complaint.isAnonymous && (
+												<span className="px-2 py-1 rounded-full bg-gray-100 text-gray-800 flex items-center">
+													<EyeOff className="w-4 h-4 mr-1" />
+													Anonymous
+												</span>
+											)}
+											{awaitingRating(complaint) && (
+												<span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-800 flex items-center">
+													<Star className="w-4 h-4 mr-1" />
+													Rate the outcome
+												</span>
+											)}
+											{isOverdue(complaint) ? (
+												<span className="px-2 py-1 rounded-full bg-red-100 text-red-800 flex items-center">
+													<AlertCircle className="w-4 h-4 mr-1" />
+													Overdue
+												</span>
+											) : (
+												complaint.sla?.resolutionDueAt &&
+												["submitted", "under_review"].includes(complaint.status) && (
+													<span className="text-gray-500 flex items-center">
+														<Clock className="w-4 h-4 mr-1" />
+														Due {new Date(complaint.sla.resolutionDueAt).toLocaleDateString()}
+													</span>
+												)
+											)}
 											<span className="text-gray-500">
 												{new Date(complaint.submittedAt).toLocaleDateString()}
 											</span>
 										</div>
 									</div>
 									<div className="flex items-center space-x-2">
-										{user?.isAdmin && complaint.status !== "resolved" && (
+										{complaint.status === "submitted" &&
+											canMoveTo(complaint, "under_review") && (
+												<button
+													onClick={() =>
+														changeStatus(complaint.id, "under_review", "Complaint is now under review")
+													}
+													className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 transition-colors">
+													Start Review
+												</button>
+											)}
+										{canMoveTo(complaint, "resolved") && (
 											<button
-												onClick={() => resolveComplaint(complaint.id)}
+												onClick={() =>
+													changeStatus(complaint.id, "resolved", "Complaint resolved successfully")
+												}
 												className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 transition-colors">
 												Resolve
 											</button>
@@ -385,11 +817,33 @@ export function Complaints() {
 										<h4 className="font-semibold text-gray-800 mb-2">
 											Responses:
 										</h4>
+										{complaint.followerView && (
+											<p className="text-sm text-gray-500 mb-2">
+												You are following this complaint. Only the submitter and the
+												officers handling it see the conversation.
+											</p>
+										)}
 										{complaint.responses &&
 											complaint.responses.map((r) => (
-												<div key={r.id} className="bg-gray-50 rounded p-3 mb-2">
+												<div
+													key={r._id}
+													className={`rounded p-3 mb-2 ${responseStyle(r)}`}>
 													<div className="flex justify-between text-sm">
-														<span className="font-medium">{r.author}</span>
+														<span className="font-medium flex items-center">
+															{r.author}
+															{r.visibility === "internal" ? (
+																<span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs flex items-center">
+																	<Lock className="w-3 h-3 mr-1" />
+																	Internal note
+																</span>
+															) : (
+																r.isOfficial && (
+																	<span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs">
+																		Official
+																	</span>
+																)
+															)}
+														</span>
 														<span className="text-gray-500">
 															{new Date(r.timestamp).toLocaleDateString()}
 														</span>
@@ -398,26 +852,316 @@ export function Complaints() {
 												</div>
 											))}
 
-										{user?.isAdmin && (
+										{(canAccessEvidence(complaint) ||
+											(complaint.followerView && (complaint.evidence || []).length > 0)) && (
+											<div className="mt-4">
+												<div className="flex items-center justify-between mb-2">
+													<h4 className="font-semibold text-gray-800">
+														{complaint.followerView ? "Your evidence:" : "Evidence:"}
+													</h4>
+													{canAccessEvidence(complaint) && (
+														<button
+															onClick={() => openDocumentUpload(complaint.id)}
+															className="text-green-600 hover:underline text-sm flex items-center">
+															<Upload className="w-4 h-4 mr-1" />
+															Upload Document
+														</button>
+													)}
+												</div>
+												{(complaint.evidence || []).length === 0 ? (
+													<p className="text-sm text-gray-500">No files attached</p>
+												) : (
+													complaint.evidence.map((file) => (
+														<button
+															key={file._id}
+															onClick={() => handleEvidenceDownload(complaint.id, file)}
+															className="flex items-center text-sm text-blue-600 hover:underline mb-1">
+															<Paperclip className="w-4 h-4 mr-1" />
+															{file.originalName}
+															<span className="text-gray-500 ml-2">
+																({Math.ceil(file.size / 1024)} KB)
+															</span>
+														</button>
+													))
+												)}
+											</div>
+										)}
+
+										{hasPermission("complaints:merge") &&
+											!complaint.mergedInto &&
+											complaint.status !== "closed" && (
+												<div className="flex gap-2 mt-4">
+													<input
+														type="text"
+														value={mergeCaseIds}
+														onChange={(e) => setMergeCaseIds(e.target.value)}
+														className="flex-1 border border-gray-300 rounded px-3 py-2"
+														placeholder="Duplicate case IDs to merge, comma-separated"
+													/>
+													<button
+														onClick={() => handleSuggestDuplicates(complaint.id)}
+														className="border border-gray-300 text-gray-700 px-4 py-2 rounded">
+														Suggest
+													</button>
+													<button
+														onClick={() => handleMerge(complaint.id)}
+														className="bg-gray-800 text-white px-4 py-2 rounded flex items-center">
+														<GitMerge className="w-4 h-4 mr-1" />
+														Merge
+													</button>
+												</div>
+											)}
+
+										{hasPermission("complaints:assign") && (
+											<div className="flex gap-2 mt-4">
+												<select
+													value={transferOffices[complaint.id] || ""}
+													onChange={(e) =>
+														setTransferOffices({
+															...transferOffices,
+															[complaint.id]: e.target.value,
+														})
+													}
+													className="flex-1 border border-gray-300 rounded px-3 py-2">
+													<option value="">Transfer to office...</option>
+													{services
+														.filter((service) => service.officeKey !== complaint.office)
+														.map((service) => (
+															<option key={service.officeKey} value={service.officeKey}>
+																{service.nameEn}
+															</option>
+														))}
+												</select>
+												<button
+													onClick={() => handleTransfer(complaint.id)}
+													className="bg-indigo-600 text-white px-4 py-2 rounded flex items-center">
+													<ArrowRightLeft className="w-4 h-4 mr-1" />
+													Transfer
+												</button>
+											</div>
+										)}
+
+										{complaint.isAnonymous &&
+											!isSubmitter(complaint) &&
+											hasPermission("complaints:unseal") && (
+												<div className="mt-4 bg-gray-50 border border-gray-200 rounded p-4">
+													<h4 className="font-semibold text-gray-800 mb-2 flex items-center">
+														<EyeOff className="w-4 h-4 mr-1" />
+														Sealed submitter
+													</h4>
+													{unsealedSubmitters[complaint.id] ? (
+														<p className="text-sm text-gray-700">
+															{unsealedSubmitters[complaint.id].name} (
+															{unsealedSubmitters[complaint.id].username},{" "}
+															{unsealedSubmitters[complaint.id].email})
+														</p>
+													) : (
+														<div className="flex gap-2">
+															<input
+																type="text"
+																value={unsealReason}
+																onChange={(e) => setUnsealReason(e.target.value)}
+																className="flex-1 border border-gray-300 rounded px-3 py-2"
+																placeholder="Reason for unsealing (recorded)"
+															/>
+															<button
+																onClick={() => handleUnseal(complaint.id)}
+																className="bg-gray-800 text-white px-4 py-2 rounded">
+																Unseal
+															</button>
+														</div>
+													)}
+													{(complaint.unsealHistory || []).length > 0 && (
+														<p className="text-xs text-gray-500 mt-2">
+															Unsealed {complaint.unsealHistory.length} time(s) before
+														</p>
+													)}
+												</div>
+											)}
+
+										{awaitingRating(complaint) && (
+											<div className="mt-4 bg-yellow-50 border border-yellow-200 rounded p-4">
+												<h4 className="font-semibold text-gray-800 mb-2">
+													How satisfied are you with the outcome?
+												</h4>
+												<div className="flex space-x-1 mb-3">
+													{[1, 2, 3, 4, 5].map((value) => (
+														<button
+															key={value}
+															type="button"
+															onClick={() => setSurveyRating(value)}
+															aria-label={`${value} star${value > 1 ? "s" : ""}`}>
+															<Star
+																className={`w-6 h-6 ${
+																	value <= surveyRating
+																		? "text-yellow-500 fill-yellow-500"
+																		: "text-gray-300"
+																}`}
+															/>
+														</button>
+													))}
+												</div>
+												<textarea
+													value={surveyFeedback}
+													onChange={(e) => setSurveyFeedback(e.target.value)}
+													rows={2}
+													className="w-full border border-gray-300 rounded px-3 py-2 mb-3"
+													placeholder="Anything you'd like to add? (optional)"
+												/>
+												<button
+													onClick={() => handleSubmitSurvey(complaint.id)}
+													className="bg-yellow-500 text-white px-4 py-2 rounded hover:bg-yellow-600">
+													Submit Rating
+												</button>
+											</div>
+										)}
+
+										{complaint.ratedAt && isSubmitter(complaint) && (
+											<p className="mt-4 text-sm text-gray-600 flex items-center">
+												<Star className="w-4 h-4 mr-1 text-yellow-500 fill-yellow-500" />
+												You rated this outcome {complaint.satisfactionRating}/5
+											</p>
+										)}
+
+										{canReopen(complaint) && (
+											<div className="flex gap-2 mt-4">
+												<input
+													type="text"
+													value={reopenReason}
+													onChange={(e) => setReopenReason(e.target.value)}
+													className="flex-1 border border-gray-300 rounded px-3 py-2"
+													placeholder="Not resolved? Tell us why..."
+												/>
+												<button
+													onClick={() => handleReopen(complaint.id)}
+													className="bg-orange-600 text-white px-4 py-2 rounded flex items-center">
+													<RotateCcw className="w-4 h-4 mr-1" />
+													Reopen
+												</button>
+											</div>
+										)}
+
+										{complaint.status !== "closed" &&
+											(isSubmitter(complaint) ||
+												hasPermission("complaints:respond")) && (
+												<div className="mt-4">
+													<div className="flex gap-2">
+														<input
+															type="text"
+															value={responseMessage}
+															onChange={(e) => setResponseMessage(e.target.value)}
+															className="flex-1 border border-gray-300 rounded px-3 py-2"
+															placeholder={
+																isSubmitter(complaint)
+																	? "Reply to the officer..."
+																	: "Write a response..."
+															}
+														/>
+														<button
+															onClick={() => handleSendResponse(complaint.id)}
+															className="bg-blue-600 text-white px-4 py-2 rounded">
+															<Send className="w-4 h-4" />
+														</button>
+													</div>
+													{!isSubmitter(complaint) && (
+														<label className="flex items-center text-sm text-gray-600 mt-2">
+															<input
+																type="checkbox"
+																checked={isInternalNote}
+																onChange={(e) => setIsInternalNote(e.target.checked)}
+																className="mr-2"
+															/>
+															Internal note (hidden from the student)
+														</label>
+													)}
+												</div>
+											)}
+
+										{canMoveTo(complaint, "closed") && (
 											<div className="flex gap-2 mt-4">
 												<input
 													type="text"
-													value={responseMessage}
-													onChange={(e) => setResponseMessage(e.target.value)}
+													value={resolutionSummary}
+													onChange={(e) => setResolutionSummary(e.target.value)}
 													className="flex-1 border border-gray-300 rounded px-3 py-2"
-													placeholder="Write a response..."
+													placeholder="Resolution summary..."
 												/>
 												<button
-													onClick={() => handleSendResponse(complaint.id)}
-													className="bg-blue-600 text-white px-4 py-2 rounded">
-													<Send className="w-4 h-4" />
+													onClick={() => handleCloseComplaint(complaint.id)}
+													className="bg-gray-600 text-white px-4 py-2 rounded">
+													Close Case
 												</button>
 											</div>
 										)}
+
+										{complaint.resolutionSummary && (
+											<p className="mt-4 text-sm text-gray-700">
+												<span className="font-medium">Resolution: </span>
+												{complaint.resolutionSummary}
+											</p>
+										)}
+
+										{timeline.length > 0 && (
+											<div className="mt-6">
+												<h4 className="font-semibold text-gray-800 mb-3 flex items-center">
+													<History className="w-4 h-4 mr-1" />
+													History
+												</h4>
+												<ol className="relative border-l border-gray-200 ml-2">
+													{timeline.map((event) => (
+														<li key={event._id} className="mb-4 ml-4">
+															<div className="absolute w-3 h-3 bg-blue-500 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+															<p className="text-xs text-gray-500">
+																{new Date(event.createdAt).toLocaleString()} ·{" "}
+																{event.actor?.name || "System"}
+															</p>
+															{event.type === "created" ? (
+																<p className="text-sm text-gray-800">Complaint submitted</p>
+															) : (
+																event.changes.map((change) => (
+																	<p key={change.field} className="text-sm text-gray-800">
+																		{fieldLabels[change.field]}:{" "}
+																		{formatChangeValue(change.field, change.from)} →{" "}
+																		<span className="font-medium">
+																			{formatChangeValue(change.field, change.to)}
+																		</span>
+																	</p>
+																))
+															)}
+															{event.reason && (
+																<p className="text-sm text-gray-600 italic">
+																	{event.reason}
+																</p>
+															)}
+														</li>
+													))}
+												</ol>
+											</div>
+										)}
 									</div>
 								)}
 							</div>
 						))}
+
+						{selectedTab === "office" && inboxPages > 1 && (
+							<div className="flex items-center justify-center gap-4">
+								<button
+									onClick={() => setInboxPage(inboxPage - 1)}
+									disabled={inboxPage <= 1}
+									className="border border-gray-300 text-gray-700 px-4 py-2 rounded disabled:opacity-50">
+									Previous
+								</button>
+								<span className="text-sm text-gray-600">
+									Page {inboxPage} of {inboxPages}
+								</span>
+								<button
+									onClick={() => setInboxPage(inboxPage + 1)}
+									disabled={inboxPage >= inboxPages}
+									className="border border-gray-300 text-gray-700 px-4 py-2 rounded disabled:opacity-50">
+									Next
+								</button>
+							</div>
+						)}
 					</div>
 				)}
 
@@ -520,20 +1264,194 @@ export function Complaints() {
 										/>
 									</div>
 
+									<label className="flex items-start text-sm text-gray-700">
+										<input
+											type="checkbox"
+											checked={newComplaintForm.anonymous}
+											onChange={(e) =>
+												setNewComplaintForm({
+													...newComplaintForm,
+													anonymous: e.target.checked,
+												})
+											}
+											className="mr-2 mt-1"
+										/>
+										<span>
+											Submit anonymously. Officers will not see your name; you
+											will get a follow-up code to track the case.
+										</span>
+									</label>
+
+									{duplicateSuggestions.length > 0 && (
+										<div className="bg-teal-50 border border-teal-200 rounded-lg p-4">
+											<p className="font-medium text-gray-900 mb-2">
+												Is this the same issue? Add yourself to an open case
+												instead of filing a new one.
+											</p>
+											{duplicateSuggestions.map((duplicate) => (
+												<div
+													key={duplicate._id}
+													className="flex items-center justify-between py-2 border-b border-teal-100 last:border-0">
+													<div>
+														<p className="text-sm font-medium text-gray-900">
+															{duplicate.title}
+														</p>
+														<p className="text-xs text-gray-500">
+															{duplicate.caseId} · {duplicate.affected} affected ·{" "}
+															{duplicate.status.replace("_", " ")}
+														</p>
+													</div>
+													<button
+														type="button"
+														onClick={() => handleSupport(duplicate._id)}
+														className="px-3 py-1 bg-teal-600 text-white rounded flex items-center text-sm">
+														<ThumbsUp className="w-4 h-4 mr-1" />
+														+1
+													</button>
+												</div>
+											))}
+										</div>
+									)}
+
 									<div className="flex justify-end space-x-3">
 										<button
 											type="button"
-											onClick={() => setShowNewComplaint(false)}
+											onClick={resetNewComplaint}
 											className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
 											Cancel
 										</button>
+										{duplicateSuggestions.length > 0 ? (
+											<button
+												type="button"
+												onClick={() => handleSubmitComplaint(null, true)}
+												className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+												Submit Mine Anyway
+											</button>
+										) : (
+											<button
+												type="submit"
+												className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+												Submit Complaint
+											</button>
+										)}
+									</div>
+								</form>
+							</div>
+						</motion.div>
+					</div>
+				)}
+
+				{/* Follow-up Code Modal */}
+				{followUpInfo && (
+					<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+						<motion.div
+							initial={{ opacity: 0, scale: 0.95 }}
+							animate={{ opacity: 1, scale: 1 }}
+							className="bg-white rounded-2xl max-w-md w-full">
+							<div className="p-6 space-y-4">
+								<h2 className="text-xl font-bold text-gray-900">
+									Save your follow-up code
+								</h2>
+								<p className="text-sm text-gray-600">
+									Your complaint was submitted anonymously. Keep these details;
+									the code is shown only once.
+								</p>
+								<div className="bg-gray-50 rounded-lg p-4 font-mono text-sm">
+									<p>Case ID: {followUpInfo.caseId}</p>
+									<p>Follow-up code: {followUpInfo.followUpCode}</p>
+								</div>
+								<div className="flex justify-end">
+									<button
+										onClick={() => setFollowUpInfo(null)}
+										className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+										I have saved it
+									</button>
+								</div>
+							</div>
+						</motion.div>
+					</div>
+				)}
+
+				{/* Track Anonymous Case Modal */}
+				{showTrackCase && (
+					<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+						<motion.div
+							initial={{ opacity: 0, scale: 0.95 }}
+							animate={{ opacity: 1, scale: 1 }}
+							className="bg-white rounded-2xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+							<div className="p-6">
+								<div className="flex items-center justify-between mb-6">
+									<h2 className="text-xl font-bold text-gray-900">
+										Track Anonymous Case
+									</h2>
+									<button
+										onClick={closeTrackCase}
+										className="text-gray-400 hover:text-gray-600">
+										✕
+									</button>
+								</div>
+
+								<form onSubmit={handleTrackCase} className="space-y-4">
+									<input
+										type="text"
+										required
+										value={trackForm.caseId}
+										onChange={(e) =>
+											setTrackForm({ ...trackForm, caseId: e.target.value })
+										}
+										className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+										placeholder="Case ID"
+									/>
+									<input
+										type="text"
+										required
+										value={trackForm.followUpCode}
+										onChange={(e) =>
+											setTrackForm({ ...trackForm, followUpCode: e.target.value })
+										}
+										className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono"
+										placeholder="Follow-up code"
+									/>
+									<div className="flex justify-end">
 										<button
 											type="submit"
 											className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
-											Submit Complaint
+											Track
 										</button>
 									</div>
 								</form>
+
+								{trackedCase && (
+									<div className="mt-6 border-t pt-4">
+										<h3 className="font-semibold text-gray-900">
+											{trackedCase.title}
+										</h3>
+										<div className="flex items-center space-x-2 text-sm mt-2">
+											<span
+												className={`px-2 py-1 rounded-full ${getStatusColor(
+													trackedCase.status
+												)}`}>
+												{trackedCase.status.replace("_", " ")}
+											</span>
+											{trackedCase.office && (
+												<span className="text-gray-600">
+													{getOfficeName(trackedCase.office)}
+												</span>
+											)}
+										</div>
+										{trackedCase.responses.map((r, index) => (
+											<div key={index} className="bg-gray-50 rounded p-3 mt-2">
+												<div className="flex justify-between text-sm">
+													<span className="font-medium">{r.author}</span>
+													<span className="text-gray-500">
+														{new Date(r.timestamp).toLocaleDateString()}
+													</span>
+												</div>
+												<p className="text-gray-700 mt-1">{r.message}</p>
+											</div>
+										))}
+									</div>
+								)}
 							</div>
 						</motion.div>
 					</div>
@@ -565,15 +1483,16 @@ export function Complaints() {
 										</label>
 										<input
 											type="file"
-											onChange={(e) => setDocumentFile(e.target.files[0])}
+											multiple
+											onChange={(e) => setDocumentFiles(Array.from(e.target.files))}
 											className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-											accept=".pdf,.doc,.docx,.txt"
+											accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png,.webp"
 										/>
 									</div>
 
 									<p className="text-sm text-gray-600">
-										This document will be sent to Student Din and President for
-										review.
+										Up to 5 files, 5 MB each. Only you and the officer handling
+										this complaint can open them.
 									</p>
 
 									<div className="flex justify-end space-x-3">
@@ -11,31 +11,97 @@ import {
 	BarChart3,
 	Plus,
 	Trash2,
+	ShieldCheck,
+	Copy,
+	Download,
+	UserPlus,
+	ThumbsUp,
+	Monitor,
 } from "lucide-react";
 import { motion } from "framer-motion";
+import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { apiService } from "../../services/api";
+import { ElectionResults } from "../Elections/ElectionResults";
+import { BallotForm, ballotSelections, withIds } from "../Elections/BallotForm";
+import { CandidateQuestions } from "../Elections/CandidateQuestions";
 import toast from "react-hot-toast";
 
+const ballotTypes = [
+	{ value: "plurality", label: "Plurality", hint: "Most votes wins" },
+	{ value: "approval", label: "Approval", hint: "Approve any number of candidates" },
+	{ value: "ranked_choice", label: "Ranked choice", hint: "Instant runoff for one seat" },
+	{ value: "stv", label: "Single transferable vote", hint: "Ranked, several seats" },
+];
+
+const tieBreakPolicies = [
+	{ value: "lot", label: "Draw lots", hint: "a draw anyone can repeat from the published ballots" },
+	{ value: "ballot_order", label: "Ballot order", hint: "the candidate listed first wins" },
+];
+
+const allCandidates = (election) =>
+	election.contests.flatMap((contest) => contest.candidates);
+
+const academicYears = ["1st Year", "2nd Year", "3rd Year", "4th Year", "5th Year"];
+
+const emptyNomination = { contest: "", biography: "", platform: "", photo: null };
+
+const nominationStatusColors = {
+	pending: "bg-yellow-100 text-yellow-800",
+	approved: "bg-green-100 text-green-800",
+	rejected: "bg-red-100 text-red-800",
+};
+
+const emptyElection = () => ({
+	title: "",
+	description: "",
+	startDate: "",
+	endDate: "",
+	ballotType: "plurality",
+	tieBreakPolicy: "lot",
+	contests: [{ title: "President", seats: 1, candidates: [] }],
+	nominationStart: "",
+	nominationEnd: "",
+	endorsementsRequired: 0,
+	// Hours after the close to publish results; empty to announce by hand
+	autoPublishAfterHours: "",
+	// Departments are typed comma separated; the roll is the text of an uploaded file
+	eligibility: { roles: ["student"], departments: "", years: [], clubs: [], roll: "" },
+});
+
+// Student ids in an uploaded roll, counted the way the server reads them
+const rollSize = (roll) => new Set(roll.toLowerCase().split(/[\s,;]+/).filter(Boolean)).size;
+
 export function Elections() {
-	const { user } = useAuth();
+	const { user, hasPermission } = useAuth();
+	const navigate = useNavigate();
 	const [selectedTab, setSelectedTab] = useState("all");
 	const [selectedElection, setSelectedElection] = useState(null);
 	const [elections, setElections] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [votedElections, setVotedElections] = useState(new Set());
 	const [showNewElectionForm, setShowNewElectionForm] = useState(false);
-	const [newElection, setNewElection] = useState({
-		title: "",
-		description: "",
-		startDate: "",
-		endDate: "",
-		candidates: [],
-	});
+	// Choices per contest id
+	const [ballot, setBallot] = useState({});
+	// Election whose results (or, while voting is open, turnout) are shown
+	const [resultsElection, setResultsElection] = useState(null);
+	// Election whose candidates (with their Q&A boards) are shown
+	const [detailsElection, setDetailsElection] = useState(null);
+	const [clubs, setClubs] = useState([]);
+	// Nominations modal: the election, its nominations and the user's own form
+	const [nominationsElection, setNominationsElection] = useState(null);
+	const [nominations, setNominations] = useState(null);
+	const [nominationForm, setNominationForm] = useState(emptyNomination);
+	const [reviewReasons, setReviewReasons] = useState({});
+	// Receipt code just issued, or being checked: { election, code, issued, status }
+	const [receipt, setReceipt] = useState(null);
+	const [newElection, setNewElection] = useState(emptyElection);
+	const [newContestTitle, setNewContestTitle] = useState("");
 	const [newCandidate, setNewCandidate] = useState({
 		name: "",
 		department: "",
 		academicYear: "",
+		contest: 0,
 		profileImage: null,
 	});
 
@@ -43,12 +109,22 @@ export function Elections() {
 		fetchElections();
 	}, []);
 
+	// Clubs for the eligibility rules
+	useEffect(() => {
+		if (showNewElectionForm && clubs.length === 0) {
+			apiService
+				.getClubs()
+				.then((data) => setClubs(Array.isArray(data) ? data : []))
+				.catch((error) => console.error("Failed to fetch clubs:", error));
+		}
+	}, [showNewElectionForm]);
+
 	const fetchElections = async () => {
 		try {
 			setLoading(true);
 			const data = await apiService.getElections();
 			// Ensure data is an array
-			setElections(Array.isArray(data) ? data : []);
+			setElections(Array.isArray(data) ? withIds(data) : []);
 		} catch (error) {
 			console.error("Failed to fetch elections:", error);
 			toast.error("Failed to load elections");
@@ -70,18 +146,62 @@ export function Elections() {
 			toast.error("Candidate name, department, academic year, and image are required");
 			return;
 		}
+		const { contest: contestIndex, ...candidate } = newCandidate;
+		setNewElection((prev) => ({
+			...prev,
+			contests: prev.contests.map((contest, index) =>
+				index === contestIndex
+					? {
+							...contest,
+							candidates: [...contest.candidates, { 
+								...candidate, 
+								year: candidate.academicYear,
+								username: `dbu${Date.now().toString().slice(-8)}`,
+								platform: ["Student Welfare", "Academic Excellence"],
+								profileImage: candidate.profileImage || "https://images.pexels.com/photos/3763188/pexels-photo-3763188.jpeg?auto=compress&cs=tinysrgb&w=400"
+							}],
+					  }
+					: contest
+			),
+		}));
+		setNewCandidate({
+			name: "",
+			department: "",
+			academicYear: "",
+			contest: contestIndex,
+			profileImage: null,
+		});
+	};
+
+	const handleAddContest = () => {
+		if (!newContestTitle.trim()) {
+			toast.error("Please enter the position");
+			return;
+		}
 		setNewElection((prev) => ({
 			...prev,
-			candidates: [...prev.candidates, { 
-				...newCandidate, 
-				votes: 0,
-				position: "President",
-				username: `dbu${Date.now().toString().slice(-8)}`,
-				platform: ["Student Welfare", "Academic Excellence"],
-				profileImage: newCandidate.profileImage || "https://images.pexels.com/photos/3763188/pexels-photo-3763188.jpeg?auto=compress&cs=tinysrgb&w=400"
-			}],
+			contests: [
+				...prev.contests,
+				{ title: newContestTitle.trim(), seats: 1, candidates: [] },
+			],
 		}));
-		setNewCandidate({ name: "", department: "", academicYear: "", profileImage: null });
+		setNewContestTitle("");
+	};
+
+	const updateContest = (contestIndex, changes) =>
+		setNewElection((prev) => ({
+			...prev,
+			contests: prev.contests.map((contest, index) =>
+				index === contestIndex ? { ...contest, ...changes } : contest
+			),
+		}));
+
+	const removeContest = (contestIndex) => {
+		setNewElection((prev) => ({
+			...prev,
+			contests: prev.contests.filter((_, index) => index !== contestIndex),
+		}));
+		setNewCandidate((prev) => ({ ...prev, contest: 0 }));
 	};
 
 	const handleProfileImageChange = (e) => {
@@ -95,10 +215,41 @@ export function Elections() {
 		}
 	};
 
+	const updateEligibility = (changes) =>
+		setNewElection((prev) => ({
+			...prev,
+			eligibility: { ...prev.eligibility, ...changes },
+		}));
+
+	const toggleEligibility = (rule, value) => {
+		const values = newElection.eligibility[rule];
+		updateEligibility({
+			[rule]: values.includes(value)
+				? values.filter((item) => item !== value)
+				: [...values, value],
+		});
+	};
+
+	const handleRollUpload = (e) => {
+		const file = e.target.files[0];
+		if (file) {
+			const reader = new FileReader();
+			reader.onloadend = () => updateEligibility({ roll: reader.result });
+			reader.readAsText(file);
+		}
+	};
+
 	const handleCreateElection = async (e) => {
 		e.preventDefault();
-		if (newElection.candidates.length < 2) {
-			toast.error("At least two candidates are required");
+		if (newElection.contests.length === 0) {
+			toast.error("Add at least one position");
+			return;
+		}
+		const short = newElection.contests.find(
+			(contest) => contest.candidates.length <= contest.seats
+		);
+		if (short) {
+			toast.error(`${short.title} needs more candidates than seats`);
 			return;
 		}
 		if (!user?.isAdmin || user?.role !== "admin") {
@@ -110,8 +261,17 @@ export function Elections() {
 			const electionData = {
 				...newElection,
 				status: "upcoming",
-				totalVotes: 0,
-				eligibleVoters: 12547,
+				autoPublishAfterHours:
+					newElection.autoPublishAfterHours === ""
+						? null
+						: Number(newElection.autoPublishAfterHours),
+				eligibility: {
+					...newElection.eligibility,
+					departments: newElection.eligibility.departments
+						.split(",")
+						.map((department) => department.trim())
+						.filter(Boolean),
+				},
 			};
 
 			await apiService.createElection(electionData);
@@ -123,17 +283,16 @@ export function Elections() {
 			return;
 		}
 
-		setNewElection({
-			title: "",
-			description: "",
-			startDate: "",
-			endDate: "",
-			candidates: [],
-		});
+		setNewElection(emptyElection());
 		setShowNewElectionForm(false);
 	};
 
-		if (!user?.isAdmin || user?.role !== "admin") {
+	const openBallot = (election) => {
+		setBallot({});
+		setSelectedElection(election);
+	};
+
+	const handleVote = async (electionId) => {
 		if (!user) {
 			toast.error("Please login to vote");
 			return;
@@ -144,18 +303,168 @@ export function Elections() {
 			return;
 		}
 
+		const selections = ballotSelections(ballot);
+		if (selections.length === 0) {
+			toast.error("Please choose at least one candidate");
+			return;
+		}
+
 		try {
-			await apiService.voteInElection(electionId, candidateId);
+			const response = await apiService.voteInElection(electionId, selections);
 			setVotedElections(new Set([...votedElections, electionId]));
+			setReceipt({
+				election: selectedElection,
+				code: response.receipt.code,
+				issued: true,
+				status: null,
+			});
 			await fetchElections();
 			toast.success("Vote cast successfully!");
 			setSelectedElection(null);
+			setBallot({});
+		} catch (error) {
+			toast.error(error.message || "Failed to cast vote");
+		}
+	};
+
+	const copyReceipt = async () => {
+		try {
+			await navigator.clipboard.writeText(receipt.code);
+			toast.success("Receipt code copied");
+		} catch (error) {
+			toast.error("Could not copy the code; please write it down");
+		}
+	};
+
+	const verifyReceipt = async (e) => {
+		e.preventDefault();
+		try {
+			const data = await apiService.verifyBallotReceipt(receipt.election.id, receipt.code);
+			setReceipt({ ...receipt, status: { counted: true, message: data.message, hash: data.receipt } });
+		} catch (error) {
+			setReceipt({
+				...receipt,
+				status: { counted: false, message: error.message || "Could not check the receipt" },
+			});
+		}
+	};
+
+	// The anonymous ballots as JSON, for anyone who wants to recount
+	const downloadJson = (data, filename) => {
+		const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = filename;
+		link.click();
+		URL.revokeObjectURL(url);
+	};
+
+	const downloadBulletin = async (election) => {
+		try {
+			const data = await apiService.getElectionBulletin(election.id);
+			const { success, ...bulletin } = data;
+			downloadJson(bulletin, `ballot-bulletin-${election.id}.json`);
+		} catch (error) {
+			console.error("Failed to fetch bulletin:", error);
+			toast.error(error.message || "Failed to download the ballot bulletin");
+		}
+	};
+
+	// Signed bundle for observers to check with utils/verifyElectionExport.js
+	const downloadExport = async (election) => {
+		try {
+			const data = await apiService.exportElection(election.id);
+			downloadJson(data.export, `election-export-${election.id}.json`);
+		} catch (error) {
+			console.error("Failed to export election:", error);
+			toast.error(error.message || "Failed to download the election export");
+		}
+	};
+
+	const fetchNominations = async (election) => {
+		try {
+			const data = await apiService.getNominations(election.id);
+			setNominations(data);
 		} catch (error) {
-			toast.error("Failed to cast vote");
+			console.error("Failed to fetch nominations:", error);
+			toast.error(error.message || "Failed to load nominations");
 		}
 	};
 
-	const handleDeleteElection = (electionId) => {
+	const openNominations = async (election) => {
+		setNominations(null);
+		setNominationForm({ ...emptyNomination, contest: election.contests[0]?.id || "" });
+		setReviewReasons({});
+		setNominationsElection(election);
+		await fetchNominations(election);
+	};
+
+	const handleSubmitNomination = async (e) => {
+		e.preventDefault();
+		try {
+			const response = await apiService.submitNomination(nominationsElection.id, {
+				...nominationForm,
+				platform: nominationForm.platform
+					.split("\n")
+					.map((point) => point.trim())
+					.filter(Boolean),
+			});
+			toast.success(response.message || "Nomination submitted");
+			setNominationForm(emptyNomination);
+			await fetchNominations(nominationsElection);
+		} catch (error) {
+			toast.error(error.message || "Failed to submit nomination");
+		}
+	};
+
+	const handleEndorse = async (nomination) => {
+		try {
+			await apiService.endorseNomination(nominationsElection.id, nomination._id);
+			toast.success("Nomination endorsed");
+			await fetchNominations(nominationsElection);
+		} catch (error) {
+			toast.error(error.message || "Failed to endorse nomination");
+		}
+	};
+
+	const handleWithdraw = async (nomination) => {
+		if (!window.confirm("Withdraw your nomination?")) return;
+		try {
+			await apiService.withdrawNomination(nominationsElection.id, nomination._id);
+			toast.success("Nomination withdrawn");
+			await fetchNominations(nominationsElection);
+		} catch (error) {
+			toast.error(error.message || "Failed to withdraw nomination");
+		}
+	};
+
+	const handleReview = async (nomination, decision) => {
+		const reason = (reviewReasons[nomination._id] || "").trim();
+		if (!reason) {
+			toast.error("Please give a reason for the decision");
+			return;
+		}
+		try {
+			const response = await apiService.reviewNomination(
+				nominationsElection.id,
+				nomination._id,
+				decision,
+				reason
+			);
+			toast.success(response.message);
+			await fetchNominations(nominationsElection);
+			// Approved nominees join the candidate lists
+			if (decision === "approved") await fetchElections();
+		} catch (error) {
+			toast.error(error.message || "Failed to review nomination");
+		}
+	};
+
+	const contestTitle = (election, contestId) =>
+		election.contests.find((contest) => contest.id === contestId)?.title || "Unknown position";
+
+	const handleDeleteElection = async (electionId) => {
 		if (!user?.isAdmin && user?.role !== "admin") {
 			toast.error("Only admins can delete elections");
 			return;
@@ -171,15 +480,15 @@ export function Elections() {
 		}
 	};
 
-	const announceResults = async (electionId) => {
+	const announceResults = async (electionId, contestId) => {
 		if (!user?.isAdmin || user?.role !== "admin") {
 			toast.error("Only admins can announce results");
 			return;
 		}
 
 		try {
-			await apiService.announceElectionResults(electionId);
-			toast.success("Election results announced!");
+			const response = await apiService.announceElectionResults(electionId, contestId);
+			toast.success(response.message || "Election results announced!");
 			await fetchElections();
 		} catch (error) {
 			console.error('Failed to announce results:', error);
@@ -316,12 +625,216 @@ export function Elections() {
 									</div>
 								</div>
 
+								<div>
+									<label className="block text-sm font-medium text-gray-700 mb-2">
+										Ballot Type
+									</label>
+									<select
+										value={newElection.ballotType}
+										onChange={(e) =>
+											setNewElection({
+												...newElection,
+												ballotType: e.target.value,
+												contests:
+													e.target.value === "ranked_choice"
+														? newElection.contests.map((contest) => ({
+																...contest,
+																seats: 1,
+														  }))
+														: newElection.contests,
+											})
+										}
+										className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+										{ballotTypes.map((type) => (
+											<option key={type.value} value={type.value}>
+												{type.label} – {type.hint}
+											</option>
+										))}
+									</select>
+								</div>
+
+								<div>
+									<label className="block text-sm font-medium text-gray-700 mb-2">
+										Tie Break
+									</label>
+									<select
+										value={newElection.tieBreakPolicy}
+										onChange={(e) =>
+											setNewElection({
+												...newElection,
+												tieBreakPolicy: e.target.value,
+											})
+										}
+										className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+										{tieBreakPolicies.map((policy) => (
+											<option key={policy.value} value={policy.value}>
+												{policy.label} – {policy.hint}
+											</option>
+										))}
+									</select>
+								</div>
+
+								<div>
+									<label className="block text-sm font-medium text-gray-700 mb-2">
+										Publish Results Automatically
+									</label>
+									<div className="flex items-center gap-2">
+										<input
+											type="number"
+											min="0"
+											placeholder="Never"
+											value={newElection.autoPublishAfterHours}
+											onChange={(e) =>
+												setNewElection({
+													...newElection,
+													autoPublishAfterHours: e.target.value,
+												})
+											}
+											className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+										/>
+										<span className="text-sm text-gray-600">
+											hours after voting closes (leave empty to announce by hand)
+										</span>
+									</div>
+								</div>
+
+								{/* Nomination period */}
+								<div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+									<div>
+										<label className="block text-sm font-medium text-gray-700 mb-2">
+											Nominations Open
+										</label>
+										<input
+											type="date"
+											value={newElection.nominationStart}
+											onChange={(e) =>
+												setNewElection({ ...newElection, nominationStart: e.target.value })
+											}
+											className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+										/>
+									</div>
+									<div>
+										<label className="block text-sm font-medium text-gray-700 mb-2">
+											Nominations Close
+										</label>
+										<input
+											type="date"
+											value={newElection.nominationEnd}
+											onChange={(e) =>
+												setNewElection({ ...newElection, nominationEnd: e.target.value })
+											}
+											className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+										/>
+									</div>
+									<div>
+										<label className="block text-sm font-medium text-gray-700 mb-2">
+											Endorsements Needed
+										</label>
+										<input
+											type="number"
+											min="0"
+											value={newElection.endorsementsRequired}
+											onChange={(e) =>
+												setNewElection({
+													...newElection,
+													endorsementsRequired: parseInt(e.target.value) || 0,
+												})
+											}
+											className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+										/>
+									</div>
+								</div>
+								<p className="text-sm text-gray-500">
+									Leave the nomination dates empty to enter every candidate yourself.
+								</p>
+
+								{/* Positions */}
+								<div className="mt-4">
+									<h3 className="text-lg font-medium text-gray-900 mb-2">
+										Positions
+									</h3>
+									<div className="space-y-3">
+										{newElection.contests.map((contest, index) => (
+											<div key={index} className="border border-gray-200 rounded-lg p-3">
+												<div className="flex items-center gap-3">
+													<input
+														type="text"
+														value={contest.title}
+														onChange={(e) => updateContest(index, { title: e.target.value })}
+														className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+													/>
+													<label className="text-sm text-gray-600 flex items-center">
+														Seats
+														<input
+															type="number"
+															min="1"
+															value={contest.seats}
+															disabled={newElection.ballotType === "ranked_choice"}
+															onChange={(e) =>
+																updateContest(index, { seats: parseInt(e.target.value) || 1 })
+															}
+															className="ml-2 w-20 px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+														/>
+													</label>
+													<button
+														type="button"
+														onClick={() => removeContest(index)}
+														className="text-red-600 hover:text-red-700 p-1">
+														<Trash2 className="w-4 h-4" />
+													</button>
+												</div>
+												<ul className="mt-2 text-sm">
+													{contest.candidates.map((candidate, candidateIndex) => (
+														<li key={candidateIndex} className="text-gray-700">
+															{candidate.name} ({candidate.department} - {candidate.academicYear})
+														</li>
+													))}
+													{contest.candidates.length === 0 && (
+														<li className="text-gray-400">No candidates yet</li>
+													)}
+												</ul>
+											</div>
+										))}
+									</div>
+									<div className="flex gap-2 mt-3">
+										<input
+											type="text"
+											placeholder="Add a position, e.g. Vice President"
+											value={newContestTitle}
+											onChange={(e) => setNewContestTitle(e.target.value)}
+											className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+										/>
+										<button
+											type="button"
+											onClick={handleAddContest}
+											className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+											<Plus className="w-4 h-4 mr-1" />
+											Add Position
+										</button>
+									</div>
+								</div>
+
 								{/* Candidates Form */}
 								<div className="mt-4">
 									<h3 className="text-lg font-medium text-gray-900 mb-2">
 										Candidates
 									</h3>
-									<div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+									<div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+										<select
+											value={newCandidate.contest}
+											onChange={(e) =>
+												setNewCandidate({
+													...newCandidate,
+													contest: parseInt(e.target.value),
+												})
+											}
+											className="px-4 py-2 border border-gray-300 rounded-lg">
+											{newElection.contests.map((contest, index) => (
+												<option key={index} value={index}>
+													{contest.title}
+												</option>
+											))}
+										</select>
 										<input
 											type="text"
 											placeholder="Candidate Name"
@@ -373,17 +886,100 @@ export function Elections() {
 										<button
 											type="button"
 											onClick={handleAddCandidate}
-											className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors">
+											disabled={newElection.contests.length === 0}
+											className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50">
 											Add Candidate
 										</button>
 									</div>
-									<ul className="mt-2">
-										{newElection.candidates.map((candidate, index) => (
-											<li key={index} className="text-gray-700">
-												{candidate.name} ({candidate.department} - {candidate.academicYear})
-											</li>
-										))}
-									</ul>
+								</div>
+
+								{/* Eligibility */}
+								<div className="mt-4">
+									<h3 className="text-lg font-medium text-gray-900 mb-1">
+										Who can vote
+									</h3>
+									<p className="text-sm text-gray-500 mb-3">
+										Voters must meet every rule that is set. Leave a rule empty to allow everyone.
+									</p>
+									<div className="space-y-3">
+										<div className="flex flex-wrap items-center gap-4">
+											<span className="text-sm font-medium text-gray-700 w-24">Roles</span>
+											{["student", "faculty", "admin"].map((role) => (
+												<label key={role} className="flex items-center text-sm text-gray-700 capitalize">
+													<input
+														type="checkbox"
+														checked={newElection.eligibility.roles.includes(role)}
+														onChange={() => toggleEligibility("roles", role)}
+														className="mr-2"
+													/>
+													{role}
+												</label>
+											))}
+										</div>
+										<div className="flex flex-wrap items-center gap-4">
+											<span className="text-sm font-medium text-gray-700 w-24">Years</span>
+											{academicYears.map((year) => (
+												<label key={year} className="flex items-center text-sm text-gray-700">
+													<input
+														type="checkbox"
+														checked={newElection.eligibility.years.includes(year)}
+														onChange={() => toggleEligibility("years", year)}
+														className="mr-2"
+													/>
+													{year}
+												</label>
+											))}
+										</div>
+										<input
+											type="text"
+											placeholder="Departments, comma separated (e.g. Computer Science, Physics)"
+											value={newElection.eligibility.departments}
+											onChange={(e) => updateEligibility({ departments: e.target.value })}
+											className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+										/>
+										{clubs.length > 0 && (
+											<div>
+												<p className="text-sm font-medium text-gray-700 mb-1">
+													Approved members of
+												</p>
+												<div className="flex flex-wrap gap-3">
+													{clubs.map((club) => (
+														<label key={club._id} className="flex items-center text-sm text-gray-700">
+															<input
+																type="checkbox"
+																checked={newElection.eligibility.clubs.includes(club._id)}
+																onChange={() => toggleEligibility("clubs", club._id)}
+																className="mr-2"
+															/>
+															{club.name}
+														</label>
+													))}
+												</div>
+											</div>
+										)}
+										<div>
+											<label className="block text-sm font-medium text-gray-700 mb-1">
+												Voter roll (CSV or text file of student ids)
+											</label>
+											<input
+												type="file"
+												accept=".csv,.txt,text/csv,text/plain"
+												onChange={handleRollUpload}
+												className="text-sm"
+											/>
+											{newElection.eligibility.roll && (
+												<p className="text-sm text-gray-600 mt-1">
+													{rollSize(newElection.eligibility.roll)} student ids on the roll{" "}
+													<button
+														type="button"
+														onClick={() => updateEligibility({ roll: "" })}
+														className="text-red-600 hover:text-red-700">
+														Remove
+													</button>
+												</p>
+											)}
+										</div>
+									</div>
 								</div>
 
 								{/* Create Election Button */}
@@ -493,22 +1089,26 @@ export function Elections() {
 											{new Date(election.endDate).toLocaleDateString()}
 										</p>
 										<p className="text-xs text-gray-500">
-											{election.status === "Ongoing" ? "3 days left" : ""}
+											{ballotTypes.find((type) => type.value === election.ballotType)
+												?.label || "Plurality"}
+											{election.contests.length > 1
+												? ` · ${election.contests.length} positions`
+												: ""}
 										</p>
 									</div>
 								</div>
 
 								{/* Candidates Preview */}
-								{election.candidates.length > 0 && (
+								{allCandidates(election).length > 0 && (
 									<div className="mb-4">
 										<h4 className="text-sm font-medium text-gray-900 mb-3">
 											Candidates
 										</h4>
 										<div className="flex -space-x-2">
-											{election.candidates.slice(0, 3).map((candidate) => (
+											{allCandidates(election).slice(0, 3).map((candidate) => (
 												<img
 													key={candidate.id}
-													src={candidate.profileImage}
+													src={apiService.assetUrl(candidate.profileImage)}
 													alt={candidate.name}
 													className="w-8 h-8 rounded-full border-2 border-white object-cover"
 												/>
@@ -517,39 +1117,106 @@ export function Elections() {
 									</div>
 								)}
 
+								{election.voterEligibility && election.status !== "completed" && (
+									<p
+										className={`text-sm rounded-lg px-3 py-2 mb-4 ${
+											election.voterEligibility.eligible
+												? "bg-green-50 text-green-800"
+												: "bg-red-50 text-red-800"
+										}`}>
+										{election.voterEligibility.message}
+									</p>
+								)}
+
 								{/* Actions */}
 								<div className="flex space-x-3">
-									{election.status === "Ongoing" && (
+									{election.status === "active" && (
 										<motion.button
 											whileHover={{ scale: 1.02 }}
 											whileTap={{ scale: 0.98 }}
-											onClick={() => setSelectedElection(election)}
-											className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors"
-											disabled={votedElections.has(election.id)}>
+											onClick={() => openBallot(election)}
+											className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50"
+											disabled={
+												votedElections.has(election.id) ||
+												election.voterEligibility?.eligible === false
+											}>
 											<Vote className="w-4 h-4 inline mr-2" />
-											{votedElections.has(election.id) ? "Voted" : "Vote Now"}
+											{votedElections.has(election.id)
+												? "Voted"
+												: election.voterEligibility?.eligible === false
+												? "Not Eligible"
+												: "Vote Now"}
 										</motion.button>
 									)}
 
 									<motion.button
 										whileHover={{ scale: 1.02 }}
 										whileTap={{ scale: 0.98 }}
+										onClick={() => setDetailsElection(election)}
 										className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-lg font-medium hover:bg-gray-200 transition-colors">
 										<Eye className="w-4 h-4 inline mr-2" />
 										View Details
 									</motion.button>
 
-									{election.status === "Completed" && (
+									{election.status === "completed" &&
+										(election.resultsPublished || user?.isAdmin) && (
 										<motion.button
 											whileHover={{ scale: 1.02 }}
 											whileTap={{ scale: 0.98 }}
+											onClick={() => setResultsElection(election)}
 											className="flex-1 bg-green-100 text-green-700 py-2 px-4 rounded-lg font-medium hover:bg-green-200 transition-colors">
 											<BarChart3 className="w-4 h-4 inline mr-2" />
 											Results
 										</motion.button>
 									)}
 
-									{user?.isAdmin && election.status === "Ongoing" && (
+									{election.status === "active" && (
+										<motion.button
+											whileHover={{ scale: 1.02 }}
+											whileTap={{ scale: 0.98 }}
+											onClick={() => setResultsElection(election)}
+											className="flex-1 bg-green-100 text-green-700 py-2 px-4 rounded-lg font-medium hover:bg-green-200 transition-colors">
+											<BarChart3 className="w-4 h-4 inline mr-2" />
+											Turnout
+										</motion.button>
+									)}
+
+									{election.status === "active" && hasPermission("elections:kiosk") && (
+										<motion.button
+											whileHover={{ scale: 1.02 }}
+											whileTap={{ scale: 0.98 }}
+											onClick={() => navigate(`/elections/${election.id}/kiosk`)}
+											className="flex-1 bg-indigo-100 text-indigo-700 py-2 px-4 rounded-lg font-medium hover:bg-indigo-200 transition-colors">
+											<Monitor className="w-4 h-4 inline mr-2" />
+											Kiosk
+										</motion.button>
+									)}
+
+									{election.nominationStart && election.status === "upcoming" && (
+										<motion.button
+											whileHover={{ scale: 1.02 }}
+											whileTap={{ scale: 0.98 }}
+											onClick={() => openNominations(election)}
+											className="flex-1 bg-purple-100 text-purple-700 py-2 px-4 rounded-lg font-medium hover:bg-purple-200 transition-colors">
+											<UserPlus className="w-4 h-4 inline mr-2" />
+											Nominations
+										</motion.button>
+									)}
+
+									{["active", "completed"].includes(election.status) && (
+										<button
+											onClick={() =>
+												setReceipt({ election, code: "", issued: false, status: null })
+											}
+											title="Check that your ballot was counted"
+											className="bg-gray-100 text-gray-700 py-2 px-3 rounded-lg hover:bg-gray-200 transition-colors">
+											<ShieldCheck className="w-4 h-4" />
+										</button>
+									)}
+
+									{user?.isAdmin &&
+										election.status === "completed" &&
+										!election.resultsPublished && (
 										<button
 											onClick={() => announceResults(election.id)}
 											className="bg-yellow-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-yellow-700 transition-colors">
@@ -581,59 +1248,91 @@ export function Elections() {
 									</button>
 								</div>
 
-								<div className="space-y-4">
-									{selectedElection.candidates.map((candidate) => (
-										<div
-											key={candidate.id}
-											className="border border-gray-200 rounded-lg p-4 hover:border-blue-300 transition-colors">
-											<div className="flex items-start space-x-4">
-												<img
-													src={candidate.profileImage}
-													alt={candidate.name}
-													className="w-16 h-16 rounded-full object-cover"
-												/>
-												<div className="flex-1">
-													<h3 className="text-lg font-semibold text-gray-900">
-														{candidate.name} ({candidate.department})
-													</h3>
-													<p className="text-gray-600">{candidate.position} - {candidate.academicYear}</p>
-													<p className="text-sm font-medium text-gray-700 mb-1">
-														Votes: {candidate.votes.toLocaleString()}
-													</p>
-													<div className="mt-2">
-														<p className="text-sm font-medium text-gray-700 mb-1">
-															Platform:
-														</p>
-														<div className="flex flex-wrap gap-1">
-															{candidate.platform.map((item, index) => (
-																<span
-																	key={index}
-																	className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">
-																	{item}
-																</span>
-															))}
+								<BallotForm election={selectedElection} ballot={ballot} onChange={setBallot} />
+
+								<motion.button
+									whileHover={{ scale: 1.02 }}
+									whileTap={{ scale: 0.98 }}
+									onClick={() => handleVote(selectedElection.id)}
+									className="w-full mt-6 bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50"
+									disabled={
+										votedElections.has(selectedElection.id) ||
+										Object.values(ballot).every((choices) => choices.length === 0)
+									}>
+									{votedElections.has(selectedElection.id)
+										? "Already Voted"
+										: "Submit Ballot"}
+								</motion.button>
+							</div>
+						</motion.div>
+					</div>
+				)}
+
+				{/* Details Modal: the candidates, with their Q&A boards */}
+				{detailsElection && (
+					<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+						<motion.div
+							initial={{ opacity: 0, scale: 0.95 }}
+							animate={{ opacity: 1, scale: 1 }}
+							className="bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+							<div className="p-6">
+								<div className="flex items-center justify-between mb-2">
+									<h2 className="text-xl font-bold text-gray-900">
+										{detailsElection.title}
+									</h2>
+									<button
+										onClick={() => setDetailsElection(null)}
+										className="text-gray-400 hover:text-gray-600">
+										✕
+									</button>
+								</div>
+								<p className="text-gray-600 mb-6">{detailsElection.description}</p>
+
+								<div className="space-y-6">
+									{detailsElection.contests.map((contest) => (
+										<div key={contest.id}>
+											<h3 className="text-lg font-semibold text-gray-900 mb-3">
+												{contest.title}
+											</h3>
+											<div className="space-y-4">
+												{contest.candidates.map((candidate) => (
+													<div key={candidate.id} className="border border-gray-200 rounded-lg p-4">
+														<div className="flex items-start space-x-4">
+															<img
+																src={apiService.assetUrl(candidate.profileImage)}
+																alt={candidate.name}
+																className="w-16 h-16 rounded-full object-cover"
+															/>
+															<div className="flex-1">
+																<h4 className="text-lg font-semibold text-gray-900">
+																	{candidate.name} ({candidate.department})
+																</h4>
+																<p className="text-gray-600">{candidate.academicYear}</p>
+																{candidate.biography && (
+																	<p className="text-sm text-gray-700 mt-2">{candidate.biography}</p>
+																)}
+																{candidate.platform?.length > 0 && (
+																	<div className="flex flex-wrap gap-1 mt-2">
+																		{candidate.platform.map((item, index) => (
+																			<span
+																				key={index}
+																				className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">
+																				{item}
+																			</span>
+																		))}
+																	</div>
+																)}
+															</div>
 														</div>
+														{["upcoming", "active"].includes(detailsElection.status) && (
+															<CandidateQuestions election={detailsElection} candidate={candidate} />
+														)}
 													</div>
-												</div>
-												<div className="text-right">
-													<p className="text-2xl font-bold text-gray-900">
-														{candidate.votes.toLocaleString()}
-													</p>
-													<p className="text-sm text-gray-500">votes</p>
-												</div>
+												))}
+												{contest.candidates.length === 0 && (
+													<p className="text-sm text-gray-500">No candidates yet</p>
+												)}
 											</div>
-											<motion.button
-												whileHover={{ scale: 1.02 }}
-												whileTap={{ scale: 0.98 }}
-												onClick={() =>
-													handleVote(selectedElection.id, candidate.id)
-												}
-												className="w-full mt-4 bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors"
-												disabled={votedElections.has(selectedElection.id)}>
-												{votedElections.has(selectedElection.id)
-													? "Already Voted"
-													: `Vote for ${candidate.name}`}
-											</motion.button>
 										</div>
 									))}
 								</div>
@@ -641,6 +1340,332 @@ export function Elections() {
 						</motion.div>
 					</div>
 				)}
+
+				{/* Results Modal */}
+				{resultsElection && (
+					<ElectionResults
+						election={resultsElection}
+						ballotLabel={
+							ballotTypes.find((type) => type.value === resultsElection.ballotType)?.label ||
+							"Plurality"
+						}
+						canAnnounce={user?.isAdmin}
+						onAnnounce={announceResults}
+						onDownloadBulletin={
+							resultsElection.resultsPublished || user?.isAdmin
+								? () => downloadBulletin(resultsElection)
+								: null
+						}
+						onDownloadExport={
+							resultsElection.resultsPublished || user?.isAdmin
+								? () => downloadExport(resultsElection)
+								: null
+						}
+						onClose={() => setResultsElection(null)}
+					/>
+				)}
+
+				{/* Nominations Modal */}
+				{nominationsElection && (
+					<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+						<motion.div
+							initial={{ opacity: 0, scale: 0.95 }}
+							animate={{ opacity: 1, scale: 1 }}
+							className="bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+							<div className="p-6">
+								<div className="flex items-center justify-between mb-2">
+									<h2 className="text-xl font-bold text-gray-900">
+										Nominations: {nominationsElection.title}
+									</h2>
+									<button
+										onClick={() => setNominationsElection(null)}
+										className="text-gray-400 hover:text-gray-600">
+										✕
+									</button>
+								</div>
+
+								{!nominations ? (
+									<p className="text-sm text-gray-600">Loading nominations...</p>
+								) : (
+									<>
+										<p className="text-sm text-gray-600 mb-4">
+											{nominations.nominationsOpen ? "Open" : "Nominations run"} from{" "}
+											{new Date(nominations.nominationStart).toLocaleDateString()} to{" "}
+											{new Date(nominations.nominationEnd).toLocaleDateString()}
+											{nominations.endorsementsRequired > 0 &&
+												` · ${nominations.endorsementsRequired} endorsements needed`}
+										</p>
+
+										{/* Run for office */}
+										{user &&
+											nominations.nominationsOpen &&
+											!nominations.nominations.some(
+												(nomination) => nomination.nominee?._id === user.id
+											) && (
+												<form
+													onSubmit={handleSubmitNomination}
+													className="border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+													<h3 className="font-semibold text-gray-900">Run for office</h3>
+													{nominationsElection.voterEligibility?.eligible === false && (
+														<p className="text-sm text-red-700">
+															{nominationsElection.voterEligibility.message}
+														</p>
+													)}
+													<select
+														value={nominationForm.contest}
+														onChange={(e) =>
+															setNominationForm({ ...nominationForm, contest: e.target.value })
+														}
+														className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+														required>
+														{nominationsElection.contests.map((contest) => (
+															<option key={contest.id} value={contest.id}>
+																{contest.title}
+															</option>
+														))}
+													</select>
+													<textarea
+														placeholder="Biography"
+														value={nominationForm.biography}
+														onChange={(e) =>
+															setNominationForm({ ...nominationForm, biography: e.target.value })
+														}
+														maxLength={1000}
+														rows={3}
+														className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+														required
+													/>
+													<textarea
+														placeholder="Platform, one point per line"
+														value={nominationForm.platform}
+														onChange={(e) =>
+															setNominationForm({ ...nominationForm, platform: e.target.value })
+														}
+														rows={3}
+														className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+														required
+													/>
+													<div>
+														<label className="block text-sm font-medium text-gray-700 mb-1">
+															Photo
+														</label>
+														<input
+															type="file"
+															accept="image/jpeg,image/png,image/webp"
+															onChange={(e) =>
+																setNominationForm({ ...nominationForm, photo: e.target.files[0] })
+															}
+															className="text-sm"
+														/>
+													</div>
+													<button
+														type="submit"
+														className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors">
+														Submit Nomination
+													</button>
+												</form>
+											)}
+
+										{nominations.nominations.length === 0 && (
+											<p className="text-sm text-gray-600">No nominations yet.</p>
+										)}
+										<div className="space-y-4">
+											{nominations.nominations.map((nomination) => {
+												const own = user && nomination.nominee?._id === user.id;
+												return (
+													<div key={nomination._id} className="border border-gray-200 rounded-lg p-4">
+														<div className="flex items-start space-x-4">
+															{nomination.profileImage && (
+																<img
+																	src={apiService.assetUrl(nomination.profileImage)}
+																	alt={nomination.nominee?.name}
+																	className="w-14 h-14 rounded-full object-cover"
+																/>
+															)}
+															<div className="flex-1">
+																<div className="flex items-center justify-between">
+																	<h3 className="font-semibold text-gray-900">
+																		{nomination.nominee?.name}
+																		<span className="font-normal text-gray-600">
+																			{" "}
+																			· {contestTitle(nominationsElection, nomination.contest)}
+																		</span>
+																	</h3>
+																	<span
+																		className={`text-xs px-2 py-1 rounded-full capitalize ${
+																			nominationStatusColors[nomination.status]
+																		}`}>
+																		{nomination.status}
+																	</span>
+																</div>
+																<p className="text-sm text-gray-600">
+																	{nomination.nominee?.department} · {nomination.nominee?.year}
+																</p>
+																<p className="text-sm text-gray-700 mt-2">{nomination.biography}</p>
+																<ul className="list-disc list-inside text-sm text-gray-700 mt-2">
+																	{nomination.platform.map((point, index) => (
+																		<li key={index}>{point}</li>
+																	))}
+																</ul>
+																<p className="text-xs text-gray-500 mt-2">
+																	{nomination.endorsementCount}
+																	{nominations.endorsementsRequired > 0 &&
+																		` of ${nominations.endorsementsRequired}`}{" "}
+																	endorsements
+																</p>
+																{nomination.review?.reason && (
+																	<p className="text-sm text-gray-700 mt-2">
+																		<span className="font-medium">Committee:</span>{" "}
+																		{nomination.review.reason}
+																	</p>
+																)}
+
+																<div className="flex flex-wrap gap-2 mt-3">
+																	{user &&
+																		!own &&
+																		nominations.nominationsOpen &&
+																		nomination.status === "pending" && (
+																			<button
+																				onClick={() => handleEndorse(nomination)}
+																				disabled={nomination.endorsedByMe}
+																				className="inline-flex items-center text-sm bg-blue-100 text-blue-700 px-3 py-1 rounded hover:bg-blue-200 disabled:opacity-50">
+																				<ThumbsUp className="w-4 h-4 mr-1" />
+																				{nomination.endorsedByMe ? "Endorsed" : "Endorse"}
+																			</button>
+																		)}
+																	{own && nomination.status === "pending" && (
+																		<button
+																			onClick={() => handleWithdraw(nomination)}
+																			className="text-sm bg-gray-100 text-gray-700 px-3 py-1 rounded hover:bg-gray-200">
+																			Withdraw
+																		</button>
+																	)}
+																</div>
+
+																{hasPermission("elections:nominations") &&
+																	nomination.status === "pending" && (
+																		<div className="mt-3 flex gap-2">
+																			<input
+																				type="text"
+																				placeholder="Reason for the decision"
+																				value={reviewReasons[nomination._id] || ""}
+																				onChange={(e) =>
+																					setReviewReasons({
+																						...reviewReasons,
+																						[nomination._id]: e.target.value,
+																					})
+																				}
+																				className="flex-1 px-3 py-1 border border-gray-300 rounded text-sm"
+																			/>
+																			<button
+																				onClick={() => handleReview(nomination, "approved")}
+																				className="text-sm bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700">
+																				Approve
+																			</button>
+																			<button
+																				onClick={() => handleReview(nomination, "rejected")}
+																				className="text-sm bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700">
+																				Reject
+																			</button>
+																		</div>
+																	)}
+															</div>
+														</div>
+													</div>
+												);
+											})}
+										</div>
+									</>
+								)}
+							</div>
+						</motion.div>
+					</div>
+				)}
+
+				{/* Receipt Modal */}
+				{receipt && (
+					<div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+						<motion.div
+							initial={{ opacity: 0, scale: 0.95 }}
+							animate={{ opacity: 1, scale: 1 }}
+							className="bg-white rounded-2xl max-w-md w-full">
+							<div className="p-6">
+								<div className="flex items-center justify-between mb-4">
+									<h2 className="text-xl font-bold text-gray-900 flex items-center">
+										<ShieldCheck className="w-5 h-5 mr-2 text-blue-600" />
+										{receipt.issued ? "Your ballot receipt" : "Check your ballot"}
+									</h2>
+									<button
+										onClick={() => setReceipt(null)}
+										className="text-gray-400 hover:text-gray-600">
+										✕
+									</button>
+								</div>
+
+								{receipt.issued ? (
+									<>
+										<p className="text-sm text-gray-600 mb-4">
+											Your ballot for {receipt.election.title} was stored without your name. Keep
+											this code to yourself: it is the only way to find your ballot in the
+											published bulletin, and anyone who has it can see how you voted. It
+											cannot be shown again.
+										</p>
+										<div className="flex items-center justify-between bg-gray-100 rounded-lg p-4 mb-4">
+											<span className="font-mono text-lg tracking-wider text-gray-900">
+												{receipt.code}
+											</span>
+											<button
+												onClick={copyReceipt}
+												className="text-gray-500 hover:text-gray-700"
+												title="Copy code">
+												<Copy className="w-5 h-5" />
+											</button>
+										</div>
+										<button
+											onClick={() => setReceipt(null)}
+											className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors">
+											I have saved my code
+										</button>
+									</>
+								) : (
+									<form onSubmit={verifyReceipt}>
+										<p className="text-sm text-gray-600 mb-4">
+											Enter the receipt code you got when you voted in {receipt.election.title}.
+										</p>
+										<input
+											type="text"
+											value={receipt.code}
+											onChange={(e) => setReceipt({ ...receipt, code: e.target.value, status: null })}
+											placeholder="XXXX-XXXX-XXXX-XXXX"
+											className="w-full px-3 py-2 border rounded-lg font-mono uppercase mb-4"
+											required
+										/>
+										{receipt.status && (
+											<div
+												className={`text-sm rounded-lg p-3 mb-4 ${
+													receipt.status.counted
+														? "bg-green-50 text-green-800"
+														: "bg-red-50 text-red-800"
+												}`}>
+												<p>{receipt.status.message}</p>
+												{receipt.status.hash && (
+													<p className="font-mono text-xs break-all mt-1">
+														Bulletin entry: {receipt.status.hash}
+													</p>
+												)}
+											</div>
+										)}
+										<button
+											type="submit"
+											className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 transition-colors">
+											Check Receipt
+										</button>
+									</form>
+								)}
+							</div>
+						</motion.div>
+					</div>
+				)}
 			</div>
 		</div>
 	);
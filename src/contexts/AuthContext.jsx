@@ -6,6 +6,9 @@ import toast from "react-hot-toast";
 
 const AuthContext = createContext();
 
+// Never granted through wildcards, see backend/utils/permissions.js
+const EXPLICIT_PERMISSIONS = ["complaints:unseal"];
+
 export const useAuth = () => {
 	const context = useContext(AuthContext);
 	if (!context) {
@@ -32,6 +35,11 @@ export const AuthProvider = ({ children }) => {
 		}
 
 		setLoading(false);
+
+		// The API layer signs us out when a session can no longer be refreshed
+		const handleSessionEnded = () => setUser(null);
+		window.addEventListener("auth:logout", handleSessionEnded);
+		return () => window.removeEventListener("auth:logout", handleSessionEnded);
 	}, []);
 
 	const verifyToken = async (token) => {
@@ -51,6 +59,7 @@ export const AuthProvider = ({ children }) => {
 			const studentUser = {
 				...response.user,
 				token: response.token,
+				refreshToken: response.refreshToken,
 				isAdmin: response.user.role === "admin" || response.user.isAdmin,
 			};
 
@@ -73,6 +82,7 @@ export const AuthProvider = ({ children }) => {
 			const adminUser = {
 				...response.user,
 				token: response.token,
+				refreshToken: response.refreshToken,
 				isAdmin: true,
 			};
 
@@ -95,6 +105,7 @@ export const AuthProvider = ({ children }) => {
 			const newUser = {
 				...response.user,
 				token: response.token,
+				refreshToken: response.refreshToken,
 				isAdmin: false,
 			};
 
@@ -109,12 +120,41 @@ export const AuthProvider = ({ children }) => {
 		}
 	};
 
-	const logout = () => {
+	const logout = async () => {
+		try {
+			await apiService.logout();
+		} catch (error) {
+			// Session is already gone server-side, clear it locally anyway
+		}
 		setUser(null);
 		localStorage.removeItem("user");
 		toast.success("Logged out successfully");
 	};
 
+	const logoutAllDevices = async () => {
+		try {
+			await apiService.logoutAll();
+		} catch (error) {
+			toast.error("Failed to log out other devices");
+			return;
+		}
+		setUser(null);
+		localStorage.removeItem("user");
+		toast.success("Logged out from all devices");
+	};
+
+	// Mirrors permission matching on the backend (utils/permissions.js)
+	const hasPermission = (permission) => {
+		const granted = user?.permissions || [];
+		if (granted.includes(permission)) return true;
+		if (EXPLICIT_PERMISSIONS.includes(permission)) return false;
+		return granted.some(
+			(p) =>
+				p === "*" ||
+				(p.endsWith(":*") && permission.startsWith(p.slice(0, -1)))
+		);
+	};
+
 	const value = {
 		user,
 		loading,
@@ -122,6 +162,8 @@ export const AuthProvider = ({ children }) => {
 		adminLogin,
 		register,
 		logout,
+		logoutAllDevices,
+		hasPermission,
 	};
 
 	return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
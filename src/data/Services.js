@@ -2,6 +2,7 @@ export const services = [
   {
     id: "service_1",
     nameEn: "Student Din",
+    officeKey: "student_din", // complaint queue, see backend/utils/offices.js
     hierarchy: 1,
     description: "Overall student affairs oversight and university liaison",
     contact: "studentdin@dbu.edu.et",
@@ -15,6 +16,7 @@ export const services = [
   {
     id: "service_2",
     nameEn: "President",
+    officeKey: "president",
     hierarchy: 2,
     description: "Executive leadership and student representation",
     contact: "president@dbu.edu.et",
@@ -28,6 +30,7 @@ export const services = [
   {
     id: "service_3",
     nameEn: "Vice President",
+    officeKey: "vice_president",
     hierarchy: 3,
     description: "Deputy executive leadership and special projects",
     contact: "vicepresident@dbu.edu.et",
@@ -41,6 +44,7 @@ export const services = [
   {
     id: "service_4",
     nameEn: "Secretary",
+    officeKey: "secretary",
     hierarchy: 4,
     description: "Administrative coordination and record keeping",
     contact: "secretary@dbu.edu.et",
@@ -54,6 +58,7 @@ export const services = [
   {
     id: "service_5",
     nameEn: "Academic Affairs",
+    officeKey: "academic_affairs",
     hierarchy: 5,
     description: "Academic support and student academic concerns",
     contact: "academic@dbu.edu.et",
@@ -67,6 +72,7 @@ export const services = [
   {
     id: "service_6",
     nameEn: "Clubs & Associations",
+    officeKey: "clubs_associations",
     hierarchy: 6,
     description: "Student organization management and support",
     contact: "clubs@dbu.edu.et",
@@ -80,6 +86,7 @@ export const services = [
   {
     id: "service_7",
     nameEn: "Dining Services",
+    officeKey: "dining_services",
     hierarchy: 7,
     description: "Food service quality and dining facility management",
     contact: "dining@dbu.edu.et",
@@ -93,6 +100,7 @@ export const services = [
   {
     id: "service_8",
     nameEn: "Sports & Culture",
+    officeKey: "sports_culture",
     hierarchy: 8,
     description: "Athletic and cultural program coordination",
     contact: "sports@dbu.edu.et",
@@ -106,6 +114,7 @@ export const services = [
   {
     id: "service_9",
     nameEn: "General Services",
+    officeKey: "general_services",
     hierarchy: 9,
     description: "General student support and miscellaneous services",
     contact: "general@dbu.edu.et",
@@ -119,6 +128,7 @@ export const services = [
   {
     id: "service_10",
     nameEn: "Speaker",
+    officeKey: "speaker",
     hierarchy: 10,
     description: "Parliamentary procedures and meeting facilitation",
     contact: "speaker@dbu.edu.et",
@@ -43,10 +43,6 @@ export const mockComplaints = [
   },
 ];
 
-export const generateCaseId = () => {
-  return "CASE-" + Date.now().toString().slice(-6);
-};
-
 export const mockElections = [
   {
     id: "1",
@@ -5,34 +5,109 @@ class ApiService {
     this.baseURL = API_BASE_URL;
   }
 
+  // Files the backend serves under /uploads (e.g. candidate photos) live on
+  // the API's origin, not the app's
+  assetUrl(path) {
+    if (!path || !path.startsWith('/uploads/')) return path;
+    return `${this.baseURL.replace(/\/api\/?$/, '')}${path}`;
+  }
+
   getAuthToken() {
     const user = JSON.parse(localStorage.getItem('user') || '{}');
     return user.token || null;
   }
 
-  async request(endpoint, options = {}) {
+  getRefreshToken() {
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    return user.refreshToken || null;
+  }
+
+  storeTokens(token, refreshToken) {
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    localStorage.setItem('user', JSON.stringify({ ...user, token, refreshToken }));
+  }
+
+  clearSession() {
+    localStorage.removeItem('user');
+    window.dispatchEvent(new Event('auth:logout'));
+  }
+
+  // Concurrent 401s share a single refresh call, since each refresh token
+  // can only be used once.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) return false;
+
+        try {
+          const response = await fetch(`${this.baseURL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+          });
+
+          if (!response.ok) {
+            this.clearSession();
+            return false;
+          }
+
+          const data = await response.json();
+          this.storeTokens(data.token, data.refreshToken);
+          return true;
+        } catch (error) {
+          console.error('Session refresh failed:', error);
+          return false;
+        }
+      })().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async request(endpoint, options = {}, isRetry = false) {
     const url = `${this.baseURL}${endpoint}`;
     const token = this.getAuthToken();
+    // Multipart bodies need the browser-generated boundary header
+    const isFormData = options.body instanceof FormData;
     
     const config = {
       headers: {
-        'Content-Type': 'application/json',
+        ...(!isFormData && { 'Content-Type': 'application/json' }),
         ...(token && { 'Authorization': `Bearer ${token}` }),
         ...options.headers,
       },
       ...options,
     };
 
-    if (config.body && typeof config.body === 'object') {
+    if (config.body && typeof config.body === 'object' && !isFormData) {
       config.body = JSON.stringify(config.body);
     }
 
     try {
       const response = await fetch(url, config);
+
+      // Access token expired or revoked: refresh once, then retry
+      if (response.status === 401 && !isRetry && this.getRefreshToken()) {
+        const refreshed = await this.refreshSession();
+        if (refreshed) {
+          return this.request(endpoint, options, true);
+        }
+      }
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+        const error = new Error(errorData.message || `HTTP error! status: ${response.status}`);
+        // Keep the payload for callers that act on it (e.g. duplicate suggestions)
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
+      }
+
+      if (options.responseType === 'blob') {
+        return await response.blob();
       }
       
       return await response.json();
@@ -82,6 +157,18 @@ class ApiService {
     });
   }
 
+  async logout() {
+    return this.request('/auth/logout', {
+      method: 'POST',
+    });
+  }
+
+  async logoutAll() {
+    return this.request('/auth/logout-all', {
+      method: 'POST',
+    });
+  }
+
   // User endpoints
   async getUsers(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -118,10 +205,24 @@ class ApiService {
     return response.complaints || response.data || response || [];
   }
 
+  async getComplaintInbox(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/complaints/inbox?${queryString}` : '/complaints/inbox';
+    return this.request(endpoint);
+  }
+
+  async getComplaintOffices() {
+    return this.request('/complaints/offices');
+  }
+
   async getComplaintById(complaintId) {
     return this.request(`/complaints/${complaintId}`);
   }
 
+  async getComplaintByCaseId(caseId) {
+    return this.request(`/complaints/case/${encodeURIComponent(caseId)}`);
+  }
+
   async createComplaint(complaintData) {
     return this.request('/complaints', {
       method: 'POST',
@@ -129,6 +230,37 @@ class ApiService {
     });
   }
 
+  async supportComplaint(complaintId) {
+    return this.request(`/complaints/${complaintId}/support`, {
+      method: 'POST',
+    });
+  }
+
+  async getComplaintDuplicates(complaintId) {
+    return this.request(`/complaints/${complaintId}/duplicates`);
+  }
+
+  async mergeComplaints(complaintId, caseIds) {
+    return this.request(`/complaints/${complaintId}/merge`, {
+      method: 'POST',
+      body: { caseIds },
+    });
+  }
+
+  async trackComplaint(caseId, followUpCode) {
+    return this.request('/complaints/track', {
+      method: 'POST',
+      body: { caseId, followUpCode },
+    });
+  }
+
+  async unsealComplaint(complaintId, reason) {
+    return this.request(`/complaints/${complaintId}/unseal`, {
+      method: 'POST',
+      body: { reason },
+    });
+  }
+
   async addComplaintResponse(complaintId, responseData) {
     return this.request(`/complaints/${complaintId}/responses`, {
       method: 'POST',
@@ -136,13 +268,24 @@ class ApiService {
     });
   }
 
-  async updateComplaintStatus(complaintId, status) {
+  async updateComplaintStatus(complaintId, status, details = {}) {
     return this.request(`/complaints/${complaintId}/status`, {
       method: 'PATCH',
-      body: { status },
+      body: { status, ...details },
     });
   }
 
+  async updateComplaint(complaintId, updates) {
+    return this.request(`/complaints/${complaintId}`, {
+      method: 'PATCH',
+      body: updates,
+    });
+  }
+
+  async getComplaintTimeline(complaintId) {
+    return this.request(`/complaints/${complaintId}/timeline`);
+  }
+
   async assignComplaint(complaintId, assignedTo) {
     return this.request(`/complaints/${complaintId}/assign`, {
       method: 'PATCH',
@@ -150,10 +293,60 @@ class ApiService {
     });
   }
 
+  async transferComplaint(complaintId, office, reason) {
+    return this.request(`/complaints/${complaintId}/office`, {
+      method: 'PATCH',
+      body: { office, reason },
+    });
+  }
+
+  async submitComplaintFeedback(complaintId, rating, feedback) {
+    return this.request(`/complaints/${complaintId}/feedback`, {
+      method: 'POST',
+      body: { rating, feedback },
+    });
+  }
+
+  async reopenComplaint(complaintId, reason) {
+    return this.request(`/complaints/${complaintId}/reopen`, {
+      method: 'POST',
+      body: { reason },
+    });
+  }
+
+  async deleteComplaint(complaintId) {
+    return this.request(`/complaints/${complaintId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async uploadComplaintEvidence(complaintId, files) {
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('evidence', file));
+
+    return this.request(`/complaints/${complaintId}/evidence`, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async downloadComplaintEvidence(complaintId, evidenceId) {
+    return this.request(`/complaints/${complaintId}/evidence/${evidenceId}`, {
+      responseType: 'blob',
+    });
+  }
+
   async getComplaintStats() {
     return this.request('/complaints/stats/overview');
   }
 
+  async downloadComplaintReport(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/complaints/reports?${queryString}`, {
+      responseType: 'blob',
+    });
+  }
+
   // Club endpoints
   async getClubs(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -306,16 +499,134 @@ class ApiService {
     });
   }
 
-  async voteInElection(electionId, candidateId) {
+  async voteInElection(electionId, selections) {
     return this.request(`/elections/${electionId}/vote`, {
       method: 'POST',
-      body: { candidateId },
+      body: { selections },
+    });
+  }
+
+  async kioskCheckIn(electionId, studentId) {
+    return this.request(`/elections/${electionId}/kiosk/check-in`, {
+      method: 'POST',
+      body: { studentId },
+    });
+  }
+
+  async kioskVote(electionId, token, selections) {
+    return this.request(`/elections/${electionId}/kiosk/vote`, {
+      method: 'POST',
+      body: { token, selections },
+    });
+  }
+
+  async kioskCancel(electionId, token, reason) {
+    return this.request(`/elections/${electionId}/kiosk/cancel`, {
+      method: 'POST',
+      body: { token, reason },
+    });
+  }
+
+  async getKioskSessions(electionId) {
+    return this.request(`/elections/${electionId}/kiosk/sessions`);
+  }
+
+  async getElectionResults(electionId) {
+    return this.request(`/elections/${electionId}/results`);
+  }
+
+  async getElectionTurnout(electionId) {
+    return this.request(`/elections/${electionId}/turnout`);
+  }
+
+  async getNominations(electionId) {
+    return this.request(`/elections/${electionId}/nominations`);
+  }
+
+  // nomination: { contest, biography, platform: [points], photo: File }
+  async submitNomination(electionId, { contest, biography, platform, photo }) {
+    const formData = new FormData();
+    formData.append('contest', contest);
+    formData.append('biography', biography);
+    formData.append('platform', platform.join('\n'));
+    if (photo) formData.append('photo', photo);
+
+    return this.request(`/elections/${electionId}/nominations`, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async withdrawNomination(electionId, nominationId) {
+    return this.request(`/elections/${electionId}/nominations/${nominationId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async endorseNomination(electionId, nominationId) {
+    return this.request(`/elections/${electionId}/nominations/${nominationId}/endorse`, {
+      method: 'POST',
+    });
+  }
+
+  async reviewNomination(electionId, nominationId, decision, reason) {
+    return this.request(`/elections/${electionId}/nominations/${nominationId}/review`, {
+      method: 'PATCH',
+      body: { decision, reason },
+    });
+  }
+
+  async getElectionQuestions(electionId, candidateId) {
+    const endpoint = `/elections/${electionId}/questions`;
+    return this.request(candidateId ? `${endpoint}?candidate=${candidateId}` : endpoint);
+  }
+
+  async askElectionQuestion(electionId, candidate, text) {
+    return this.request(`/elections/${electionId}/questions`, {
+      method: 'POST',
+      body: { candidate, text },
+    });
+  }
+
+  async upvoteElectionQuestion(electionId, questionId, upvote = true) {
+    return this.request(`/elections/${electionId}/questions/${questionId}/upvote`, {
+      method: upvote ? 'POST' : 'DELETE',
+    });
+  }
+
+  async answerElectionQuestion(electionId, questionId, text) {
+    return this.request(`/elections/${electionId}/questions/${questionId}/answer`, {
+      method: 'PUT',
+      body: { text },
+    });
+  }
+
+  async moderateElectionQuestion(electionId, questionId, hidden, reason) {
+    return this.request(`/elections/${electionId}/questions/${questionId}/moderate`, {
+      method: 'PATCH',
+      body: { hidden, reason },
+    });
+  }
+
+  async getElectionBulletin(electionId) {
+    return this.request(`/elections/${electionId}/bulletin`);
+  }
+
+  async exportElection(electionId) {
+    return this.request(`/elections/${electionId}/export`);
+  }
+
+  async verifyBallotReceipt(electionId, code) {
+    return this.request(`/elections/${electionId}/verify-receipt`, {
+      method: 'POST',
+      body: { code },
     });
   }
 
-  async announceElectionResults(electionId) {
+  async announceElectionResults(electionId, contestId) {
     return this.request(`/elections/${electionId}/announce`, {
       method: 'POST',
+      body: contestId ? { contestId } : {},
     });
   }
 